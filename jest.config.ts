@@ -7,5 +7,7 @@ const config: Config.InitialOptions = {
   transform: {
     "^.+\\.jsx?$": "babel-jest",
   },
+  // The examples of three are ES modules.
+  transformIgnorePatterns: ["/node_modules/(?!three/examples/jsm/)"],
 };
 export default config;
@@ -2,6 +2,8 @@
 // import typescript from '@rollup/plugin-typescript';
 import { terser } from "rollup-plugin-terser";
 import babel from "@rollup/plugin-babel";
+import commonjs from "@rollup/plugin-commonjs";
+import { nodeResolve } from "@rollup/plugin-node-resolve";
 // import { nodeResolve } from '@rollup/plugin-node-resolve';
 //import commonjs from '@rollup/plugin-commonjs';
 
@@ -16,6 +18,7 @@ let builds = [
       "protobufjs",
       "rxjs",
       "three",
+      "three/examples/jsm/controls/TransformControls.js",
       "three-nebula",
       "fast-xml-parser",
     ],
@@ -29,6 +32,7 @@ let builds = [
           protobufjs: "protobufjs",
           rxjs: "rxjs",
           three: "THREE",
+          "three/examples/jsm/controls/TransformControls.js": "THREE",
           jszip: "JSZip",
           "fast-xml-parser": "fast-xml-parser",
         },
@@ -56,6 +60,7 @@ let builds = [
       "protobufjs",
       "rxjs",
       "three",
+      "three/examples/jsm/controls/TransformControls.js",
       "three-nebula",
       "fast-xml-parser",
     ],
@@ -69,6 +74,7 @@ let builds = [
           protobufjs: "protobufjs",
           rxjs: "rxjs",
           three: "THREE",
+          "three/examples/jsm/controls/TransformControls.js": "THREE",
           jszip: "JSZip",
           "three-nebula": "three-nebula",
           "fast-xml-parser": "fast-xml-parser",
@@ -97,6 +103,7 @@ let builds = [
       "protobufjs",
       "rxjs",
       "three",
+      "three/examples/jsm/controls/TransformControls.js",
       "three-nebula",
       "fast-xml-parser",
     ],
@@ -110,6 +117,7 @@ let builds = [
           protobufjs: "protobufjs",
           rxjs: "rxjs",
           three: "THREE",
+          "three/examples/jsm/controls/TransformControls.js": "THREE",
           jszip: "JSZip",
           "three-nebula": "three-nebula",
           "fast-xml-parser": "fast-xml-parser",
@@ -117,6 +125,40 @@ let builds = [
       },
     ],
   },
+
+  // Test helpers module
+  {
+    input: "tsc-out/src/testing.js",
+    plugins: [],
+    external: [
+      "eventemitter2",
+      "jszip",
+      "protobufjs",
+      "rxjs",
+      "three",
+      "three/examples/jsm/controls/TransformControls.js",
+      "three-nebula",
+      "fast-xml-parser",
+    ],
+    output: [
+      {
+        format: "esm",
+        file: "dist/gzweb.testing.module.js",
+      },
+    ],
+  },
+
+  // Frame decoder worker, with its dependencies
+  {
+    input: "tsc-out/src/FrameDecoderWorker.js",
+    plugins: [nodeResolve({ browser: true }), commonjs(), terser()],
+    output: [
+      {
+        format: "iife",
+        file: "dist/gzweb.worker.js",
+      },
+    ],
+  },
 ];
 
 export default builds;
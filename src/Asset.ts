@@ -3,6 +3,32 @@ export type AssetCb = (msg: any, error?: any) => void;
 export enum AssetError {
   NOT_FOUND = "asset_not_found",
   URI_MISSING = "asset_uri_missing",
+  TIMEOUT = "asset_timeout",
+  ABORTED = "asset_aborted",
+  DISCONNECTED = "asset_disconnected",
+  SERVER_ERROR = "asset_server_error",
+}
+
+/**
+ * Error used to reject a request for an asset.
+ */
+export class AssetFetchError extends Error {
+  /**
+   * The reason of the error.
+   */
+  public code: AssetError;
+
+  /**
+   * The URI of the requested asset.
+   */
+  public uri: string;
+
+  constructor(uri: string, code: AssetError, message?: string) {
+    super(`${uri}: ${message ?? code}`);
+    this.name = "AssetFetchError";
+    this.code = code;
+    this.uri = uri;
+  }
 }
 
 /**
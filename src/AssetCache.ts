@@ -0,0 +1,456 @@
+import { FUEL_HOST, IGN_FUEL_HOST } from "./FuelServer";
+import { ResourceResolverStage } from "./ResourceResolver";
+
+/**
+ * Options of the AssetCache.
+ */
+export interface AssetCacheOptions {
+  /**
+   * Optional. The maximum size of the cache, in bytes. The least recently
+   * used assets are evicted when it is exceeded. Defaults to 500 MB.
+   */
+  maxBytes?: number;
+
+  /**
+   * Optional. The name of the IndexedDB database. Defaults to `gzweb-assets`.
+   */
+  dbName?: string;
+
+  /**
+   * Optional. The store of the assets. Defaults to an IndexedDB database.
+   */
+  store?: AssetStore;
+}
+
+/**
+ * Information about a cached asset. The cache keeps the entries in memory to
+ * handle evictions.
+ */
+export interface AssetCacheEntry {
+  uri: string;
+  size: number;
+  lastAccess: number;
+}
+
+/**
+ * Persistent storage used by an AssetCache. IndexedDB is used by default.
+ */
+export interface AssetStore {
+  /**
+   * Load the entries of the stored assets.
+   *
+   * @returns A Promise that resolves with the entries.
+   */
+  load(): Promise<AssetCacheEntry[]>;
+
+  /**
+   * Get the contents of a stored asset.
+   *
+   * @param uri The URI of the asset.
+   * @returns A Promise that resolves with the contents, or with undefined if
+   * the asset is not stored.
+   */
+  get(uri: string): Promise<Uint8Array | undefined>;
+
+  /**
+   * Update the entry of a stored asset, such as its last access.
+   *
+   * @param entry The entry.
+   * @returns A Promise that resolves once the entry is updated.
+   */
+  touch(entry: AssetCacheEntry): Promise<void>;
+
+  /**
+   * Store an asset, and delete the evicted ones.
+   *
+   * @param entry The entry of the asset.
+   * @param data The contents.
+   * @param evicted The entries of the assets to delete.
+   * @returns A Promise that resolves once the asset is stored.
+   */
+  put(
+    entry: AssetCacheEntry,
+    data: Uint8Array,
+    evicted: AssetCacheEntry[],
+  ): Promise<void>;
+
+  /**
+   * Delete all the stored assets.
+   *
+   * @returns A Promise that resolves once they are deleted.
+   */
+  clear(): Promise<void>;
+}
+
+const META_STORE = "meta";
+const DATA_STORE = "data";
+
+/**
+ * Persistent cache of assets, such as meshes and textures. Assets are keyed
+ * by their URI, and the least recently used ones are evicted when the cache
+ * exceeds its maximum size.
+ *
+ * Assets are stored in IndexedDB, unless another store is given. The cache
+ * does nothing if IndexedDB is not available.
+ */
+export class AssetCache {
+  private maxBytes: number;
+
+  /**
+   * The store, once opened. Resolves with null if it can't be opened.
+   */
+  private store: Promise<AssetStore | null>;
+
+  /**
+   * Cached assets, by URI.
+   */
+  private entries = new Map<string, AssetCacheEntry>();
+
+  /**
+   * Total size of the cached assets, in bytes.
+   */
+  private size: number = 0;
+
+  /**
+   * @param options Optional. The cache options.
+   */
+  constructor(options: AssetCacheOptions = {}) {
+    this.maxBytes = options.maxBytes ?? 500 * 1024 * 1024;
+    this.store = this.open(
+      options.store ??
+        IndexedDBAssetStore.open(options.dbName ?? "gzweb-assets"),
+    );
+  }
+
+  /**
+   * Whether an asset is cached. Always false until the cache is loaded.
+   *
+   * @param uri The URI of the asset.
+   * @returns True if the asset is cached.
+   */
+  public has(uri: string): boolean {
+    return this.entries.has(uri);
+  }
+
+  /**
+   * Get a cached asset.
+   *
+   * @param uri The URI of the asset.
+   * @returns A Promise that resolves with the contents, or with undefined if
+   * the asset is not cached.
+   */
+  public async get(uri: string): Promise<Uint8Array | undefined> {
+    const store = await this.store;
+    const entry = this.entries.get(uri);
+    if (!store || !entry) {
+      return undefined;
+    }
+
+    const data = await store.get(uri);
+    if (data === undefined) {
+      this.forget(entry);
+      return undefined;
+    }
+
+    entry.lastAccess = Date.now();
+    store
+      .touch(entry)
+      .catch((error) => console.error(`Unable to update ${uri}`, error));
+    return data;
+  }
+
+  /**
+   * Store an asset. Least recently used assets are evicted if needed. Assets
+   * larger than the maximum size are not stored.
+   *
+   * @param uri The URI of the asset.
+   * @param data The contents.
+   * @returns A Promise that resolves once the asset is stored.
+   */
+  public async put(uri: string, data: Uint8Array): Promise<void> {
+    const store = await this.store;
+    if (!store || data.byteLength > this.maxBytes) {
+      return;
+    }
+
+    const previous = this.entries.get(uri);
+    if (previous) {
+      this.forget(previous);
+    }
+
+    const evicted = this.evict(this.maxBytes - data.byteLength);
+    const entry: AssetCacheEntry = {
+      uri,
+      size: data.byteLength,
+      lastAccess: Date.now(),
+    };
+    this.entries.set(uri, entry);
+    this.size += entry.size;
+    await store.put(entry, data, evicted);
+  }
+
+  /**
+   * Remove all the cached assets.
+   *
+   * @returns A Promise that resolves once the cache is cleared.
+   */
+  public async clear(): Promise<void> {
+    const store = await this.store;
+    this.entries.clear();
+    this.size = 0;
+    await store?.clear();
+  }
+
+  /**
+   * Get the total size of the cached assets.
+   *
+   * @returns A Promise that resolves with the size, in bytes.
+   */
+  public async getSize(): Promise<number> {
+    await this.store;
+    return this.size;
+  }
+
+  /**
+   * Wait for the store and load the entries of the cached assets.
+   */
+  private async open(
+    opening: AssetStore | null | Promise<AssetStore | null>,
+  ): Promise<AssetStore | null> {
+    try {
+      const store = await opening;
+      if (!store) {
+        return null;
+      }
+
+      const entries = await store.load();
+      entries.forEach((entry) => {
+        this.entries.set(entry.uri, entry);
+        this.size += entry.size;
+      });
+      return store;
+    } catch (error) {
+      console.error("Unable to open the asset cache", error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove the least recently used assets from the in-memory index until the
+   * total size is at most the given size.
+   *
+   * @param targetSize The size to reach, in bytes.
+   * @returns The removed entries, to be deleted from the store.
+   */
+  private evict(targetSize: number): AssetCacheEntry[] {
+    const evicted: AssetCacheEntry[] = [];
+    if (this.size <= targetSize) {
+      return evicted;
+    }
+
+    const sorted = Array.from(this.entries.values()).sort(
+      (a, b) => a.lastAccess - b.lastAccess,
+    );
+    for (const entry of sorted) {
+      if (this.size <= targetSize) {
+        break;
+      }
+      this.forget(entry);
+      evicted.push(entry);
+    }
+    return evicted;
+  }
+
+  /**
+   * Remove an entry from the in-memory index.
+   */
+  private forget(entry: AssetCacheEntry): void {
+    this.entries.delete(entry.uri);
+    this.size -= entry.size;
+  }
+}
+
+/**
+ * AssetStore that keeps the assets in an IndexedDB database.
+ */
+class IndexedDBAssetStore implements AssetStore {
+  private db: IDBDatabase;
+
+  private constructor(db: IDBDatabase) {
+    this.db = db;
+  }
+
+  /**
+   * Open a database.
+   *
+   * @param dbName The name of the database.
+   * @returns A Promise that resolves with the store, or with null if IndexedDB
+   * is not available.
+   */
+  public static async open(dbName: string): Promise<AssetStore | null> {
+    if (typeof indexedDB === "undefined") {
+      return null;
+    }
+
+    const openRequest = indexedDB.open(dbName, 1);
+    openRequest.onupgradeneeded = () => {
+      const db = openRequest.result;
+      db.createObjectStore(META_STORE, { keyPath: "uri" });
+      db.createObjectStore(DATA_STORE);
+    };
+    return new IndexedDBAssetStore(await request<IDBDatabase>(openRequest));
+  }
+
+  public load(): Promise<AssetCacheEntry[]> {
+    return request<AssetCacheEntry[]>(
+      this.db.transaction(META_STORE).objectStore(META_STORE).getAll(),
+    );
+  }
+
+  public get(uri: string): Promise<Uint8Array | undefined> {
+    return request<Uint8Array | undefined>(
+      this.db.transaction(DATA_STORE).objectStore(DATA_STORE).get(uri),
+    );
+  }
+
+  public touch(entry: AssetCacheEntry): Promise<void> {
+    const transaction = this.db.transaction(META_STORE, "readwrite");
+    transaction.objectStore(META_STORE).put(entry);
+    return complete(transaction);
+  }
+
+  public put(
+    entry: AssetCacheEntry,
+    data: Uint8Array,
+    evicted: AssetCacheEntry[],
+  ): Promise<void> {
+    const transaction = this.db.transaction(
+      [META_STORE, DATA_STORE],
+      "readwrite",
+    );
+    const meta = transaction.objectStore(META_STORE);
+    const store = transaction.objectStore(DATA_STORE);
+    evicted.forEach((old) => {
+      meta.delete(old.uri);
+      store.delete(old.uri);
+    });
+    meta.put(entry);
+    store.put(data, entry.uri);
+    return complete(transaction);
+  }
+
+  public clear(): Promise<void> {
+    const transaction = this.db.transaction(
+      [META_STORE, DATA_STORE],
+      "readwrite",
+    );
+    transaction.objectStore(META_STORE).clear();
+    transaction.objectStore(DATA_STORE).clear();
+    return complete(transaction);
+  }
+}
+
+/**
+ * Whether a resource can be downloaded by the cache stage. Only Fuel
+ * resources are, if their version is known, because the latest (`tip`)
+ * version can change.
+ *
+ * @param uri The URI of the resource.
+ * @returns True if the resource can be downloaded and cached.
+ */
+function isDownloadable(uri: string): boolean {
+  return (
+    (uri.startsWith(`https://${FUEL_HOST}`) ||
+      uri.startsWith(`https://${IGN_FUEL_HOST}`)) &&
+    !uri.includes("/tip/")
+  );
+}
+
+/**
+ * Whether a resource can be cached: versioned Fuel resources, and resources
+ * that are not URLs, such as the ones of the websocket server.
+ *
+ * @param uri The URI of the resource.
+ * @returns True if the resource can be cached.
+ */
+function isCacheable(uri: string): boolean {
+  return (
+    isDownloadable(uri) ||
+    (!uri.startsWith("http://") && !uri.startsWith("https://"))
+  );
+}
+
+/**
+ * Create a stage that serves resources from an AssetCache.
+ *
+ * It stores the resources fetched by the next stages, such as the ones
+ * obtained from the websocket server. Versioned Fuel resources are downloaded
+ * by the stage itself, so they are cached as well. For that, the stage must be
+ * placed after the stage that rewrites Fuel paths. Resources are cached by
+ * their rewritten URI, which includes the Fuel version.
+ *
+ * Cached resources and Fuel resources are fetched by the stage before the
+ * loaders try to load them. Textures referenced by meshes are not cached.
+ *
+ * @param cache The cache.
+ * @param getHeaders Optional. Returns the headers of the Fuel requests, such
+ * as `Scene.requestHeader`.
+ * @returns The stage.
+ */
+export function createCacheStage(
+  cache: AssetCache,
+  getHeaders?: () => Record<string, string> | undefined,
+): ResourceResolverStage {
+  const store = (uri: string, data: Uint8Array) => {
+    cache
+      .put(uri, data)
+      .catch((error) => console.error(`Unable to cache ${uri}`, error));
+  };
+
+  return {
+    name: "cache",
+    fetchFirst: (uri: string) => cache.has(uri) || isDownloadable(uri),
+    fetch: async (_uri: string, resolvedUri: string) => {
+      const cached = await cache.get(resolvedUri);
+      if (cached || !isDownloadable(resolvedUri)) {
+        return cached;
+      }
+
+      const response = await fetch(resolvedUri, {
+        headers: getHeaders?.() ?? {},
+      });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      const data = new Uint8Array(await response.arrayBuffer());
+      store(resolvedUri, data);
+      return data;
+    },
+    store: (_uri: string, data: Uint8Array, resolvedUri: string) => {
+      if (isCacheable(resolvedUri)) {
+        store(resolvedUri, data);
+      }
+    },
+  };
+}
+
+/**
+ * Wrap an IndexedDB request in a Promise.
+ */
+function request<T>(req: IDBRequest): Promise<T> {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Wait for an IndexedDB transaction to complete.
+ */
+function complete(transaction: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
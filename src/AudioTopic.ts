@@ -30,22 +30,29 @@ export class AudioTopic {
         // Otherwise, fetch the audio file
       } else {
         console.log("Getting audio file", uri);
-        // Fetching of the asset via getAsset() below is asynchronous, meaning
+        // Fetching of the asset via fetchAsset() below is asynchronous, meaning
         // that we could have requests for the same asset come in while we are
         // fetching it.  To prevent multiple downloads and playing of the
         // audio, add the uri to the map immediately with an empty object;
         // we'll replace that dummy object with a fully active one once
         // downloading the asset is complete.
         audioMap[uri] = [new Audio(), playback];
-        trans.getAsset(uri, (asset: Uint8Array) => {
-          var audioSrc = "data:audio/mp3;base64," + binaryToBase64(asset);
-          let audio = new Audio(audioSrc);
-          audio.src = audioSrc;
-          audioMap[uri][0] = audio;
-          if (audioMap[uri][1]) {
-            audio.play();
-          }
-        });
+        trans
+          .fetchAsset(uri)
+          .then((asset: Uint8Array) => {
+            var audioSrc = "data:audio/mp3;base64," + binaryToBase64(asset);
+            let audio = new Audio(audioSrc);
+            audio.src = audioSrc;
+            audioMap[uri][0] = audio;
+            if (audioMap[uri][1]) {
+              audio.play();
+            }
+          })
+          .catch((error) => {
+            console.error("Unable to get audio file", error);
+            // Allow the audio file to be requested again.
+            delete audioMap[uri];
+          });
       }
     });
     trans.subscribe(topic);
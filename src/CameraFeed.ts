@@ -0,0 +1,294 @@
+import * as THREE from "three";
+import { Observable, Subject } from "rxjs";
+import { TopicVisual } from "./TopicVisual";
+import { Transport } from "./Transport";
+
+/**
+ * Options of a CameraFeed.
+ */
+export interface CameraFeedOptions {
+  /**
+   * Optional. MIME type of the images. Defaults to `image/png`, which is the
+   * format used by the websocket server.
+   */
+  mimeType?: string;
+
+  /**
+   * Optional. Function that decodes an image. Defaults to
+   * `createImageBitmap`, which decodes off the main thread.
+   */
+  decode?: (image: Blob) => Promise<ImageBitmap>;
+}
+
+/**
+ * Counters of the frames of a CameraFeed.
+ */
+export interface CameraFeedStatistics {
+  /**
+   * Number of frames received.
+   */
+  received: number;
+
+  /**
+   * Number of frames decoded and shown.
+   */
+  decoded: number;
+
+  /**
+   * Number of frames dropped because the decoding fell behind.
+   */
+  dropped: number;
+}
+
+/**
+ * The CameraFeed shows the images of a camera sensor. It subscribes to an
+ * image topic, and decodes the compressed images sent by the websocket
+ * server off the main thread.
+ *
+ * Only one image is decoded at a time. If images arrive faster than they are
+ * decoded, only the latest one is kept, and the others are dropped.
+ *
+ * The images can be shown in an HTML element, as an overlay panel, or used as
+ * a texture, for example on a billboard attached to the sensor's link:
+ *
+ * ```
+ * const feed = new CameraFeed(transport, "/camera");
+ * feed.showInElement(document.getElementById("camera-panel"));
+ * link.add(feed.createBillboard(0.5));
+ * feed.start();
+ * ```
+ */
+export class CameraFeed extends TopicVisual {
+  /**
+   * The name of the image topic.
+   */
+  public readonly topic: string;
+
+  private mimeType: string;
+  private decode: (image: Blob) => Promise<ImageBitmap>;
+
+  /**
+   * Canvas the images are drawn on. Created when needed.
+   */
+  private canvas: HTMLCanvasElement | undefined;
+  private texture: THREE.CanvasTexture | undefined;
+  private billboards: THREE.Sprite[] = [];
+
+  /**
+   * Whether an image is being decoded.
+   */
+  private decoding: boolean = false;
+
+  /**
+   * The latest image received while decoding, to decode next.
+   */
+  private pending: Uint8Array | null = null;
+
+  private statistics: CameraFeedStatistics = {
+    received: 0,
+    decoded: 0,
+    dropped: 0,
+  };
+
+  private frames$ = new Subject<ImageBitmap>();
+
+  /**
+   * @param transport The Transport used to subscribe to the topic.
+   * @param topic The name of the image topic.
+   * @param options Optional. The feed options.
+   */
+  constructor(
+    transport: Transport,
+    topic: string,
+    options: CameraFeedOptions = {},
+  ) {
+    super(transport, [topic]);
+    this.topic = topic;
+    this.mimeType = options.mimeType ?? "image/png";
+    this.decode = options.decode ?? ((image) => createImageBitmap(image));
+  }
+
+  /**
+   * Unsubscribe from the image topic. The last image remains visible.
+   */
+  public override stop(): void {
+    super.stop();
+    this.pending = null;
+  }
+
+  /**
+   * Get the decoded images as an observable. The images are closed once the
+   * observers are notified, so they must be used synchronously.
+   *
+   * @returns An Observable of the decoded images.
+   */
+  public getFramesAsObservable(): Observable<ImageBitmap> {
+    return this.frames$.asObservable();
+  }
+
+  /**
+   * Get the frame counters.
+   *
+   * @returns The number of received, decoded and dropped frames.
+   */
+  public getStatistics(): CameraFeedStatistics {
+    return { ...this.statistics };
+  }
+
+  /**
+   * Get the canvas the images are drawn on.
+   *
+   * @returns The canvas.
+   */
+  public getCanvas(): HTMLCanvasElement {
+    if (!this.canvas) {
+      this.canvas = document.createElement("canvas");
+      this.canvas.width = 1;
+      this.canvas.height = 1;
+    }
+    return this.canvas;
+  }
+
+  /**
+   * Get a texture with the images. It is updated when a new image is
+   * decoded.
+   *
+   * @returns The texture.
+   */
+  public getTexture(): THREE.CanvasTexture {
+    if (!this.texture) {
+      this.texture = new THREE.CanvasTexture(this.getCanvas());
+    }
+    return this.texture;
+  }
+
+  /**
+   * Show the images in an HTML element, as an overlay panel. The canvas fills
+   * the width of the element, and keeps the aspect ratio of the images.
+   *
+   * @param element The element to show the images in.
+   */
+  public showInElement(element: HTMLElement): void {
+    const canvas = this.getCanvas();
+    canvas.style.width = "100%";
+    canvas.style.height = "auto";
+    element.appendChild(canvas);
+  }
+
+  /**
+   * Create a billboard that shows the images and always faces the camera.
+   * It can be added to the link of the camera sensor. Its height follows the
+   * aspect ratio of the images.
+   *
+   * @param width Optional. The width of the billboard, in meters. Defaults to 1.
+   * @returns The billboard.
+   */
+  public createBillboard(width: number = 1): THREE.Sprite {
+    const billboard = new THREE.Sprite(
+      new THREE.SpriteMaterial({ map: this.getTexture() }),
+    );
+    billboard.name = `${this.topic}::billboard`;
+    billboard.userData["width"] = width;
+    this.billboards.push(billboard);
+    this.resizeBillboard(billboard);
+    return billboard;
+  }
+
+  /**
+   * Stop the feed, remove its canvas and billboards, and free their
+   * resources.
+   */
+  public override destroy(): void {
+    super.destroy();
+    this.frames$.complete();
+
+    this.billboards.forEach((billboard) => {
+      billboard.removeFromParent();
+      billboard.material.dispose();
+    });
+    this.billboards = [];
+    this.texture?.dispose();
+    this.texture = undefined;
+    this.canvas?.remove();
+    this.canvas = undefined;
+  }
+
+  /**
+   * Handle an image received from the topic.
+   */
+  protected update(data: Uint8Array): void {
+    this.statistics.received++;
+
+    // Keep only the latest image while another one is decoded.
+    if (this.decoding) {
+      if (this.pending) {
+        this.statistics.dropped++;
+      }
+      this.pending = data;
+      return;
+    }
+
+    this.decodeImage(data);
+  }
+
+  /**
+   * Decode an image and show it. Then, decode the pending image, if any.
+   */
+  private decodeImage(data: Uint8Array): void {
+    this.decoding = true;
+    this.decode(new Blob([data], { type: this.mimeType }))
+      .then((bitmap) => {
+        this.statistics.decoded++;
+        this.draw(bitmap);
+        this.frames$.next(bitmap);
+        bitmap.close();
+      })
+      .catch((error) =>
+        console.error(`Unable to decode image of ${this.topic}:`, error),
+      )
+      .finally(() => {
+        this.decoding = false;
+        const next = this.pending;
+        this.pending = null;
+        if (next) {
+          this.decodeImage(next);
+        }
+      });
+  }
+
+  /**
+   * Draw an image on the canvas, if there is one.
+   */
+  private draw(bitmap: ImageBitmap): void {
+    if (!this.canvas) {
+      return;
+    }
+
+    const resized =
+      this.canvas.width !== bitmap.width ||
+      this.canvas.height !== bitmap.height;
+    if (resized) {
+      this.canvas.width = bitmap.width;
+      this.canvas.height = bitmap.height;
+      this.billboards.forEach((billboard) => this.resizeBillboard(billboard));
+    }
+
+    this.canvas.getContext("2d")?.drawImage(bitmap, 0, 0);
+    if (this.texture) {
+      // The texture must be created again when the canvas is resized.
+      if (resized) {
+        this.texture.dispose();
+      }
+      this.texture.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Scale a billboard to the aspect ratio of the images.
+   */
+  private resizeBillboard(billboard: THREE.Sprite): void {
+    const width = billboard.userData["width"];
+    const canvas = this.getCanvas();
+    billboard.scale.set(width, (width * canvas.height) / canvas.width, 1);
+  }
+}
@@ -0,0 +1,302 @@
+import * as THREE from "three";
+import { TopicVisual } from "./TopicVisual";
+import { Transport } from "./Transport";
+
+/**
+ * Options of a ContactsVisual.
+ */
+export interface ContactsVisualOptions {
+  /**
+   * Optional. Color of the contact points. Defaults to red.
+   */
+  pointColor?: THREE.ColorRepresentation;
+
+  /**
+   * Optional. Color of the contact normals. Defaults to blue.
+   */
+  normalColor?: THREE.ColorRepresentation;
+
+  /**
+   * Optional. Color of the force arrows. Defaults to yellow.
+   */
+  forceColor?: THREE.ColorRepresentation;
+
+  /**
+   * Optional. Diameter of the contact points, in meters. Defaults to 0.02.
+   */
+  pointSize?: number;
+
+  /**
+   * Optional. Length of the contact normals, in meters. Defaults to 0.1.
+   */
+  normalLength?: number;
+
+  /**
+   * Optional. Length of the force arrows per newton, in meters. Defaults to
+   * 0.01.
+   */
+  forceScale?: number;
+}
+
+/**
+ * A contact point between two collisions.
+ */
+export interface ContactPoint {
+  /**
+   * The scoped name of the first collision, such as `box::link::collision`.
+   */
+  collision1: string;
+
+  /**
+   * The scoped name of the second collision.
+   */
+  collision2: string;
+
+  /**
+   * The position of the contact, in the world frame.
+   */
+  position: THREE.Vector3;
+
+  /**
+   * The normal of the contact, in the world frame. Null if it is not known.
+   */
+  normal: THREE.Vector3 | null;
+
+  /**
+   * The penetration depth, in meters.
+   */
+  depth: number;
+
+  /**
+   * The force applied on the first collision, in the world frame. Null if it
+   * is not known.
+   */
+  force: THREE.Vector3 | null;
+}
+
+/**
+ * Get the contact points of a Contacts message. A Contact message has a
+ * position per contact point, and optionally a normal, a depth and a wrench.
+ *
+ * @param msg The Contacts message.
+ * @returns The contact points.
+ */
+export function contactsToPoints(msg: any): ContactPoint[] {
+  const vector = (v: any): THREE.Vector3 | null =>
+    v ? new THREE.Vector3(v["x"] ?? 0, v["y"] ?? 0, v["z"] ?? 0) : null;
+
+  const points: ContactPoint[] = [];
+  (msg["contact"] ?? []).forEach((contact: any) => {
+    (contact["position"] ?? []).forEach((position: any, i: number) => {
+      points.push({
+        collision1: contact["collision1"]?.["name"] ?? "",
+        collision2: contact["collision2"]?.["name"] ?? "",
+        position: vector(position)!,
+        normal: vector(contact["normal"]?.[i]),
+        depth: contact["depth"]?.[i] ?? 0,
+        force: vector(contact["wrench"]?.[i]?.["body_1_wrench"]?.["force"]),
+      });
+    });
+  });
+  return points;
+}
+
+/**
+ * Find the object of the link of a collision in a scene.
+ *
+ * @param root The object to search in, such as the scene.
+ * @param collision The scoped name of the collision, such as
+ * `robot::gripper::finger::collision`.
+ * @returns The object of the link, or undefined if it is not in the scene.
+ */
+export function findCollisionLink(
+  root: THREE.Object3D,
+  collision: string,
+): THREE.Object3D | undefined {
+  const names = collision.split("::").slice(0, -1);
+  if (names.length === 0) {
+    return undefined;
+  }
+
+  let link: THREE.Object3D | undefined = root;
+  for (const name of names) {
+    link = link.getObjectByName(name);
+    if (!link) {
+      return undefined;
+    }
+  }
+  return link;
+}
+
+/**
+ * The ContactsVisual shows the messages of `gz.msgs.Contacts` topics, such as
+ * the contacts of a world or of contact sensors. Each contact point is shown
+ * with its normal, and an arrow of the force scaled by its magnitude.
+ *
+ * Contacts are attached to the link of their first collision, or of their
+ * second one, so they follow the links as they move. Contacts of links that
+ * are not in the scene are added to `object`, relative to the world origin.
+ * The contacts of a topic are replaced when it publishes a new message.
+ *
+ * Showing the collision geometry with `Scene.showCollision` helps
+ * understanding the contacts.
+ */
+export class ContactsVisual extends TopicVisual {
+  /**
+   * The names of the Contacts topics.
+   */
+  public readonly topics: string[];
+
+  /**
+   * The object that contains the contacts of links that are not in the
+   * scene. It should be added to the scene.
+   */
+  public readonly object = new THREE.Group();
+
+  private root: THREE.Object3D;
+  private normalColor: THREE.ColorRepresentation;
+  private forceColor: THREE.ColorRepresentation;
+  private normalLength: number;
+  private forceScale: number;
+
+  /**
+   * Geometry and material shared by the contact points.
+   */
+  private pointGeometry: THREE.SphereGeometry;
+  private pointMaterial: THREE.MeshBasicMaterial;
+
+  /**
+   * The objects of the contacts shown.
+   * - Key: The name of the topic.
+   * - Value: The objects of its contacts.
+   */
+  private contacts = new Map<string, THREE.Object3D[]>();
+
+  /**
+   * @param transport The Transport used to subscribe to the topics.
+   * @param root The object the links are searched in, such as the scene.
+   * @param topics The name of the Contacts topic, or of several ones.
+   * @param options Optional. The visual options.
+   */
+  constructor(
+    transport: Transport,
+    root: THREE.Object3D,
+    topics: string | string[],
+    options: ContactsVisualOptions = {},
+  ) {
+    const names = Array.isArray(topics) ? topics : [topics];
+    super(transport, names);
+    this.root = root;
+    this.topics = names;
+    this.normalColor = options.normalColor ?? 0x0000ff;
+    this.forceColor = options.forceColor ?? 0xffff00;
+    this.normalLength = options.normalLength ?? 0.1;
+    this.forceScale = options.forceScale ?? 0.01;
+    this.object.name = "CONTACTS_VISUAL";
+
+    this.pointGeometry = new THREE.SphereGeometry(
+      (options.pointSize ?? 0.02) / 2,
+      8,
+      6,
+    );
+    this.pointMaterial = new THREE.MeshBasicMaterial({
+      color: options.pointColor ?? 0xff0000,
+      depthTest: false,
+    });
+  }
+
+  /**
+   * Get the number of contact points shown.
+   */
+  public getContactCount(): number {
+    let count = 0;
+    this.contacts.forEach((objects) => (count += objects.length));
+    return count;
+  }
+
+  /**
+   * Stop the visual, remove its contacts and free their resources.
+   */
+  public override destroy(): void {
+    super.destroy();
+    [...this.contacts.keys()].forEach((topic) => this.clear(topic));
+    this.object.removeFromParent();
+    this.pointGeometry.dispose();
+    this.pointMaterial.dispose();
+  }
+
+  /**
+   * Replace the contacts of a topic.
+   */
+  protected update(msg: any, topic: string): void {
+    this.clear(topic);
+    this.contacts.set(
+      topic,
+      contactsToPoints(msg).map((point) => this.addContact(point)),
+    );
+  }
+
+  /**
+   * Remove the contacts of a topic.
+   */
+  private clear(topic: string): void {
+    this.contacts.get(topic)?.forEach((contact) => {
+      contact.removeFromParent();
+      // The arrows share their geometries, but not their materials.
+      contact.traverse((obj) => {
+        if (obj instanceof THREE.ArrowHelper) {
+          (obj.line.material as THREE.Material).dispose();
+          (obj.cone.material as THREE.Material).dispose();
+        }
+      });
+    });
+    this.contacts.delete(topic);
+  }
+
+  /**
+   * Create the object of a contact point, and add it to its link.
+   */
+  private addContact(point: ContactPoint): THREE.Object3D {
+    const contact = new THREE.Group();
+    contact.name = `${point.collision1}::${point.collision2}::contact`;
+    contact.position.copy(point.position);
+    contact.add(new THREE.Mesh(this.pointGeometry, this.pointMaterial));
+
+    if (point.normal && point.normal.lengthSq() > 0) {
+      contact.add(
+        new THREE.ArrowHelper(
+          point.normal.clone().normalize(),
+          undefined,
+          this.normalLength,
+          this.normalColor,
+        ),
+      );
+    }
+
+    const magnitude = point.force?.length() ?? 0;
+    if (magnitude > 0) {
+      contact.add(
+        new THREE.ArrowHelper(
+          point.force!.clone().normalize(),
+          undefined,
+          magnitude * this.forceScale,
+          this.forceColor,
+        ),
+      );
+    }
+
+    // The contact is expressed in the world frame. Move it to the frame of
+    // the link, so it follows the link until the next message.
+    const link =
+      findCollisionLink(this.root, point.collision1) ??
+      findCollisionLink(this.root, point.collision2);
+    if (link) {
+      link.updateWorldMatrix(true, false);
+      contact.applyMatrix4(link.matrixWorld.clone().invert());
+      link.add(contact);
+    } else {
+      this.object.add(contact);
+    }
+    return contact;
+  }
+}
@@ -0,0 +1,176 @@
+import { parse, Root, Type } from "protobufjs";
+
+/**
+ * A frame received from the websocket server, decoded.
+ */
+export interface DecodedFrame {
+  /**
+   * The operation, such as `pub`, `req` or `asset`.
+   */
+  op: string;
+
+  /**
+   * The topic, service or asset URI.
+   */
+  topic: string;
+
+  /**
+   * The message type.
+   */
+  type: string;
+
+  /**
+   * The decoded message, as a plain object: Fields with default values are
+   * set, and 64 bit integers are numbers. Image messages are not decoded, and
+   * are given as their raw compressed data.
+   */
+  msg: any;
+
+  /**
+   * Size of the payload, in bytes.
+   */
+  size: number;
+}
+
+/**
+ * The end of a channel to a frame decoder, such as a Web Worker.
+ */
+export interface FrameDecoderPort {
+  postMessage(message: any, transfer: Transferable[]): void;
+  onmessage: ((event: MessageEvent) => void) | null;
+}
+
+/**
+ * Request sent to a frame decoder.
+ */
+export type FrameDecoderRequest =
+  | { kind: "protos"; protos: string }
+  | { kind: "frame"; data: Uint8Array; receivedAt: number; keepRaw: boolean };
+
+/**
+ * Response of a frame decoder to a frame request.
+ */
+export interface FrameDecoderResponse extends DecodedFrame {
+  /**
+   * Time the frame was received, as given in the request.
+   */
+  receivedAt: number;
+
+  /**
+   * The raw frame, if requested or if it is part of the handshake.
+   */
+  raw?: Uint8Array;
+
+  /**
+   * Description of the error, if the frame couldn't be decoded.
+   */
+  error?: string;
+}
+
+/**
+ * Topics of the frames received during the handshake. Their raw frames are
+ * kept in order to record sessions.
+ */
+export const HANDSHAKE_TOPICS = ["topics-types", "worlds", "scene"];
+
+/**
+ * Image message types, in the packages of each Gazebo version. Their messages
+ * are sent as raw image data.
+ */
+export const IMAGE_TYPES = [
+  "gz.msgs.Image",
+  "ignition.msgs.Image",
+  "gazebo.msgs.Image",
+];
+
+/**
+ * Split a frame into its header and payload, and decode the payload.
+ *
+ * For frame format information see the WebsocketServer documentation at:
+ * https://github.com/gazebosim/gz-launch/blob/ign-launch5/plugins/websocket_server/WebsocketServer.hh
+ *
+ * Messages are converted to plain objects, so they are the same whether they
+ * are decoded in the main thread or posted by a decode worker.
+ *
+ * @param root The message definitions.
+ * @param data The frame.
+ * @returns The decoded frame.
+ */
+export function decodeFrame(root: Root, data: Uint8Array): DecodedFrame {
+  // Decode as UTF-8 to get the header.
+  const str = new TextDecoder("utf-8").decode(data);
+  const [op, topic, type] = str.split(",", 4);
+
+  // Get the actual msg payload without the header. The "+3" in the slice
+  // accounts for the commas in the frame.
+  const payload = data.slice(op.length + topic.length + type.length + 3);
+
+  // Do not decode image msg as it is raw compressed png data and not a
+  // protobuf msg.
+  if (IMAGE_TYPES.includes(type)) {
+    return { op, topic, type, msg: payload, size: payload.byteLength };
+  }
+
+  const msgType = root.lookup(type) as Type;
+  const msg = msgType.toObject(msgType.decode(payload), {
+    longs: Number,
+    defaults: true,
+  });
+  return { op, topic, type, msg, size: payload.byteLength };
+}
+
+/**
+ * Decode the frames received through a port, and post the decoded frames
+ * back. This is the body of the frame decoder worker: Frames are decoded in
+ * the order they are received, with a copy of the message definitions.
+ *
+ * Image data and bytes fields are transferred rather than copied.
+ *
+ * @param port The port that receives the requests.
+ */
+export function runFrameDecoder(port: FrameDecoderPort): void {
+  let root: Root | null = null;
+
+  port.onmessage = (event: MessageEvent) => {
+    const request = event.data as FrameDecoderRequest;
+    if (request.kind === "protos") {
+      root = parse(request.protos, { keepCase: true }).root;
+      return;
+    }
+
+    const { data, receivedAt, keepRaw } = request;
+    let response: FrameDecoderResponse;
+    try {
+      if (!root) {
+        throw new Error("Protobuf root has not been created");
+      }
+      response = { ...decodeFrame(root, data), receivedAt };
+    } catch (error) {
+      port.postMessage(
+        {
+          op: "",
+          topic: "",
+          type: "",
+          msg: null,
+          size: 0,
+          receivedAt,
+          error: String(error),
+        },
+        [],
+      );
+      return;
+    }
+
+    // Bytes fields are views of the payload, so its buffer is transferred.
+    const transfer: Transferable[] = [];
+    const bytes = response.msg?.data ?? response.msg;
+    if (bytes instanceof Uint8Array && bytes.buffer !== data.buffer) {
+      transfer.push(bytes.buffer);
+    }
+    if (keepRaw || HANDSHAKE_TOPICS.includes(response.topic)) {
+      response.raw = data;
+      transfer.push(data.buffer);
+    }
+    port.postMessage(response, transfer);
+  };
+}
@@ -0,0 +1,7 @@
+import { runFrameDecoder } from "./FrameDecoder";
+
+/**
+ * Entry point of the Web Worker that decodes the frames of a Transport. See
+ * TransportOptions.decodeWorker.
+ */
+runFrameDecoder(self as any);
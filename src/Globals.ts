@@ -34,7 +34,8 @@ export function binaryToBase64(buffer: Uint8Array): string {
   for (var i = 0; i < len; i++) {
     binary += String.fromCharCode(buffer[i]);
   }
-  return window.btoa(binary);
+  // btoa is global in browsers, Web Workers and Node.js.
+  return btoa(binary);
 }
 
 /**
@@ -0,0 +1,396 @@
+import * as THREE from "three";
+import { BehaviorSubject, Observable } from "rxjs";
+import { setPoseFromMsg } from "./Pose";
+import { TopicVisual } from "./TopicVisual";
+import { Transport } from "./Transport";
+
+/**
+ * Types of a Joint message, by value.
+ */
+const JOINT_TYPES = [
+  "REVOLUTE",
+  "REVOLUTE2",
+  "PRISMATIC",
+  "UNIVERSAL",
+  "BALL",
+  "SCREW",
+  "GEARBOX",
+  "FIXED",
+  "CONTINUOUS",
+];
+
+/**
+ * Gazebo uses very large limits for joints without limits.
+ */
+const UNLIMITED = 1e16;
+
+/**
+ * Options of a JointInspector.
+ */
+export interface JointInspectorOptions {
+  /**
+   * Optional. Whether to show an arc on the revolute joints with limits,
+   * with the current angle. Defaults to false.
+   */
+  showArcs?: boolean;
+
+  /**
+   * Optional. Radius of the arcs, in meters. Defaults to 0.15.
+   */
+  arcRadius?: number;
+
+  /**
+   * Optional. Distance to a limit under which a joint is considered at the
+   * limit, in radians or meters. Defaults to 0.01.
+   */
+  limitTolerance?: number;
+}
+
+/**
+ * The state of a joint.
+ */
+export interface JointState {
+  /**
+   * The name of the joint.
+   */
+  name: string;
+
+  /**
+   * The type of the joint, such as `REVOLUTE` or `PRISMATIC`.
+   */
+  type: string;
+
+  /**
+   * The position of the joint, in radians or meters.
+   */
+  position: number;
+
+  /**
+   * The velocity of the joint, in radians or meters per second.
+   */
+  velocity: number;
+
+  /**
+   * The effort applied by the joint, in newton meters or newtons.
+   */
+  effort: number;
+
+  /**
+   * The lower limit of the joint. Null if the joint has no limits.
+   */
+  lower: number | null;
+
+  /**
+   * The upper limit of the joint. Null if the joint has no limits.
+   */
+  upper: number | null;
+
+  /**
+   * Whether the joint is at one of its limits.
+   */
+  atLimit: boolean;
+}
+
+/**
+ * Get the states of the joints of a Model message, as published on the
+ * `joint_state` topic of a model. The state of a joint is read from its
+ * first axis.
+ *
+ * @param msg The Model message.
+ * @param tolerance Optional. Distance to a limit under which a joint is
+ * considered at the limit. Defaults to 0.01.
+ * @returns The states of the joints.
+ */
+export function jointStatesFromModel(
+  msg: any,
+  tolerance: number = 0.01,
+): JointState[] {
+  return (msg["joint"] ?? []).map((joint: any) => {
+    const axis = joint["axis1"] ?? {};
+    const position = axis["position"] ?? 0;
+    let lower: number | null = axis["limit_lower"] ?? null;
+    let upper: number | null = axis["limit_upper"] ?? null;
+    if (
+      lower === null ||
+      upper === null ||
+      lower >= upper ||
+      lower <= -UNLIMITED ||
+      upper >= UNLIMITED
+    ) {
+      lower = null;
+      upper = null;
+    }
+
+    return {
+      name: joint["name"] ?? "",
+      type: JOINT_TYPES[joint["type"]] ?? joint["type"] ?? "REVOLUTE",
+      position,
+      velocity: axis["velocity"] ?? 0,
+      effort: axis["force"] ?? 0,
+      lower,
+      upper,
+      atLimit:
+        lower !== null &&
+        upper !== null &&
+        (position <= lower + tolerance || position >= upper - tolerance),
+    };
+  });
+}
+
+/**
+ * The JointInspector shows the live state of the joints of a model. It
+ * subscribes to the `joint_state` topic of the model, such as
+ * `/world/shapes/model/arm/joint_state`.
+ *
+ * The position, velocity and effort of each joint are available as an
+ * observable, and can be shown in an HTML element. Joints at one of their
+ * limits are highlighted. Revolute joints with limits can show an arc with
+ * the current angle:
+ *
+ * ```
+ * const inspector = new JointInspector(transport, model, topic, {
+ *   showArcs: true,
+ * });
+ * inspector.showInElement(document.getElementById("joints-panel"));
+ * inspector.start();
+ * ```
+ */
+export class JointInspector extends TopicVisual {
+  /**
+   * The name of the joint_state topic.
+   */
+  public readonly topic: string;
+
+  /**
+   * The object of the model, which contains the links the arcs are added to.
+   */
+  private model: THREE.Object3D | undefined;
+
+  private showArcs: boolean;
+  private arcRadius: number;
+  private limitTolerance: number;
+
+  /**
+   * The arcs of the revolute joints, by joint name.
+   */
+  private arcs = new Map<string, THREE.Group>();
+
+  /**
+   * The table the states are shown in. Created when needed.
+   */
+  private table: HTMLTableElement | undefined;
+
+  private states$ = new BehaviorSubject<JointState[]>([]);
+
+  /**
+   * @param transport The Transport used to subscribe to the topic.
+   * @param model The object of the model. Required to show the arcs.
+   * @param topic The name of the joint_state topic.
+   * @param options Optional. The inspector options.
+   */
+  constructor(
+    transport: Transport,
+    model: THREE.Object3D | undefined,
+    topic: string,
+    options: JointInspectorOptions = {},
+  ) {
+    super(transport, [topic]);
+    this.model = model;
+    this.topic = topic;
+    this.showArcs = options.showArcs ?? false;
+    this.arcRadius = options.arcRadius ?? 0.15;
+    this.limitTolerance = options.limitTolerance ?? 0.01;
+  }
+
+  /**
+   * Get the joint states as an observable. It emits the states of all the
+   * joints when a new message is received.
+   *
+   * @returns An Observable of the joint states.
+   */
+  public getStatesAsObservable(): Observable<JointState[]> {
+    return this.states$.asObservable();
+  }
+
+  /**
+   * Get the latest joint states.
+   *
+   * @returns The joint states.
+   */
+  public getStates(): JointState[] {
+    return this.states$.getValue();
+  }
+
+  /**
+   * Show the joint states in an HTML element, as a table. The rows of joints
+   * at a limit have the `at-limit` class, and are shown in red.
+   *
+   * @param element The element to show the joint states in.
+   */
+  public showInElement(element: HTMLElement): void {
+    if (!this.table) {
+      this.table = document.createElement("table");
+      this.table.className = "joint-inspector";
+      this.renderTable(this.getStates());
+    }
+    element.appendChild(this.table);
+  }
+
+  /**
+   * Stop the inspector, remove its table and arcs, and free their resources.
+   */
+  public override destroy(): void {
+    super.destroy();
+    this.states$.complete();
+    this.table?.remove();
+    this.table = undefined;
+    this.arcs.forEach((arc) => {
+      arc.removeFromParent();
+      arc.traverse((obj: any) => {
+        obj.geometry?.dispose();
+        obj.material?.dispose();
+      });
+    });
+    this.arcs.clear();
+  }
+
+  /**
+   * Show a message of the joint_state topic.
+   */
+  protected update(msg: any): void {
+    const states = jointStatesFromModel(msg, this.limitTolerance);
+    if (this.showArcs) {
+      (msg["joint"] ?? []).forEach((joint: any, i: number) =>
+        this.updateArc(joint, states[i]),
+      );
+    }
+    if (this.table) {
+      this.renderTable(states);
+    }
+    this.states$.next(states);
+  }
+
+  /**
+   * Fill the table with the joint states.
+   */
+  private renderTable(states: JointState[]): void {
+    const table = this.table!;
+    const format = (value: number) => value.toFixed(3);
+    table.innerHTML =
+      "<tr><th>Joint</th><th>Position</th><th>Velocity</th><th>Effort</th></tr>";
+    states.forEach((state) => {
+      const row = table.insertRow();
+      if (state.atLimit) {
+        row.className = "at-limit";
+        row.style.color = "red";
+      }
+      [
+        state.name,
+        format(state.position),
+        format(state.velocity),
+        format(state.effort),
+      ].forEach((text) => (row.insertCell().textContent = text));
+    });
+  }
+
+  /**
+   * Update the arc of a revolute joint with limits, and create it if needed.
+   *
+   * The arc is added to the child link, at the joint frame. It is rotated
+   * back by the joint angle, so the limits stay fixed relative to the parent
+   * link while the needle follows the child link.
+   */
+  private updateArc(joint: any, state: JointState): void {
+    if (
+      state.type !== "REVOLUTE" ||
+      state.lower === null ||
+      state.upper === null
+    ) {
+      return;
+    }
+
+    let arc = this.arcs.get(state.name);
+    if (!arc) {
+      const childName = (joint["child"] ?? "").split("::").pop();
+      const child = this.model?.getObjectByName(childName);
+      if (!child) {
+        return;
+      }
+      arc = this.createArc(joint, state);
+      child.add(arc);
+      this.arcs.set(state.name, arc);
+    }
+
+    const gizmo = arc.children[0].children[0];
+    gizmo.quaternion.setFromAxisAngle(
+      new THREE.Vector3(0, 0, 1),
+      -state.position,
+    );
+    const needle = gizmo.children[1] as THREE.Line;
+    const positions = needle.geometry.getAttribute("position");
+    positions.setXY(
+      1,
+      this.arcRadius * Math.cos(state.position),
+      this.arcRadius * Math.sin(state.position),
+    );
+    positions.needsUpdate = true;
+    (
+      (gizmo.children[0] as THREE.Mesh).material as THREE.MeshBasicMaterial
+    ).color.set(state.atLimit ? 0xff0000 : 0x00ff00);
+  }
+
+  /**
+   * Create the arc of a revolute joint. The arc is drawn around the Z axis
+   * of the gizmo, which is aligned with the joint axis.
+   */
+  private createArc(joint: any, state: JointState): THREE.Group {
+    const arc = new THREE.Group();
+    arc.name = `${state.name}::JOINT_ARC`;
+
+    const pose = joint["pose"];
+    if (pose) {
+      setPoseFromMsg(arc, pose);
+    }
+
+    const xyz = joint["axis1"]?.["xyz"];
+    const axis = new THREE.Vector3(
+      xyz?.["x"] ?? 0,
+      xyz?.["y"] ?? 0,
+      xyz?.["z"] ?? 1,
+    ).normalize();
+    const alignment = new THREE.Group();
+    alignment.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), axis);
+    arc.add(alignment);
+
+    const gizmo = new THREE.Group();
+    alignment.add(gizmo);
+    gizmo.add(
+      new THREE.Mesh(
+        new THREE.RingGeometry(
+          this.arcRadius * 0.9,
+          this.arcRadius,
+          32,
+          1,
+          state.lower!,
+          state.upper! - state.lower!,
+        ),
+        new THREE.MeshBasicMaterial({
+          color: 0x00ff00,
+          opacity: 0.5,
+          transparent: true,
+          side: THREE.DoubleSide,
+        }),
+      ),
+    );
+    gizmo.add(
+      new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([
+          new THREE.Vector3(),
+          new THREE.Vector3(this.arcRadius, 0, 0),
+        ]),
+        new THREE.LineBasicMaterial({ color: 0xffffff }),
+      ),
+    );
+    return arc;
+  }
+}
@@ -0,0 +1,428 @@
+import * as THREE from "three";
+import { Observable, Subscription } from "rxjs";
+import { setPoseFromMsg } from "./Pose";
+import { TopicVisual } from "./TopicVisual";
+import { Transport } from "./Transport";
+import { timeToSeconds } from "./WorldStats";
+
+/**
+ * Actions of a Marker message.
+ */
+const MARKER_ACTIONS = ["ADD_MODIFY", "DELETE_MARKER", "DELETE_ALL"];
+
+/**
+ * Types of a Marker message, by value.
+ */
+const MARKER_TYPES: { [value: string]: string } = {
+  0: "NONE",
+  1: "BOX",
+  2: "CYLINDER",
+  3: "LINE_STRIP",
+  4: "LINE_LIST",
+  5: "POINTS",
+  6: "SPHERE",
+  7: "TEXT",
+  8: "TRIANGLE_FAN",
+  9: "TRIANGLE_LIST",
+  10: "TRIANGLE_STRIP",
+};
+
+/**
+ * The MarkerManager shows the debug geometry that Gazebo plugins draw with
+ * `gz.msgs.Marker` and `gz.msgs.Marker_V` messages, such as planned paths.
+ *
+ * Markers are identified by their namespace and id. They support the add,
+ * modify, delete and delete all actions, lifetimes and parent entities. The
+ * box, sphere, cylinder, line strip, line list, points, triangle list and
+ * text types are shown. Like in Gazebo, lifetimes are measured in simulation
+ * time, given with `setSimTime` or `followSimTime`.
+ *
+ * Gazebo receives markers as requests of the `/marker` and `/marker_array`
+ * services, but the websocket server doesn't forward service requests to its
+ * clients. Plugins must publish their markers on a topic instead:
+ *
+ * ```
+ * const markers = new MarkerManager(transport, scene.scene, "/marker");
+ * markers.start();
+ * ```
+ *
+ * Markers can also be applied directly with `handle`.
+ */
+export class MarkerManager extends TopicVisual {
+  private root: THREE.Object3D;
+
+  /**
+   * The markers shown.
+   * - Key: The namespace and id of the marker.
+   * - Value: The object of the marker.
+   */
+  private markers = new Map<string, THREE.Object3D>();
+
+  /**
+   * Simulation time at which the markers with a lifetime expire, by key.
+   */
+  private expirations = new Map<string, number>();
+
+  /**
+   * The current simulation time, in seconds.
+   */
+  private simTime: number = 0;
+
+  private simTimeSubscription = new Subscription();
+
+  /**
+   * @param transport The Transport used to subscribe to the topics.
+   * @param root The object markers are added to, such as the scene. Markers
+   * with a parent are added to the parent entity, found by name under it.
+   * @param topics Optional. The name of the Marker or Marker_V topic, or of
+   * several ones.
+   */
+  constructor(
+    transport: Transport,
+    root: THREE.Object3D,
+    topics: string | string[] = [],
+  ) {
+    super(transport, typeof topics === "string" ? [topics] : topics);
+    this.root = root;
+  }
+
+  /**
+   * Follow the simulation time, in order to delete the markers whose
+   * lifetime ended. See setSimTime.
+   *
+   * @param simTime$ An Observable of the simulation time, in seconds.
+   */
+  public followSimTime(simTime$: Observable<number>): void {
+    this.simTimeSubscription.add(
+      simTime$.subscribe((time) => this.setSimTime(time)),
+    );
+  }
+
+  /**
+   * Set the simulation time, and delete the markers whose lifetime ended.
+   *
+   * @param time The simulation time, in seconds.
+   */
+  public setSimTime(time: number): void {
+    this.simTime = time;
+    [...this.expirations]
+      .filter(([, expiration]) => expiration <= time)
+      .forEach(([key]) => this.deleteByKey(key));
+  }
+
+  /**
+   * Apply a Marker or Marker_V message.
+   *
+   * @param msg The message.
+   */
+  public handle(msg: any): void {
+    if (Array.isArray(msg["marker"])) {
+      msg["marker"].forEach((marker: any) => this.handle(marker));
+      return;
+    }
+
+    const action = MARKER_ACTIONS[msg["action"]] ?? msg["action"];
+    const ns: string = msg["ns"] ?? "";
+    switch (action) {
+      case "DELETE_MARKER":
+        this.delete(ns, Number(msg["id"] ?? 0));
+        break;
+      case "DELETE_ALL":
+        this.deleteAll(ns || undefined);
+        break;
+      default:
+        this.addOrModify(msg);
+        break;
+    }
+  }
+
+  /**
+   * Get the object of a marker.
+   *
+   * @param ns The namespace of the marker.
+   * @param id The id of the marker.
+   * @returns The object, or undefined if the marker is not shown.
+   */
+  public getMarker(ns: string, id: number): THREE.Object3D | undefined {
+    return this.markers.get(markerKey(ns, id));
+  }
+
+  /**
+   * Get the number of markers shown.
+   */
+  public getMarkerCount(): number {
+    return this.markers.size;
+  }
+
+  /**
+   * Delete a marker.
+   *
+   * @param ns The namespace of the marker.
+   * @param id The id of the marker.
+   */
+  public delete(ns: string, id: number): void {
+    this.deleteByKey(markerKey(ns, id));
+  }
+
+  /**
+   * Delete all the markers, or the markers of a namespace.
+   *
+   * @param ns Optional. The namespace of the markers to delete.
+   */
+  public deleteAll(ns?: string): void {
+    [...this.markers.keys()]
+      .filter(
+        (key) =>
+          ns === undefined || key.substring(0, key.lastIndexOf("::")) === ns,
+      )
+      .forEach((key) => this.deleteByKey(key));
+  }
+
+  /**
+   * Unsubscribe from the marker topics and the simulation time, and delete
+   * all the markers.
+   */
+  public override destroy(): void {
+    super.destroy();
+    this.simTimeSubscription.unsubscribe();
+    this.simTimeSubscription = new Subscription();
+    this.deleteAll();
+  }
+
+  /**
+   * Apply a Marker or Marker_V message of a topic.
+   */
+  protected update(msg: any): void {
+    this.handle(msg);
+  }
+
+  /**
+   * Delete a marker, if it exists.
+   */
+  private deleteByKey(key: string): void {
+    const marker = this.markers.get(key);
+    if (!marker) {
+      return;
+    }
+
+    this.expirations.delete(key);
+    this.markers.delete(key);
+    disposeMarker(marker);
+  }
+
+  /**
+   * Add a marker, or replace it if it exists.
+   */
+  private addOrModify(msg: any): void {
+    const ns: string = msg["ns"] ?? "";
+    const id = Number(msg["id"] ?? 0);
+    this.delete(ns, id);
+
+    const type = MARKER_TYPES[msg["type"]] ?? msg["type"];
+    const marker = createMarkerObject(type, msg);
+    if (!marker) {
+      console.warn(`Unsupported marker type ${type}`);
+      return;
+    }
+
+    marker.name = `marker::${markerKey(ns, id)}`;
+    const pose = msg["pose"];
+    if (pose) {
+      setPoseFromMsg(marker, pose);
+    }
+
+    const parent = msg["parent"]
+      ? this.root.getObjectByName(msg["parent"])
+      : undefined;
+    if (msg["parent"] && !parent) {
+      console.warn("Unable to find marker parent with name", msg["parent"]);
+    }
+    (parent ?? this.root).add(marker);
+
+    const key = markerKey(ns, id);
+    this.markers.set(key, marker);
+
+    // A lifetime of zero means the marker is shown until it is deleted.
+    const lifetime = timeToSeconds(msg["lifetime"]);
+    if (lifetime > 0) {
+      this.expirations.set(key, this.simTime + lifetime);
+    }
+  }
+}
+
+/**
+ * Get the key of a marker.
+ */
+function markerKey(ns: string, id: number): string {
+  return `${ns}::${id}`;
+}
+
+/**
+ * Create the object of a marker.
+ *
+ * @param type The name of the marker type.
+ * @param msg The Marker message.
+ * @returns The object, or null if the type is not supported.
+ */
+function createMarkerObject(type: string, msg: any): THREE.Object3D | null {
+  const scale = new THREE.Vector3(
+    msg["scale"]?.["x"] ?? 1,
+    msg["scale"]?.["y"] ?? 1,
+    msg["scale"]?.["z"] ?? 1,
+  );
+  const { color, opacity } = markerColor(msg["material"]);
+  const meshMaterial = () =>
+    new THREE.MeshPhongMaterial({
+      color,
+      opacity,
+      transparent: opacity < 1,
+      side: THREE.DoubleSide,
+    });
+
+  switch (type) {
+    case "BOX":
+      return new THREE.Mesh(
+        new THREE.BoxGeometry(scale.x, scale.y, scale.z),
+        meshMaterial(),
+      );
+    case "SPHERE":
+      return new THREE.Mesh(
+        new THREE.SphereGeometry(0.5, 32, 16).scale(scale.x, scale.y, scale.z),
+        meshMaterial(),
+      );
+    case "CYLINDER":
+      // Gazebo cylinders are aligned with the Z axis.
+      return new THREE.Mesh(
+        new THREE.CylinderGeometry(0.5, 0.5, 1, 32)
+          .rotateX(Math.PI / 2)
+          .scale(scale.x, scale.y, scale.z),
+        meshMaterial(),
+      );
+    case "TEXT":
+      return createTextSprite(msg["text"] ?? "", color, scale.z);
+    case "LINE_STRIP":
+    case "LINE_LIST":
+    case "POINTS":
+    case "TRIANGLE_LIST":
+      break;
+    default:
+      return null;
+  }
+
+  // Lines, points and triangles can have a material per point. Points
+  // without one use the color of the marker.
+  const points: any[] = msg["point"] ?? [];
+  const materials: any[] = msg["materials"] ?? [];
+  const vertexColors = points.length > 0 && materials.length > 0;
+  const geometry = new THREE.BufferGeometry().setFromPoints(
+    points.map(
+      (point) =>
+        new THREE.Vector3(point["x"] ?? 0, point["y"] ?? 0, point["z"] ?? 0),
+    ),
+  );
+  if (vertexColors) {
+    geometry.setAttribute(
+      "color",
+      new THREE.Float32BufferAttribute(
+        points.flatMap((_point, i) =>
+          (materials[i] ? markerColor(materials[i]).color : color).toArray(),
+        ),
+        3,
+      ),
+    );
+  }
+
+  // White is neutral when the points have their own colors.
+  const materialOptions = {
+    color: vertexColors ? 0xffffff : color,
+    vertexColors,
+    opacity,
+    transparent: opacity < 1,
+  };
+  switch (type) {
+    case "LINE_STRIP":
+      return new THREE.Line(
+        geometry,
+        new THREE.LineBasicMaterial(materialOptions),
+      );
+    case "LINE_LIST":
+      return new THREE.LineSegments(
+        geometry,
+        new THREE.LineBasicMaterial(materialOptions),
+      );
+    case "POINTS":
+      return new THREE.Points(
+        geometry,
+        new THREE.PointsMaterial({ ...materialOptions, size: scale.x }),
+      );
+    default:
+      geometry.computeVertexNormals();
+      return new THREE.Mesh(
+        geometry,
+        new THREE.MeshPhongMaterial({
+          ...materialOptions,
+          side: THREE.DoubleSide,
+        }),
+      );
+  }
+}
+
+/**
+ * Get the color and opacity of a marker from its material.
+ */
+function markerColor(material: any): { color: THREE.Color; opacity: number } {
+  const source = material?.["diffuse"] ?? material?.["ambient"];
+  return {
+    color: new THREE.Color(
+      source?.["r"] ?? 1,
+      source?.["g"] ?? 1,
+      source?.["b"] ?? 1,
+    ),
+    opacity: source?.["a"] ?? 1,
+  };
+}
+
+/**
+ * Create a sprite with a text, which always faces the camera.
+ *
+ * @param text The text.
+ * @param color The color of the text.
+ * @param height The height of the text, in meters.
+ * @returns The sprite.
+ */
+function createTextSprite(
+  text: string,
+  color: THREE.Color,
+  height: number,
+): THREE.Sprite {
+  const fontSize = 64;
+  const canvas = document.createElement("canvas");
+  const context = canvas.getContext("2d")!;
+  context.font = `${fontSize}px sans-serif`;
+  canvas.width = Math.max(1, Math.ceil(context.measureText(text).width));
+  canvas.height = Math.ceil(fontSize * 1.25);
+
+  // Resizing the canvas resets the context.
+  context.font = `${fontSize}px sans-serif`;
+  context.fillStyle = `#${color.getHexString()}`;
+  context.textBaseline = "middle";
+  context.fillText(text, 0, canvas.height / 2);
+
+  const sprite = new THREE.Sprite(
+    new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas) }),
+  );
+  sprite.scale.set((height * canvas.width) / canvas.height, height, 1);
+  return sprite;
+}
+
+/**
+ * Remove a marker from its parent and free its resources.
+ */
+function disposeMarker(marker: THREE.Object3D): void {
+  marker.removeFromParent();
+  marker.traverse((obj: any) => {
+    obj.geometry?.dispose();
+    obj.material?.map?.dispose();
+    obj.material?.dispose();
+  });
+}
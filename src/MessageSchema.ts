@@ -0,0 +1,178 @@
+import {
+  Enum,
+  Field,
+  MapField,
+  Namespace,
+  ReflectionObject,
+  Type,
+} from "protobufjs";
+
+/**
+ * Description of a field of a message type.
+ */
+export interface FieldDescription {
+  /**
+   * Name of the field.
+   */
+  name: string;
+
+  /**
+   * Field number.
+   */
+  id: number;
+
+  /**
+   * Type of the field. Either a scalar type, such as `double` or `string`, or
+   * the full name of a message or enum type, such as `gz.msgs.Vector3d`.
+   */
+  type: string;
+
+  /**
+   * Whether the field is a list of values.
+   */
+  repeated: boolean;
+
+  /**
+   * Type of the keys, if the field is a map. The values are of `type`.
+   */
+  keyType?: string;
+
+  /**
+   * Whether the field is a message, described by `fields`.
+   */
+  nested: boolean;
+
+  /**
+   * Fields of the message type, if the field is a message. Not set for a
+   * message that contains itself, to avoid infinite recursion.
+   */
+  fields?: FieldDescription[];
+
+  /**
+   * Names of the values, if the field is an enum.
+   */
+  enumValues?: string[];
+}
+
+/**
+ * Get the full names of all the message types of a Root.
+ *
+ * @param root The protobufjs Root.
+ * @returns The names, sorted alphabetically, such as `gz.msgs.Pose`.
+ */
+export function listMessageTypes(root: Namespace): string[] {
+  const names: string[] = [];
+  const visit = (obj: ReflectionObject) => {
+    if (obj instanceof Type) {
+      names.push(fullName(obj));
+    }
+    if (obj instanceof Namespace) {
+      obj.nestedArray.forEach(visit);
+    }
+  };
+  root.nestedArray.forEach(visit);
+  return names.sort();
+}
+
+/**
+ * Describe the fields of a message type.
+ *
+ * @param type The message type.
+ * @returns The description of its fields, in declaration order.
+ */
+export function describeMessageType(type: Type): FieldDescription[] {
+  return describeFields(type, [type]);
+}
+
+/**
+ * Create a message of a type with all its fields set to their default value.
+ * Nested messages are populated as well, and repeated fields are empty.
+ *
+ * @param type The message type.
+ * @returns A plain object that can be passed to `Type.fromObject`.
+ */
+export function createMessageTemplate(type: Type): any {
+  return createTemplate(type, [type]);
+}
+
+/**
+ * Get the full name of a reflection object, without the leading dot.
+ */
+function fullName(obj: ReflectionObject): string {
+  return obj.fullName.replace(/^\./, "");
+}
+
+/**
+ * Describe the fields of a type. The path contains the types being described,
+ * to detect recursive types.
+ */
+function describeFields(type: Type, path: Type[]): FieldDescription[] {
+  return type.fieldsArray.map((field: Field) => {
+    field.resolve();
+    const resolved = field.resolvedType;
+    const description: FieldDescription = {
+      name: field.name,
+      id: field.id,
+      type: resolved ? fullName(resolved) : field.type,
+      repeated: field.repeated,
+      nested: resolved instanceof Type,
+    };
+
+    if (field instanceof MapField) {
+      description.keyType = field.keyType;
+    }
+    if (resolved instanceof Type && !path.includes(resolved)) {
+      description.fields = describeFields(resolved, [...path, resolved]);
+    }
+    if (resolved instanceof Enum) {
+      description.enumValues = Object.keys(resolved.values);
+    }
+    return description;
+  });
+}
+
+/**
+ * Create the template of a type. The path contains the types being created,
+ * to detect recursive types.
+ */
+function createTemplate(type: Type, path: Type[]): any {
+  const template: any = {};
+  type.fieldsArray.forEach((field: Field) => {
+    field.resolve();
+    if (field instanceof MapField) {
+      template[field.name] = {};
+    } else if (field.repeated) {
+      template[field.name] = [];
+    } else {
+      template[field.name] = defaultValue(field, path);
+    }
+  });
+  return template;
+}
+
+/**
+ * Get the default value of a field that is neither repeated nor a map.
+ * Recursive messages are set to null.
+ */
+function defaultValue(field: Field, path: Type[]): any {
+  const resolved = field.resolvedType;
+  if (resolved instanceof Type) {
+    return path.includes(resolved)
+      ? null
+      : createTemplate(resolved, [...path, resolved]);
+  }
+  if (resolved instanceof Enum) {
+    return Object.keys(resolved.values)[0];
+  }
+
+  switch (field.type) {
+    case "string":
+    case "bytes":
+      return "";
+    case "bool":
+      return false;
+    default:
+      // All the other scalar types are numbers.
+      return 0;
+  }
+}
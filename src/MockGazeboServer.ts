@@ -0,0 +1,544 @@
+import { parse, Root, Type } from "protobufjs";
+import { AssetError } from "./Asset";
+import { parseFrameHeader } from "./SessionRecorder";
+
+/**
+ * A topic advertised by the MockGazeboServer.
+ */
+export interface MockTopic {
+  topic: string;
+  msg_type: string;
+}
+
+/**
+ * Options of the MockGazeboServer.
+ */
+export interface MockGazeboServerOptions {
+  /**
+   * The message definitions (.proto bundle) sent to the clients. They must
+   * contain the StringMsg, StringMsg_V, Publishers and Scene messages of the
+   * Gazebo message package, such as `gz.msgs`.
+   */
+  protos: string;
+
+  /**
+   * Optional. The name of the world. Defaults to `default`.
+   */
+  world?: string;
+
+  /**
+   * Optional. The scene message, as a plain object. Empty by default.
+   */
+  scene?: object;
+
+  /**
+   * Optional. Other worlds hosted by the server, with their scene message.
+   */
+  otherWorlds?: { [name: string]: object };
+
+  /**
+   * Optional. The advertised topics.
+   */
+  topics?: MockTopic[];
+
+  /**
+   * Optional. If present, clients must authorize with this key.
+   */
+  key?: string;
+}
+
+/**
+ * A service handler of the MockGazeboServer. It receives the decoded request
+ * and returns the response, or a Promise of it.
+ */
+export type MockServiceHandler = (request: any) => object | Promise<object>;
+
+/**
+ * A connection to the MockGazeboServer. It has the interface of a browser
+ * WebSocket, as used by the Transport.
+ */
+export class MockGazeboSocket {
+  public onopen: ((event: any) => void) | null = null;
+  public onclose: ((event: any) => void) | null = null;
+  public onmessage: ((event: any) => void) | null = null;
+  public onerror: ((event: any) => void) | null = null;
+
+  /**
+   * WebSocket ready state: 0 connecting, 1 open, 3 closed.
+   */
+  public readyState: number = 0;
+
+  /**
+   * The url given by the client.
+   */
+  public url: string;
+
+  /**
+   * Names of the topics the client is subscribed to.
+   */
+  public subscriptions = new Set<string>();
+
+  /**
+   * Names of the topics the client advertised.
+   */
+  public advertisements = new Set<string>();
+
+  private server: MockGazeboServer;
+
+  constructor(server: MockGazeboServer, url: string) {
+    this.server = server;
+    this.url = url;
+    server.accept(this);
+  }
+
+  /**
+   * Send a frame to the server.
+   */
+  public send(data: string | ArrayBuffer | Uint8Array): void {
+    if (this.readyState !== 1) {
+      throw new Error("The socket is not open");
+    }
+    this.server.handleFrame(this, data);
+  }
+
+  /**
+   * Close the connection from the client side.
+   */
+  public close(code: number = 1000, reason: string = ""): void {
+    if (this.readyState === 3) {
+      return;
+    }
+    this.readyState = 3;
+    this.server.release(this);
+    this.onclose?.({ code, reason, wasClean: code === 1000 });
+  }
+}
+
+/**
+ * The MockGazeboServer stands in for a Gazebo websocket server in tests. It
+ * implements the frame protocol used by the Transport, and lets tests publish
+ * topic messages, answer service calls and serve assets.
+ *
+ * Its WebSocket class can be given to a Transport in place of the browser
+ * WebSocket:
+ *
+ * ```
+ * const server = new MockGazeboServer({ protos, world: "shapes" });
+ * const transport = new Transport({ webSocket: server.WebSocket });
+ * transport.connect("ws://mock");
+ * await server.waitForSubscription("/clock");
+ * server.publish("/clock", "gz.msgs.Clock", { sim: { sec: 1 } });
+ * ```
+ *
+ * Frames are delivered asynchronously, as Blobs, like a browser WebSocket.
+ *
+ * It is not part of the main bundle. Import it from `gzweb/testing`.
+ */
+export class MockGazeboServer {
+  /**
+   * WebSocket class that connects to this server.
+   */
+  public readonly WebSocket: new (url: string) => MockGazeboSocket;
+
+  /**
+   * The open connections.
+   */
+  public sockets: MockGazeboSocket[] = [];
+
+  private protos: string;
+  private root: Root;
+  private pkg: string;
+  private world: string;
+
+  /**
+   * The scene messages, by world.
+   */
+  private scenes = new Map<string, object>();
+  private topics: MockTopic[];
+  private key: string | undefined;
+  private services = new Map<string, [string, MockServiceHandler]>();
+  private assets = new Map<string, Uint8Array>();
+
+  /**
+   * Messages published by the clients, decoded, by topic.
+   */
+  private published = new Map<string, any[]>();
+
+  /**
+   * Callbacks waiting for a subscription, by topic.
+   */
+  private subscriptionWaiters = new Map<string, (() => void)[]>();
+
+  /**
+   * Whether new connections are accepted. See shutdown.
+   */
+  private running: boolean = true;
+
+  /**
+   * @param options The server options.
+   */
+  constructor(options: MockGazeboServerOptions) {
+    this.protos = options.protos;
+    this.root = parse(options.protos, { keepCase: true }).root;
+    this.pkg = ["gz.msgs", "ignition.msgs", "gazebo.msgs"].find(
+      (pkg) => this.root.lookup(`${pkg}.StringMsg`) instanceof Type,
+    )!;
+    if (!this.pkg) {
+      throw new Error("The message definitions lack a StringMsg message");
+    }
+    this.world = options.world ?? "default";
+    this.scenes.set(this.world, options.scene ?? {});
+    Object.entries(options.otherWorlds ?? {}).forEach(([world, scene]) =>
+      this.scenes.set(world, scene),
+    );
+    this.topics = options.topics ?? [];
+    this.key = options.key;
+
+    const server = this;
+    this.WebSocket = class extends MockGazeboSocket {
+      constructor(url: string) {
+        super(server, url);
+      }
+    };
+  }
+
+  /**
+   * Publish a message to the clients subscribed to a topic.
+   *
+   * @param topic The topic name.
+   * @param type The message type, such as `gz.msgs.Clock`.
+   * @param msg The message, as a plain object.
+   */
+  public publish(topic: string, type: string, msg: object): void {
+    const frame = this.encodeFrame("pub", topic, type, msg);
+    this.sockets
+      .filter((socket) => socket.subscriptions.has(topic))
+      .forEach((socket) => this.deliver(socket, frame));
+  }
+
+  /**
+   * Publish raw image data to the clients subscribed to an image topic. Image
+   * messages are not encoded: the frame payload is the compressed image, as
+   * sent by Gazebo.
+   *
+   * @param topic The topic name.
+   * @param type The message type, such as `ignition.msgs.Image`.
+   * @param data The compressed image, such as PNG data.
+   */
+  public publishImage(topic: string, type: string, data: Uint8Array): void {
+    const frame = this.createFrame("pub", topic, type, data);
+    this.sockets
+      .filter((socket) => socket.subscriptions.has(topic))
+      .forEach((socket) => this.deliver(socket, frame));
+  }
+
+  /**
+   * Advertise a topic. Clients discover it the next time they request the
+   * available topics.
+   *
+   * @param topic The topic name.
+   * @param type The message type.
+   */
+  public advertise(topic: string, type: string): void {
+    this.topics = this.topics.filter((pub) => pub.topic !== topic);
+    this.topics.push({ topic, msg_type: type });
+  }
+
+  /**
+   * Answer the calls to a service. Calls to other services, and calls whose
+   * handler throws, are answered with an error.
+   *
+   * @param service The service name.
+   * @param repType The response message type.
+   * @param handler The handler that creates the response.
+   */
+  public setService(
+    service: string,
+    repType: string,
+    handler: MockServiceHandler,
+  ): void {
+    this.services.set(service, [repType, handler]);
+  }
+
+  /**
+   * Serve an asset. Requests of other assets are answered with
+   * `asset_not_found`.
+   *
+   * @param uri The URI of the asset.
+   * @param data The contents.
+   */
+  public setAsset(uri: string, data: Uint8Array): void {
+    this.assets.set(uri, data);
+  }
+
+  /**
+   * Get the messages published by the clients on a topic.
+   *
+   * @param topic The topic name.
+   * @returns The decoded messages, in the order they were received.
+   */
+  public getPublished(topic: string): any[] {
+    return this.published.get(topic) ?? [];
+  }
+
+  /**
+   * Wait until a client subscribes to a topic.
+   *
+   * @param topic The topic name.
+   * @returns A Promise that resolves once a client is subscribed.
+   */
+  public waitForSubscription(topic: string): Promise<void> {
+    if (this.sockets.some((socket) => socket.subscriptions.has(topic))) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      const waiters = this.subscriptionWaiters.get(topic) ?? [];
+      waiters.push(resolve);
+      this.subscriptionWaiters.set(topic, waiters);
+    });
+  }
+
+  /**
+   * Close all the connections from the server side, as if it went down.
+   *
+   * @param code Optional. The close code. Defaults to 1006, abnormal closure.
+   */
+  public closeAll(code: number = 1006): void {
+    [...this.sockets].forEach((socket) => socket.close(code));
+  }
+
+  /**
+   * Close all the connections and refuse new ones until `restart` is called,
+   * as if the server went down for a while.
+   *
+   * @param code Optional. The close code. Defaults to 1006, abnormal closure.
+   */
+  public shutdown(code: number = 1006): void {
+    this.running = false;
+    this.closeAll(code);
+  }
+
+  /**
+   * Accept new connections again after a shutdown.
+   */
+  public restart(): void {
+    this.running = true;
+  }
+
+  /**
+   * Register a new connection. Used by MockGazeboSocket.
+   */
+  public accept(socket: MockGazeboSocket): void {
+    this.sockets.push(socket);
+    setTimeout(() => {
+      if (!this.running) {
+        socket.close(1006);
+      } else if (socket.readyState === 0) {
+        socket.readyState = 1;
+        socket.onopen?.({});
+      }
+    });
+  }
+
+  /**
+   * Unregister a closed connection. Used by MockGazeboSocket.
+   */
+  public release(socket: MockGazeboSocket): void {
+    this.sockets = this.sockets.filter((other) => other !== socket);
+  }
+
+  /**
+   * Handle a frame sent by a client. Used by MockGazeboSocket.
+   */
+  public handleFrame(
+    socket: MockGazeboSocket,
+    data: string | ArrayBuffer | Uint8Array,
+  ): void {
+    const bytes =
+      typeof data === "string"
+        ? new TextEncoder().encode(data)
+        : new Uint8Array(data);
+    const { parts, payloadOffset } = parseFrameHeader(bytes);
+    const [op, topic, type] = parts;
+    const payload = bytes.subarray(payloadOffset);
+
+    switch (op) {
+      case "auth": {
+        const authorized =
+          !this.key || new TextDecoder().decode(payload) === this.key;
+        this.deliver(socket, authorized ? "authorized" : "invalid");
+        break;
+      }
+      case "protos":
+        this.deliver(socket, this.protos);
+        break;
+      case "topics-types":
+        this.deliver(
+          socket,
+          this.encodeFrame("pub", "topics-types", `${this.pkg}.Publishers`, {
+            publisher: this.topics,
+          }),
+        );
+        break;
+      case "worlds":
+        this.deliver(
+          socket,
+          this.encodeFrame("pub", "worlds", `${this.pkg}.StringMsg_V`, {
+            data: [...this.scenes.keys()],
+          }),
+        );
+        break;
+      case "scene":
+        // The topic of the request is the world name.
+        this.deliver(
+          socket,
+          this.encodeFrame(
+            "pub",
+            "scene",
+            `${this.pkg}.Scene`,
+            this.scenes.get(topic) ?? {},
+          ),
+        );
+        break;
+      case "sub":
+      case "image":
+        socket.subscriptions.add(topic);
+        (this.subscriptionWaiters.get(topic) ?? []).forEach((cb) => cb());
+        this.subscriptionWaiters.delete(topic);
+        break;
+      case "unsub":
+        socket.subscriptions.delete(topic);
+        break;
+      case "adv":
+        socket.advertisements.add(topic);
+        break;
+      case "pub_in": {
+        const messages = this.published.get(topic) ?? [];
+        messages.push(this.decode(type, payload));
+        this.published.set(topic, messages);
+        break;
+      }
+      case "req":
+        this.handleServiceCall(socket, topic, this.decode(type, payload));
+        break;
+      case "asset":
+        this.handleAssetRequest(socket, new TextDecoder().decode(payload));
+        break;
+      default:
+        // Throttling is accepted without a response.
+        break;
+    }
+  }
+
+  /**
+   * Answer a service call with its handler, or with an error.
+   */
+  private async handleServiceCall(
+    socket: MockGazeboSocket,
+    service: string,
+    request: any,
+  ): Promise<void> {
+    const entry = this.services.get(service);
+    if (!entry) {
+      this.deliverServiceError(socket, service, "Service call failed");
+      return;
+    }
+
+    const [repType, handler] = entry;
+    let frame: Uint8Array;
+    try {
+      frame = this.encodeFrame("req", service, repType, await handler(request));
+    } catch (error) {
+      this.deliverServiceError(socket, service, `${error}`);
+      return;
+    }
+    this.deliver(socket, frame);
+  }
+
+  /**
+   * Answer a service call with an error, as a string message.
+   */
+  private deliverServiceError(
+    socket: MockGazeboSocket,
+    service: string,
+    reason: string,
+  ): void {
+    this.deliver(
+      socket,
+      this.encodeFrame("req", service, `${this.pkg}.StringMsg`, {
+        data: reason,
+      }),
+    );
+  }
+
+  /**
+   * Answer an asset request with its contents, or with an error.
+   */
+  private handleAssetRequest(socket: MockGazeboSocket, uri: string): void {
+    const data = this.assets.get(uri);
+    this.deliver(
+      socket,
+      data
+        ? this.encodeFrame("asset", uri, `${this.pkg}.Bytes`, { data })
+        : this.encodeFrame("asset", uri, `${this.pkg}.StringMsg`, {
+            data: AssetError.NOT_FOUND,
+          }),
+    );
+  }
+
+  /**
+   * Decode the payload of a frame. Empty payloads decode as empty messages.
+   */
+  private decode(type: string, payload: Uint8Array): any {
+    const msgType = this.root.lookup(type);
+    if (!(msgType instanceof Type)) {
+      return payload;
+    }
+    return msgType.toObject(msgType.decode(payload));
+  }
+
+  /**
+   * Build a frame with an encoded message.
+   */
+  private encodeFrame(
+    op: string,
+    topic: string,
+    type: string,
+    msg: object,
+  ): Uint8Array {
+    const msgType = this.root.lookupType(type);
+    return this.createFrame(
+      op,
+      topic,
+      type,
+      msgType.encode(msgType.fromObject(msg)).finish(),
+    );
+  }
+
+  /**
+   * Build a frame with a payload.
+   */
+  private createFrame(
+    op: string,
+    topic: string,
+    type: string,
+    payload: Uint8Array,
+  ): Uint8Array {
+    const header = new TextEncoder().encode(`${op},${topic},${type},`);
+    const frame = new Uint8Array(header.length + payload.length);
+    frame.set(header);
+    frame.set(payload, header.length);
+    return frame;
+  }
+
+  /**
+   * Send a frame to a client asynchronously.
+   */
+  private deliver(socket: MockGazeboSocket, data: string | Uint8Array): void {
+    setTimeout(() => {
+      if (socket.readyState === 1) {
+        socket.onmessage?.({ data: new Blob([data]) });
+      }
+    });
+  }
+}
@@ -1,4 +1,4 @@
-import { Vector3, Quaternion } from "three";
+import { Object3D, Vector3, Quaternion } from "three";
 
 export class Pose {
   public position: Vector3 = new Vector3();
@@ -14,3 +14,50 @@ export class Pose {
     }
   }
 }
+
+/**
+ * Set the pose of an object. Used by Scene.setPose.
+ *
+ * @param object The object.
+ * @param position The new position.
+ * @param orientation The new orientation.
+ */
+export function setObjectPose(
+  object: Object3D,
+  position: Vector3,
+  orientation: Quaternion,
+): void {
+  object.position.set(position.x, position.y, position.z);
+  object.quaternion.set(
+    orientation.x,
+    orientation.y,
+    orientation.z,
+    orientation.w,
+  );
+}
+
+/**
+ * Set the pose of an object from a Pose message. Missing fields default to
+ * the origin and to no rotation.
+ *
+ * @param object The object.
+ * @param msg The Pose message, as a plain object.
+ */
+export function setPoseFromMsg(object: Object3D, msg: any): void {
+  const position = msg["position"];
+  const orientation = msg["orientation"];
+  setObjectPose(
+    object,
+    new Vector3(
+      position?.["x"] ?? 0,
+      position?.["y"] ?? 0,
+      position?.["z"] ?? 0,
+    ),
+    new Quaternion(
+      orientation?.["x"] ?? 0,
+      orientation?.["y"] ?? 0,
+      orientation?.["z"] ?? 0,
+      orientation?.["w"] ?? 1,
+    ),
+  );
+}
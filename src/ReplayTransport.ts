@@ -0,0 +1,445 @@
+import * as JSZip from "jszip";
+import { parse, Root, Type } from "protobufjs";
+import { BehaviorSubject, Observable } from "rxjs";
+import { AssetError } from "./Asset";
+import { HANDSHAKE_TOPICS } from "./FrameDecoder";
+import {
+  decodeFrames,
+  RecordedFrame,
+  SESSION_VERSION,
+} from "./SessionRecorder";
+import { Transport } from "./Transport";
+
+/**
+ * A session recorded by a SessionRecorder.
+ */
+export interface RecordedSession {
+  /**
+   * The message definitions.
+   */
+  protos: string;
+
+  /**
+   * The raw `topics-types`, `worlds` and `scene` frames.
+   */
+  handshake: Map<string, Uint8Array>;
+
+  /**
+   * The recorded frames, sorted by time.
+   */
+  frames: RecordedFrame[];
+
+  /**
+   * The raw asset frames, by URI.
+   */
+  assets: Map<string, Uint8Array>;
+
+  /**
+   * Duration of the session, in milliseconds.
+   */
+  durationMs: number;
+}
+
+/**
+ * Load a session saved by a SessionRecorder.
+ *
+ * @param file The zip file.
+ * @returns A Promise that resolves with the session. It is rejected if the
+ * file is not a valid session.
+ */
+export async function loadSession(
+  file: Blob | ArrayBuffer | Uint8Array,
+): Promise<RecordedSession> {
+  const zip = await JSZip.loadAsync(
+    file instanceof Blob ? await file.arrayBuffer() : file,
+  );
+
+  const info = zip.file("session.json");
+  const protos = zip.file("protos.proto");
+  const frames = zip.file("frames.bin");
+  if (!info || !protos || !frames) {
+    throw new Error("The file is not a recorded session");
+  }
+
+  const metadata = JSON.parse(await info.async("string"));
+  if (metadata["version"] !== SESSION_VERSION) {
+    throw new Error(`Unsupported session version ${metadata["version"]}`);
+  }
+
+  const handshake = new Map<string, Uint8Array>();
+  for (const topic of HANDSHAKE_TOPICS) {
+    const entry = zip.file(`handshake/${topic}.bin`);
+    if (entry) {
+      handshake.set(topic, await entry.async("uint8array"));
+    }
+  }
+
+  const assets = new Map<string, Uint8Array>();
+  for (const uri of Object.keys(metadata["assets"] ?? {})) {
+    const entry = zip.file(metadata["assets"][uri]);
+    if (entry) {
+      assets.set(uri, await entry.async("uint8array"));
+    }
+  }
+
+  return {
+    protos: await protos.async("string"),
+    handshake,
+    frames: decodeFrames(await frames.async("uint8array")),
+    assets,
+    durationMs: metadata["durationMs"],
+  };
+}
+
+/**
+ * Stand-in for the Websocket of a ReplayTransport. It answers the requests of
+ * the Transport with the recorded data, and delivers the recorded frames of
+ * the subscribed topics.
+ */
+class ReplaySocket {
+  public onopen: (() => void) | null = null;
+  public onclose: ((event: any) => void) | null = null;
+  public onmessage: ((event: any) => void) | null = null;
+  public onerror: ((event: any) => void) | null = null;
+
+  /**
+   * Names of the subscribed topics.
+   */
+  private subscriptions = new Set<string>();
+
+  private session: RecordedSession;
+  private stringMsg: Type | null;
+  private closed: boolean = false;
+
+  /**
+   * @param session The recorded session.
+   * @param stringMsg The StringMsg type, used to answer requests for assets
+   * that were not recorded.
+   */
+  constructor(session: RecordedSession, stringMsg: Type | null) {
+    this.session = session;
+    this.stringMsg = stringMsg;
+    setTimeout(() => this.onopen?.());
+  }
+
+  /**
+   * Handle a message sent by the Transport.
+   */
+  public send(data: string | ArrayBuffer): void {
+    const text =
+      typeof data === "string" ? data : new TextDecoder().decode(data);
+    const [op, topic, , payload] = splitFrame(text);
+
+    switch (op) {
+      case "auth":
+        this.reply("authorized");
+        break;
+      case "protos":
+        this.reply(this.session.protos);
+        break;
+      case "topics-types":
+      case "worlds":
+      case "scene":
+        this.reply(this.session.handshake.get(op));
+        break;
+      case "sub":
+      case "image":
+        this.subscriptions.add(topic);
+        break;
+      case "unsub":
+        this.subscriptions.delete(topic);
+        break;
+      case "asset":
+        this.reply(
+          this.session.assets.get(payload) ?? this.assetNotFound(payload),
+        );
+        break;
+      default:
+        // Publications and service calls have no effect on a recording.
+        break;
+    }
+  }
+
+  /**
+   * Close the connection.
+   */
+  public close(): void {
+    this.closed = true;
+    this.onclose?.({ code: 1000, reason: "" });
+  }
+
+  /**
+   * Deliver a recorded frame, if its topic is subscribed to.
+   */
+  public deliver(frame: RecordedFrame): void {
+    if (this.subscriptions.has(frame.topic)) {
+      this.onmessage?.({ data: new Blob([frame.data]) });
+    }
+  }
+
+  /**
+   * Send a response asynchronously, as a server would.
+   */
+  private reply(data: string | Uint8Array | undefined): void {
+    if (data === undefined) {
+      return;
+    }
+
+    setTimeout(() => {
+      if (!this.closed) {
+        this.onmessage?.({ data: new Blob([data]) });
+      }
+    });
+  }
+
+  /**
+   * Build the frame sent by the server when an asset is not found.
+   */
+  private assetNotFound(uri: string): Uint8Array | undefined {
+    if (!this.stringMsg) {
+      return undefined;
+    }
+
+    const header = new TextEncoder().encode(
+      `asset,${uri},${this.stringMsg.fullName.substring(1)},`,
+    );
+    const payload = this.stringMsg
+      .encode({ data: AssetError.NOT_FOUND })
+      .finish();
+    const frame = new Uint8Array(header.length + payload.length);
+    frame.set(header);
+    frame.set(payload, header.length);
+    return frame;
+  }
+}
+
+/**
+ * Split a frame sent by the Transport into its four parts. The payload can
+ * contain commas.
+ */
+function splitFrame(text: string): string[] {
+  const parts: string[] = [];
+  let start = 0;
+  for (let i = 0; i < 3; ++i) {
+    const end = text.indexOf(",", start);
+    if (end < 0) {
+      break;
+    }
+    parts.push(text.substring(start, end));
+    start = end + 1;
+  }
+  parts.push(text.substring(start));
+  return parts;
+}
+
+/**
+ * The ReplayTransport plays a session recorded by a SessionRecorder back,
+ * without a Gazebo server. It can be given to a SceneManager in place of the
+ * default Transport.
+ *
+ * ```
+ * const transport = await ReplayTransport.load(file);
+ * const sceneMgr = new SceneManager({
+ *   elementId: "gz-scene",
+ *   transport,
+ *   websocketUrl: "replay",
+ * });
+ * transport.play();
+ * ```
+ *
+ * Service calls, such as play and pause requests, are not answered.
+ */
+export class ReplayTransport extends Transport {
+  private session: RecordedSession;
+  private socket: ReplaySocket | null = null;
+
+  /**
+   * StringMsg type of the recorded message definitions. Used to answer
+   * requests for assets that were not recorded.
+   */
+  private stringMsg: Type | null = null;
+
+  /**
+   * Playback position, in milliseconds since the start of the session.
+   */
+  private position$ = new BehaviorSubject<number>(0);
+
+  /**
+   * Index of the next frame to deliver.
+   */
+  private nextFrame: number = 0;
+
+  private speed: number = 1;
+  private lastTick: number = 0;
+  private playTimer: ReturnType<typeof setInterval> | undefined;
+
+  /**
+   * Load a session saved by a SessionRecorder and create a ReplayTransport
+   * for it.
+   *
+   * @param file The zip file.
+   * @returns A Promise that resolves with the transport.
+   */
+  public static async load(
+    file: Blob | ArrayBuffer | Uint8Array,
+  ): Promise<ReplayTransport> {
+    return new ReplayTransport(await loadSession(file));
+  }
+
+  /**
+   * @param session The session to replay.
+   */
+  constructor(session: RecordedSession) {
+    super();
+    this.session = session;
+
+    const root: Root = parse(session.protos, { keepCase: true }).root;
+    for (const name of [
+      "gz.msgs.StringMsg",
+      "ignition.msgs.StringMsg",
+      "gazebo.msgs.StringMsg",
+    ]) {
+      const type = root.lookup(name);
+      if (type instanceof Type) {
+        this.stringMsg = type;
+        break;
+      }
+    }
+  }
+
+  /**
+   * Start or resume the playback.
+   */
+  public play(): void {
+    if (this.playTimer !== undefined) {
+      return;
+    }
+    if (this.position$.getValue() >= this.session.durationMs) {
+      this.seek(0);
+    }
+
+    this.lastTick = Date.now();
+    this.playTimer = setInterval(() => this.tick(), 16);
+  }
+
+  /**
+   * Pause the playback.
+   */
+  public pause(): void {
+    clearInterval(this.playTimer);
+    this.playTimer = undefined;
+  }
+
+  /**
+   * Whether the session is being played.
+   */
+  public isPlaying(): boolean {
+    return this.playTimer !== undefined;
+  }
+
+  /**
+   * Move the playback to a position. The last frame of each topic before
+   * that position is delivered, so the scene reflects that moment.
+   *
+   * Scene changes are not undone when seeking backwards: models added after
+   * the new position remain, and models removed after it are not restored.
+   * Load the session again to replay it from a clean scene.
+   *
+   * @param positionMs The position, in milliseconds since the start of the
+   * session.
+   */
+  public seek(positionMs: number): void {
+    const position = Math.max(0, Math.min(positionMs, this.session.durationMs));
+    const frames = this.session.frames;
+
+    this.nextFrame = frames.findIndex((frame) => frame.time > position);
+    if (this.nextFrame < 0) {
+      this.nextFrame = frames.length;
+    }
+
+    const latest = new Map<string, RecordedFrame>();
+    for (let i = this.nextFrame - 1; i >= 0; --i) {
+      if (!latest.has(frames[i].topic)) {
+        latest.set(frames[i].topic, frames[i]);
+      }
+    }
+    [...latest.values()]
+      .sort((a, b) => a.time - b.time)
+      .forEach((frame) => this.socket?.deliver(frame));
+
+    this.position$.next(position);
+  }
+
+  /**
+   * Set the playback speed.
+   *
+   * @param speed The speed factor. For example, 2 plays the session twice as
+   * fast.
+   */
+  public setSpeed(speed: number): void {
+    this.speed = Math.max(0, speed);
+  }
+
+  /**
+   * Get the playback speed.
+   */
+  public getSpeed(): number {
+    return this.speed;
+  }
+
+  /**
+   * Get the duration of the session.
+   *
+   * @returns The duration, in milliseconds.
+   */
+  public getDuration(): number {
+    return this.session.durationMs;
+  }
+
+  /**
+   * Get the playback position as an observable.
+   *
+   * @returns An Observable of the position, in milliseconds since the start
+   * of the session.
+   */
+  public getPositionAsObservable(): Observable<number> {
+    return this.position$.asObservable();
+  }
+
+  public override disconnect(): void {
+    this.pause();
+    super.disconnect();
+    this.socket = null;
+  }
+
+  protected override createWebSocket(url: string): WebSocket {
+    this.socket = new ReplaySocket(this.session, this.stringMsg);
+    return this.socket as unknown as WebSocket;
+  }
+
+  /**
+   * Advance the playback and deliver the frames up to the new position.
+   */
+  private tick(): void {
+    const now = Date.now();
+    const position = Math.min(
+      this.position$.getValue() + (now - this.lastTick) * this.speed,
+      this.session.durationMs,
+    );
+    this.lastTick = now;
+
+    const frames = this.session.frames;
+    while (
+      this.nextFrame < frames.length &&
+      frames[this.nextFrame].time <= position
+    ) {
+      this.socket?.deliver(frames[this.nextFrame]);
+      this.nextFrame++;
+    }
+
+    this.position$.next(position);
+    if (position >= this.session.durationMs) {
+      this.pause();
+    }
+  }
+}
@@ -0,0 +1,297 @@
+import { AssetError, AssetFetchError } from "./Asset";
+import { createFuelUri, FUEL_HOST, IGN_FUEL_HOST } from "./FuelServer";
+import { FindResourceCb } from "./Scene";
+
+/**
+ * A stage of the ResourceResolver. Stages can rewrite URIs, fetch their
+ * contents, or both.
+ */
+export interface ResourceResolverStage {
+  /**
+   * Name of the stage, used to identify it.
+   */
+  name: string;
+
+  /**
+   * Optional. Rewrite a URI before it is loaded, for example to point it to
+   * a different server.
+   *
+   * @param uri The URI to rewrite.
+   * @returns The new URI, or undefined to keep it as is.
+   */
+  rewrite?(uri: string): string | undefined;
+
+  /**
+   * Optional. Whether a URI should be fetched by the stages before the
+   * loaders try to load it, for example because the stage has it cached.
+   *
+   * @param uri The URI, as rewritten by the stages.
+   * @returns True to fetch the URI instead of loading it.
+   */
+  fetchFirst?(uri: string): boolean;
+
+  /**
+   * Optional. Fetch the contents of a URI that could not be loaded directly.
+   *
+   * @param uri The URI to fetch, as it was before being rewritten.
+   * @param resolvedUri The URI, as rewritten by the stages.
+   * @returns A Promise that resolves with the contents, or with undefined to
+   * let the next stages fetch it.
+   */
+  fetch?(uri: string, resolvedUri: string): Promise<Uint8Array | undefined>;
+
+  /**
+   * Optional. Receive the contents of a URI fetched by a later stage, for
+   * example to cache them.
+   *
+   * @param uri The fetched URI, as it was before being rewritten.
+   * @param data The contents.
+   * @param resolvedUri The URI, as rewritten by the stages.
+   */
+  store?(uri: string, data: Uint8Array, resolvedUri: string): void;
+}
+
+/**
+ * The ResourceResolver is an ordered pipeline of stages used to find meshes,
+ * textures and other resources.
+ *
+ * When a resource is requested, its URI is given to the `rewrite` function of
+ * each stage, in order. Each stage receives the URI as rewritten by the
+ * previous ones. The loaders then try to load the resulting URI. If that
+ * fails, or if a stage asks for it with `fetchFirst`, the `fetch` function of
+ * each stage is called with the original URI, in order, until one of them
+ * returns the contents. The previous stages can then `store` them.
+ */
+export class ResourceResolver {
+  /**
+   * The stages, in the order they are used.
+   */
+  private stages: ResourceResolverStage[] = [];
+
+  /**
+   * The URIs given to resolveUri, by the URI they were rewritten to. Used to
+   * fetch the original URIs when the rewritten ones can't be loaded. Entries
+   * are deleted once the resource is loaded or fetched.
+   */
+  private originalUris = new Map<string, string>();
+
+  /**
+   * @param stages Optional. The initial stages.
+   */
+  constructor(stages: ResourceResolverStage[] = []) {
+    stages.forEach((stage) => this.addStage(stage));
+  }
+
+  /**
+   * Add a stage to the pipeline.
+   *
+   * @param stage The stage to add.
+   * @param index Optional. The position of the stage. It is added at the end
+   * of the pipeline by default.
+   */
+  public addStage(stage: ResourceResolverStage, index?: number): void {
+    if (index === undefined) {
+      this.stages.push(stage);
+    } else {
+      this.stages.splice(index, 0, stage);
+    }
+  }
+
+  /**
+   * Remove a stage from the pipeline.
+   *
+   * @param name The name of the stage to remove.
+   */
+  public removeStage(name: string): void {
+    this.stages = this.stages.filter((stage) => stage.name !== name);
+  }
+
+  /**
+   * Get the stages of the pipeline.
+   *
+   * @returns The stages, in the order they are used.
+   */
+  public getStages(): ResourceResolverStage[] {
+    return this.stages;
+  }
+
+  /**
+   * Rewrite a URI using all the stages, in order.
+   *
+   * @param uri The URI to rewrite.
+   * @returns The rewritten URI, or the same URI if no stage rewrote it.
+   */
+  public resolveUri(uri: string): string {
+    let resolved = uri;
+    for (const stage of this.stages) {
+      const rewritten = stage.rewrite ? stage.rewrite(resolved) : undefined;
+      if (rewritten !== undefined) {
+        resolved = rewritten;
+      }
+    }
+    if (resolved !== uri) {
+      this.originalUris.set(resolved, uri);
+    }
+    return resolved;
+  }
+
+  /**
+   * Whether a URI should be fetched before the loaders try to load it. See
+   * {@link ResourceResolverStage.fetchFirst}.
+   *
+   * @param uri The URI, as returned by resolveUri.
+   * @returns True if a stage asks to fetch the URI.
+   */
+  public fetchesFirst(uri: string): boolean {
+    return this.stages.some((stage) =>
+      stage.fetchFirst ? stage.fetchFirst(uri) : false,
+    );
+  }
+
+  /**
+   * Fetch the contents of a URI using the first stage able to fetch it.
+   * Errors of a stage are logged, and the next stage is used.
+   *
+   * If the URI was rewritten by resolveUri, the stages fetch the original
+   * one instead. They receive the rewritten one as well.
+   *
+   * @param resolvedUri The URI to fetch, as returned by resolveUri.
+   * @returns A Promise that resolves with the contents. It is rejected with
+   * an AssetFetchError if no stage could fetch it.
+   */
+  public async fetch(resolvedUri: string): Promise<Uint8Array> {
+    const uri = this.originalUris.get(resolvedUri) ?? resolvedUri;
+    try {
+      return await this.fetchWithStages(uri, resolvedUri);
+    } finally {
+      this.release(resolvedUri);
+    }
+  }
+
+  /**
+   * Forget the original URI of a rewritten one, once its resource was loaded
+   * or fetched.
+   *
+   * @param resolvedUri The URI, as returned by resolveUri.
+   */
+  public release(resolvedUri: string): void {
+    this.originalUris.delete(resolvedUri);
+  }
+
+  /**
+   * Fetch a URI using the first stage able to fetch it. See fetch.
+   */
+  private async fetchWithStages(
+    uri: string,
+    resolvedUri: string,
+  ): Promise<Uint8Array> {
+    for (let i = 0; i < this.stages.length; ++i) {
+      const stage = this.stages[i];
+      if (!stage.fetch) {
+        continue;
+      }
+
+      try {
+        const data = await stage.fetch(uri, resolvedUri);
+        if (data !== undefined) {
+          this.stages.slice(0, i).forEach((previous) => {
+            if (previous.store) {
+              previous.store(uri, data, resolvedUri);
+            }
+          });
+          return data;
+        }
+      } catch (error) {
+        console.error(`Resource stage ${stage.name} failed to fetch ${uri}`);
+      }
+    }
+
+    throw new AssetFetchError(uri, AssetError.NOT_FOUND);
+  }
+
+  /**
+   * Create a find resource callback that uses this pipeline. Used by the
+   * Scene loaders when they can't load a resource.
+   *
+   * @returns The callback.
+   */
+  public createFindResourceCb(): FindResourceCb {
+    return (uri: string, cb: any) => {
+      this.fetch(uri)
+        .then((data) => cb(data))
+        .catch((error) => cb(undefined, error));
+    };
+  }
+}
+
+/**
+ * Create a stage that rewrites local paths of Fuel resources to Fuel URLs.
+ * See {@link createFuelUri}.
+ *
+ * @returns The stage.
+ */
+export function createFuelStage(): ResourceResolverStage {
+  return {
+    name: "fuel",
+    rewrite: (uri: string) => {
+      const fuelUri = createFuelUri(uri.replace(/^(model|file):\/\//, ""));
+      if (
+        fuelUri.startsWith(`https://${FUEL_HOST}`) ||
+        fuelUri.startsWith(`https://${IGN_FUEL_HOST}`)
+      ) {
+        return fuelUri;
+      }
+      return undefined;
+    },
+  };
+}
+
+/**
+ * Create a stage that rewrites `model://` URIs to point to a static file
+ * server, such as a local mirror of the models.
+ *
+ * For example, with a base URL of `https://example.com/models`, the URI
+ * `model://box/meshes/box.dae` is rewritten to
+ * `https://example.com/models/box/meshes/box.dae`.
+ *
+ * @param baseUrl The URL of the directory that contains the models.
+ * @returns The stage.
+ */
+export function createStaticMirrorStage(
+  baseUrl: string,
+): ResourceResolverStage {
+  const base = baseUrl.replace(/\/+$/, "");
+  return {
+    name: "static-mirror",
+    rewrite: (uri: string) => {
+      if (!uri.startsWith("model://")) {
+        return undefined;
+      }
+      return `${base}/${uri.substring("model://".length)}`;
+    },
+  };
+}
+
+/**
+ * Create a stage that fetches resources using a find resource callback, such
+ * as one that gets assets from a websocket server.
+ *
+ * @param name The name of the stage.
+ * @param findResourceCb The callback. It receives the URI, and a callback
+ * to call with the contents and an error, if any.
+ * @returns The stage.
+ */
+export function createFindResourceStage(
+  name: string,
+  findResourceCb: FindResourceCb,
+): ResourceResolverStage {
+  return {
+    name,
+    fetch: (uri: string) =>
+      new Promise((resolve) => {
+        findResourceCb(uri, (data: any, error?: any) => {
+          resolve(error !== undefined || !data ? undefined : data);
+        });
+      }),
+  };
+}
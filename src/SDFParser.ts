@@ -3,7 +3,7 @@ import { EventEmitter2 } from "eventemitter2";
 import { X2jOptions, XMLParser, XMLValidator } from "fast-xml-parser";
 
 import { getDescendants } from "./Globals";
-import { FuelServer, createFuelUri } from "./FuelServer";
+import { FuelServer } from "./FuelServer";
 import { Color } from "./Color";
 import { Inertia } from "./Inertia";
 import { Material } from "./Material";
@@ -26,8 +26,6 @@ import System, {
   // @ts-ignore
 } from "three-nebula";
 
-import { Message } from "protobufjs";
-
 class PendingMesh {
   public meshUri: string = "";
   public submesh: string = "";
@@ -786,7 +784,6 @@ export class SDFParser {
       let meshUri: string = geom.mesh.uri || geom.mesh.filename;
       let submesh: string = "";
       let centerSubmesh: boolean = false;
-      let modelName: string = "";
 
       if (geom.mesh.submesh) {
         // Submesh information coming from protobuf messages is slightly
@@ -803,13 +800,6 @@ export class SDFParser {
         }
       }
 
-      var uriType = meshUri.substring(0, meshUri.indexOf("://"));
-      if (uriType === "file" || uriType === "model") {
-        modelName = meshUri.substring(meshUri.indexOf("://") + 3);
-      } else {
-        modelName = meshUri;
-      }
-
       if (geom.mesh.scale) {
         var scale = this.parseScale(geom.mesh.scale);
         parent.scale.x = scale.x;
@@ -817,8 +807,8 @@ export class SDFParser {
         parent.scale.z = scale.z;
       }
 
-      // Create a valid Fuel URI from the model name
-      let modelUri: string = createFuelUri(modelName);
+      // Let the resolver rewrite the URI, for example to a Fuel URL.
+      let modelUri: string = this.scene.resolver.resolveUri(meshUri);
 
       let ext: string = modelUri.substr(-4).toLowerCase();
       let materialName: string = parent.name + "::" + modelUri;
@@ -1740,7 +1730,7 @@ export class SDFParser {
    * @return {THREE.Object3D} A THREE.Object3D that contains the particle emitter.
    */
   public createParticleEmitter(
-    emitter: { [key: string]: any | Message },
+    emitter: { [key: string]: any },
     parent: THREE.Object3D,
   ): THREE.Object3D {
     // Particle Emitter is handled with Three Nebula, a third-party library.
@@ -1749,14 +1739,15 @@ export class SDFParser {
     // Auxliar function to extract the value of an emitter property from
     // either SDF or protobuf object (stored in a data property).
     function extractValue(property: string): any | undefined {
-      if (emitter && emitter[property] !== undefined) {
+      if (
+        emitter &&
+        emitter[property] !== undefined &&
+        emitter[property] !== null
+      ) {
         if (emitter[property].data !== undefined) {
-          // The Message Prototype has data, but if not specified, it uses a default
-          // value (like 0 or false). We want only explicitly set data, which we get by converting
-          // the message to JSON.
-          const value = emitter[property] as Message;
-          const valueJson = value.toJSON();
-          return valueJson.data;
+          // Wrapper messages, such as Double, keep their value in data.
+          // Unset wrappers are null.
+          return emitter[property].data;
         } else {
           return emitter[property];
         }
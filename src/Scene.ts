@@ -10,9 +10,14 @@ import { EventEmitter2 } from "eventemitter2";
 import { GzObjLoader } from "./GzObjLoader";
 import { ModelUserData } from "./ModelUserData";
 import { OrbitControls } from "../include/OrbitControls";
-
-import { createFuelUri } from "./FuelServer";
-import { Pose } from "./Pose";
+import { TransformControls } from "three/examples/jsm/controls/TransformControls.js";
+
+import {
+  createFindResourceStage,
+  createFuelStage,
+  ResourceResolver,
+} from "./ResourceResolver";
+import { Pose, setObjectPose } from "./Pose";
 import { SDFParser } from "./SDFParser";
 import { Shaders } from "./Shaders";
 import { SpawnModel } from "./SpawnModel";
@@ -44,6 +49,7 @@ export interface SceneConfig {
   defaultCameraLookAt?: THREE.Vector3;
   backgroundColor?: THREE.Color;
   findResourceCb?: FindResourceCb;
+  resolver?: ResourceResolver;
 }
 
 /**
@@ -64,6 +70,11 @@ export interface SceneConfig {
  *                        0xb2b2b2 will be used if undefined.
  *
  * @param {function(resource)} findResourceCb - A function callback that can be used to help
+ * @param {ResourceResolver} resolver - The pipeline used to find resources.
+ *                                      If undefined, one that rewrites Fuel
+ *                                      paths will be used. The
+ *                                      findResourceCb is added as its last
+ *                                      stage.
  * @constructor
  */
 export class Scene {
@@ -73,6 +84,7 @@ export class Scene {
   public requestHeader: any;
   public scene: THREE.Scene;
   public camera: THREE.PerspectiveCamera;
+  public resolver: ResourceResolver;
 
   private name: string;
   private emitter: EventEmitter2;
@@ -113,6 +125,7 @@ export class Scene {
   private jointAxis: THREE.Object3D;
   private boundingBox: THREE.LineSegments;
   private controls: OrbitControls;
+  private modelManipulator: TransformControls;
   private COMvisual: THREE.Object3D;
   private ray: THREE.Raycaster;
   private simpleShapesMaterial: THREE.MeshPhongMaterial;
@@ -132,8 +145,18 @@ export class Scene {
   constructor(config: SceneConfig) {
     this.emitter = new EventEmitter2({ verboseMemoryLeak: true });
     this.shaders = config.shaders;
+
+    // All the resources are found through the resolver pipeline. Loaders use
+    // it as a fallback if it is able to fetch resources.
+    this.resolver =
+      config.resolver ?? new ResourceResolver([createFuelStage()]);
     if (config.findResourceCb) {
-      this.findResourceCb = config.findResourceCb;
+      this.resolver.addStage(
+        createFindResourceStage("findResource", config.findResourceCb),
+      );
+    }
+    if (this.resolver.getStages().some((stage) => stage.fetch)) {
+      this.findResourceCb = this.resolver.createFindResourceCb();
     }
 
     // This matches Gazebo's default camera position
@@ -492,10 +515,6 @@ export class Scene {
         function(event: TouchEvent) {that.onPointerUp(event);}, false );
        */
 
-    // Handles for translating and rotating objects
-    //this.modelManipulator = new Manipulator(this.camera, false,
-    //    this.getDomElement());
-
     // this.timeDown = null;
 
     // Create a ray caster
@@ -511,6 +530,22 @@ export class Scene {
     this.controls.enableDamping = false;
     this.controls.screenSpacePanning = true;
 
+    // Handles for translating, rotating and scaling objects.
+    // The camera controls are disabled while the handles are dragged.
+    this.modelManipulator = new TransformControls(
+      this.camera,
+      this.getDomElement(),
+    );
+    this.modelManipulator.addEventListener("dragging-changed", (event: any) => {
+      this.controls.enabled = !event.value;
+    });
+    // Let listeners know the entity was moved once the handles are released.
+    this.modelManipulator.addEventListener("mouseUp", () => {
+      if (this.modelManipulator.object) {
+        this.emitter.emit("entityChanged", this.modelManipulator.object);
+      }
+    });
+
     // Bounding Box
     var indices = new Uint16Array([
       0, 1, 1, 2, 2, 3, 3, 0, 4, 5, 5, 6, 6, 7, 7, 4, 0, 4, 1, 5, 2, 6, 3, 7,
@@ -735,6 +770,16 @@ export class Scene {
     this.COMvisual.add(mesh);
   }
 
+  /**
+   * Remove the sky added by addSky. The background color is shown instead.
+   */
+  public removeSky(): void {
+    if (this.scene.background instanceof THREE.Texture) {
+      this.scene.background.dispose();
+    }
+    this.scene.background = null;
+  }
+
   public addSky(cubemap?: string): void {
     if (cubemap === undefined) {
       const cubeLoader = new THREE.CubeTextureLoader();
@@ -799,75 +844,78 @@ export class Scene {
         (error: any) => {
           if (this.findResourceCb) {
             // Get the mesh from the websocket server.
-            this.findResourceCb(cubemap, (material: any, error?: string) => {
-              if (error !== undefined) {
-                // Mark the texture as error in the loading manager.
-                const manager = this.ddsLoader.manager as WsLoadingManager;
-                manager.markAsError(cubemap);
-                return;
-              }
-
-              // Parse the DDS data.
-              const texDatas = this.ddsLoader.parse(
-                material.buffer.slice(material.byteOffset),
-                true,
-              );
+            this.resolver
+              .fetch(cubemap)
+              .then((material: any) => {
+                // Parse the DDS data.
+                const texDatas = this.ddsLoader.parse(
+                  material.buffer.slice(material.byteOffset),
+                  true,
+                );
 
-              const images: HTMLImageElement[] = [];
-              let texture: THREE.CubeTexture;
-
-              // This `if` statement was taken from https://github.com/mrdoob/three.js/blob/master/src/loaders/CompressedTextureLoader.js#L83
-              if (texDatas["isCubemap"]) {
-                const faces =
-                  texDatas["mipmaps"].length / texDatas["mipmapCount"];
-                for (let f = 0; f < faces; f++) {
-                  for (let i = 0; i < texDatas["mipmapCount"]; i++) {
-                    let data: Uint8Array =
-                      texDatas["mipmaps"][f * texDatas["mipmapCount"] + i][
-                        "data"
-                      ];
-                    // Convert binary data to an image
-                    let imageElem = binaryToImage(
-                      data,
-                      texDatas["width"],
-                      texDatas["height"],
-                    );
-                    images.push(imageElem);
+                const images: HTMLImageElement[] = [];
+                let texture: THREE.CubeTexture;
+
+                // This `if` statement was taken from https://github.com/mrdoob/three.js/blob/master/src/loaders/CompressedTextureLoader.js#L83
+                if (texDatas["isCubemap"]) {
+                  const faces =
+                    texDatas["mipmaps"].length / texDatas["mipmapCount"];
+                  for (let f = 0; f < faces; f++) {
+                    for (let i = 0; i < texDatas["mipmapCount"]; i++) {
+                      let data: Uint8Array =
+                        texDatas["mipmaps"][f * texDatas["mipmapCount"] + i][
+                          "data"
+                        ];
+                      // Convert binary data to an image
+                      let imageElem = binaryToImage(
+                        data,
+                        texDatas["width"],
+                        texDatas["height"],
+                      );
+                      images.push(imageElem);
+                    }
                   }
+                } else {
+                  console.error(
+                    "Texture is not a cubemap. Sky will not be set.",
+                  );
+                  // Mark the texture as error in the loading manager.
+                  const manager = this.ddsLoader.manager as WsLoadingManager;
+                  manager.markAsError(cubemap);
+                  return;
                 }
-              } else {
-                console.error("Texture is not a cubemap. Sky will not be set.");
-                // Mark the texture as error in the loading manager.
-                const manager = this.ddsLoader.manager as WsLoadingManager;
-                manager.markAsError(cubemap);
-                return;
-              }
 
-              // Reorder the images to support ThreeJS coordinate system.
-              const reorderImages = [
-                images[1],
-                images[0],
-                images[2],
-                images[3],
-                images[5],
-                images[4],
-              ];
-
-              this.scene.background = new THREE.CubeTexture(reorderImages);
-              this.scene.background.format = (<unknown>(
-                texDatas["format"]
-              )) as THREE.PixelFormat;
-
-              if (texDatas["mipmapCount"] === 1) {
-                this.scene.background.minFilter = THREE.LinearFilter;
-              }
+                // Reorder the images to support ThreeJS coordinate system.
+                const reorderImages = [
+                  images[1],
+                  images[0],
+                  images[2],
+                  images[3],
+                  images[5],
+                  images[4],
+                ];
+
+                this.scene.background = new THREE.CubeTexture(reorderImages);
+                this.scene.background.format = (<unknown>(
+                  texDatas["format"]
+                )) as THREE.PixelFormat;
+
+                if (texDatas["mipmapCount"] === 1) {
+                  this.scene.background.minFilter = THREE.LinearFilter;
+                }
 
-              this.scene.background.needsUpdate = true;
+                this.scene.background.needsUpdate = true;
 
-              // Mark the texture as done in the loading manager.
-              const manager = this.ddsLoader.manager as WsLoadingManager;
-              manager.markAsDone(cubemap);
-            });
+                // Mark the texture as done in the loading manager.
+                const manager = this.ddsLoader.manager as WsLoadingManager;
+                manager.markAsDone(cubemap);
+              })
+              .catch((error) => {
+                console.error(`Unable to load the texture ${cubemap}`, error);
+                // Mark the texture as error in the loading manager.
+                const manager = this.ddsLoader.manager as WsLoadingManager;
+                manager.markAsError(cubemap);
+              });
           }
         },
       );
@@ -1412,11 +1460,14 @@ export class Scene {
     position: THREE.Vector3,
     orientation: THREE.Quaternion,
   ): void {
-    /*if (this.modelManipulator && this.modelManipulator.object &&
-        this.modelManipulator.hovered)
-    {
+    // Don't move the model while it is being manipulated.
+    if (
+      this.modelManipulator &&
+      this.modelManipulator.dragging &&
+      this.modelManipulator.object === model
+    ) {
       return;
-    }*/
+    }
 
     this.setPose(model, position, orientation);
   }
@@ -1432,13 +1483,7 @@ export class Scene {
     position: THREE.Vector3,
     orientation: THREE.Quaternion,
   ): void {
-    model.position.x = position.x;
-    model.position.y = position.y;
-    model.position.z = position.z;
-    model.quaternion.w = orientation.w;
-    model.quaternion.x = orientation.x;
-    model.quaternion.y = orientation.y;
-    model.quaternion.z = orientation.z;
+    setObjectPose(model, position, orientation);
   }
 
   public removeAll(): void {
@@ -1957,8 +2002,7 @@ export class Scene {
       }
 
       for (let t = 0; t < textures.length; ++t) {
-        const diffuseUri = createFuelUri(textures[t].diffuse);
-        texturesLoaded[t] = this.loadTexture(diffuseUri);
+        texturesLoaded[t] = this.loadTexture(textures[t].diffuse);
         configTexture(
           texturesLoaded[t],
           new THREE.Vector2(
@@ -1967,10 +2011,8 @@ export class Scene {
           ),
         );
 
-        let normalUri;
         if (textures[t].normal) {
-          normalUri = createFuelUri(textures[t].normal);
-          normalsLoaded[t] = this.loadTexture(normalUri);
+          normalsLoaded[t] = this.loadTexture(textures[t].normal);
           configTexture(
             normalsLoaded[t],
             new THREE.Vector2(
@@ -2183,7 +2225,8 @@ export class Scene {
     }
 
     if (!filestring) {
-      this.colladaLoader.load(
+      this.loadResource(
+        this.colladaLoader,
         uri,
         // onLoad callback
         function (collada: any) {
@@ -2195,22 +2238,26 @@ export class Scene {
         (error: any) => {
           if (this.findResourceCb) {
             // Get the mesh from the websocket server.
-            this.findResourceCb(uri, (mesh: any, error?: string) => {
-              if (error !== undefined) {
+            this.resolver
+              .fetch(uri)
+              .then((mesh: any) => {
+                meshReady(
+                  this.colladaLoader.parse(
+                    new TextDecoder().decode(mesh),
+                    THREE.LoaderUtils.extractUrlBase(uri),
+                  ),
+                );
+
+                // Mark the mesh as done in the loading manager.
+                const manager = this.colladaLoader.manager as WsLoadingManager;
+                manager.markAsDone(uri);
+              })
+              .catch((error) => {
+                console.error(`Unable to load the mesh ${uri}`, error);
                 // Mark the mesh as error in the loading manager.
                 const manager = this.colladaLoader.manager as WsLoadingManager;
                 manager.markAsError(uri);
-                return;
-              }
-
-              meshReady(
-                this.colladaLoader.parse(new TextDecoder().decode(mesh), uri),
-              );
-
-              // Mark the mesh as done in the loading manager.
-              const manager = this.colladaLoader.manager as WsLoadingManager;
-              manager.markAsDone(uri);
-            });
+              });
           }
         },
       );
@@ -2404,7 +2451,8 @@ export class Scene {
   ): void {
     var mesh = null;
     var that = this;
-    this.stlLoader.load(
+    this.loadResource(
+      this.stlLoader,
       uri,
       // onLoad
       function (geometry: THREE.BufferGeometry) {
@@ -2427,22 +2475,23 @@ export class Scene {
       function (error: any) {
         if (that.findResourceCb) {
           // Get the mesh from the websocket server.
-          that.findResourceCb(uri, (rawmesh: any, error?: string) => {
-            if (error !== undefined) {
+          that.resolver
+            .fetch(uri)
+            .then((rawmesh: any) => {
+              let decoded = that.stlLoader.parse(rawmesh);
+              decoded.name = uri;
+              onLoad(decoded);
+
+              // Mark the mesh as done in the loading manager.
+              const manager = that.stlLoader.manager as WsLoadingManager;
+              manager.markAsDone(uri);
+            })
+            .catch((error) => {
+              console.error(`Unable to load the mesh ${uri}`, error);
               // Mark the mesh as error in the loading manager.
               const manager = that.stlLoader.manager as WsLoadingManager;
               manager.markAsError(uri);
-              return;
-            }
-
-            let decoded = that.stlLoader.parse(rawmesh);
-            decoded.name = uri;
-            onLoad(decoded);
-
-            // Mark the mesh as done in the loading manager.
-            const manager = that.stlLoader.manager as WsLoadingManager;
-            manager.markAsDone(uri);
-          });
+            });
         }
       },
     );
@@ -2464,7 +2513,8 @@ export class Scene {
     onError: any,
   ): void {
     let that = this;
-    this.gltfLoader.load(
+    this.loadResource(
+      this.gltfLoader,
       uri,
       // onLoad callback
       function (gltf: any) {
@@ -2482,84 +2532,88 @@ export class Scene {
       (error: any) => {
         if (this.findResourceCb) {
           // Get the mesh from the websocket server.
-          this.findResourceCb(uri, (data: any, error?: string) => {
-            if (error !== undefined) {
-              // Mark the mesh as error in the loading manager.
-              const manager = this.gltfLoader.manager as WsLoadingManager;
-              manager.markAsError(uri);
-              return;
-            }
-
-            // The GLTFLoader expects an ArrayBuffer for binary data (GLB files).
-            // However, the data received might be a Uint8Array or even a string depending on the transport.
-            // We need to detect if it's a binary GLB file (starts with "glTF" magic bytes) and convert it
-            // to a clean ArrayBuffer if necessary.
-
-            let resourceContent = data;
-            let isGLB = false;
-
-            // Check for GLB binary header "glTF" (0x67 0x6C 0x54 0x46)
-            if (typeof data === "string" && data.startsWith("glTF")) {
-              isGLB = true;
-            } else if (data instanceof Uint8Array && data.length >= 4) {
-              if (
-                data[0] === 0x67 &&
-                data[1] === 0x6c &&
-                data[2] === 0x54 &&
-                data[3] === 0x46
-              ) {
-                isGLB = true;
-              }
-            } else if (data instanceof ArrayBuffer && data.byteLength >= 4) {
-              const header = new Uint8Array(data, 0, 4);
-              if (
-                header[0] === 0x67 &&
-                header[1] === 0x6c &&
-                header[2] === 0x54 &&
-                header[3] === 0x46
-              ) {
+          this.resolver
+            .fetch(uri)
+            .then((data: any) => {
+              // The GLTFLoader expects an ArrayBuffer for binary data (GLB files).
+              // However, the data received might be a Uint8Array or even a string depending on the transport.
+              // We need to detect if it's a binary GLB file (starts with "glTF" magic bytes) and convert it
+              // to a clean ArrayBuffer if necessary.
+
+              let resourceContent = data;
+              let isGLB = false;
+
+              // Check for GLB binary header "glTF" (0x67 0x6C 0x54 0x46)
+              if (typeof data === "string" && data.startsWith("glTF")) {
                 isGLB = true;
+              } else if (data instanceof Uint8Array && data.length >= 4) {
+                if (
+                  data[0] === 0x67 &&
+                  data[1] === 0x6c &&
+                  data[2] === 0x54 &&
+                  data[3] === 0x46
+                ) {
+                  isGLB = true;
+                }
+              } else if (data instanceof ArrayBuffer && data.byteLength >= 4) {
+                const header = new Uint8Array(data, 0, 4);
+                if (
+                  header[0] === 0x67 &&
+                  header[1] === 0x6c &&
+                  header[2] === 0x54 &&
+                  header[3] === 0x46
+                ) {
+                  isGLB = true;
+                }
               }
-            }
 
-            // If it is a GLB file but in string format (e.g. from some websocket frames),
-            // convert the string to an ArrayBuffer.
-            if (isGLB && typeof data === "string") {
-              const len = data.length;
-              const array = new Uint8Array(len);
-              for (let i = 0; i < len; i++) {
-                array[i] = data.charCodeAt(i);
+              // If it is a GLB file but in string format (e.g. from some websocket frames),
+              // convert the string to an ArrayBuffer.
+              if (isGLB && typeof data === "string") {
+                const len = data.length;
+                const array = new Uint8Array(len);
+                for (let i = 0; i < len; i++) {
+                  array[i] = data.charCodeAt(i);
+                }
+                resourceContent = array.buffer;
+              } else if (data instanceof Uint8Array) {
+                // If it's a Uint8Array, use slice().buffer to get a fresh ArrayBuffer view
+                // of just the data we need, without any offset issues.
+                resourceContent = data.slice().buffer;
               }
-              resourceContent = array.buffer;
-            } else if (data instanceof Uint8Array) {
-              // If it's a Uint8Array, use slice().buffer to get a fresh ArrayBuffer view
-              // of just the data we need, without any offset issues.
-              resourceContent = data.slice().buffer;
-            }
 
-            this.gltfLoader.parse(
-              resourceContent,
-              uri,
-              (gltf: any) => {
-                let mesh = gltf.scene;
-                mesh.name = uri;
-                if (submesh && that.useSubMesh(mesh, submesh, centerSubmesh)) {
-                  onLoad(mesh);
-                } else if (!submesh) {
-                  onLoad(mesh);
-                }
+              this.gltfLoader.parse(
+                resourceContent,
+                THREE.LoaderUtils.extractUrlBase(uri),
+                (gltf: any) => {
+                  let mesh = gltf.scene;
+                  mesh.name = uri;
+                  if (
+                    submesh &&
+                    that.useSubMesh(mesh, submesh, centerSubmesh)
+                  ) {
+                    onLoad(mesh);
+                  } else if (!submesh) {
+                    onLoad(mesh);
+                  }
 
-                // Mark the mesh as done in the loading manager.
-                const manager = this.gltfLoader.manager as WsLoadingManager;
-                manager.markAsDone(uri);
-              },
-              (error: any) => {
-                console.error("Error parsing GLTF from websocket", error);
-                const manager = this.gltfLoader.manager as WsLoadingManager;
-                manager.markAsError(uri);
-              },
-            );
-          });
+                  // Mark the mesh as done in the loading manager.
+                  const manager = this.gltfLoader.manager as WsLoadingManager;
+                  manager.markAsDone(uri);
+                },
+                (error: any) => {
+                  console.error("Error parsing GLTF from websocket", error);
+                  const manager = this.gltfLoader.manager as WsLoadingManager;
+                  manager.markAsError(uri);
+                },
+              );
+            })
+            .catch((error) => {
+              console.error(`Unable to load the mesh ${uri}`, error);
+              // Mark the mesh as error in the loading manager.
+              const manager = this.gltfLoader.manager as WsLoadingManager;
+              manager.markAsError(uri);
+            });
         }
       },
     );
@@ -2689,28 +2743,24 @@ export class Scene {
   }
 
   /**
-   * Set manipulation mode (view/translate/rotate)
+   * Set manipulation mode (view/translate/rotate/scale)
+   * Setting the current mode again toggles the manipulation space between
+   * world and local.
    * @param {string} mode
    */
   public setManipulationMode(mode: string): void {
-    this.manipulationMode = mode;
-
     if (mode === "view") {
-      /*if (this.modelManipulator.object)
-      {
-        this.emitter.emit('entityChanged', this.modelManipulator.object);
-      }*/
+      this.manipulationMode = mode;
       this.selectEntity(null);
     } else {
       // Toggle manipulaion space (world / local)
-      /*if (this.modelManipulator.mode === this.manipulationMode)
-      {
-        this.modelManipulator.space =
-          (this.modelManipulator.space === 'world') ? 'local' : 'world';
+      if (this.manipulationMode === mode) {
+        this.setManipulationSpace(
+          this.modelManipulator.space === "world" ? "local" : "world",
+        );
       }
-      this.modelManipulator.mode = this.manipulationMode;
-      this.modelManipulator.setMode(this.modelManipulator.mode);
-     */
+      this.manipulationMode = mode;
+
       // model was selected during view mode
       if (this.selectedEntity) {
         this.selectEntity(this.selectedEntity);
@@ -2718,6 +2768,31 @@ export class Scene {
     }
   }
 
+  /**
+   * Set the space used to manipulate the entities.
+   * @param {string} space - Either 'world' or 'local'.
+   */
+  public setManipulationSpace(space: string): void {
+    this.modelManipulator.setSpace(space as "world" | "local");
+  }
+
+  /**
+   * Set the snapping used to manipulate the entities. A null value disables
+   * the snapping.
+   * @param {number | null} translation - Translation snap, in meters.
+   * @param {number | null} rotation - Rotation snap, in radians.
+   * @param {number | null} scale - Scale snap.
+   */
+  public setManipulationSnap(
+    translation: number | null,
+    rotation: number | null,
+    scale: number | null = null,
+  ): void {
+    this.modelManipulator.setTranslationSnap(translation);
+    this.modelManipulator.setRotationSnap(rotation);
+    this.modelManipulator.setScaleSnap(scale);
+  }
+
   /**
    * Show collision visuals
    * @param {boolean} show
@@ -2749,21 +2824,27 @@ export class Scene {
   /**
    * Attach manipulator to an object
    * @param {THREE.Object3D} model
-   * @param {string} mode (translate/rotate)
+   * @param {string} mode (view/translate/rotate/scale)
    */
   public attachManipulator(model: THREE.Object3D, mode: string): void {
-    /*if (this.modelManipulator.object)
-    {
-      this.emitter.emit('entityChanged', this.modelManipulator.object);
+    if (mode === "view") {
+      this.detachManipulator();
+      return;
     }
 
-    if (mode !== 'view')
-    {
-      this.modelManipulator.attach(model);
-      this.modelManipulator.mode = mode;
-      this.modelManipulator.setMode( this.modelManipulator.mode );
-      this.scene.add(this.modelManipulator.gizmo);
-    }*/
+    this.modelManipulator.attach(model);
+    this.modelManipulator.setMode(mode as "translate" | "rotate" | "scale");
+    this.scene.add(this.modelManipulator);
+  }
+
+  /**
+   * Detach the manipulator from the object it is attached to, if any.
+   */
+  public detachManipulator(): void {
+    if (this.modelManipulator.object) {
+      this.modelManipulator.detach();
+    }
+    this.scene.remove(this.modelManipulator);
   }
 
   /**
@@ -3201,11 +3282,7 @@ export class Scene {
       this.attachManipulator(object, this.manipulationMode);
       this.emitter.emit("setTreeSelected", object.name);
     } else {
-      /*if (this.modelManipulator.object)
-      {
-        this.modelManipulator.detach();
-        this.scene.remove(this.modelManipulator.gizmo);
-      }*/
+      this.detachManipulator();
       this.hideBoundingBox();
       this.selectedEntity = null;
       this.emitter.emit("setTreeDeselected");
@@ -3993,33 +4070,12 @@ export class Scene {
     var that = this;
     objects.forEach(function (obj: THREE.Object3D) {
       that.scene.remove(obj);
-
-      // Dispose geometries.
-      if ((obj as any).geometry) {
-        (obj as any).geometry.dispose();
-      }
-
-      // Dispose materials and their textures.
-      if ((obj as any).material) {
-        // Materials can be an array. If there is only one, convert it to an array for easier handling.
-        if (!((obj as any).material instanceof Array)) {
-          (obj as any).material = [(obj as any).material];
-        }
-
-        // Materials can have different texture maps, depending on their type.
-        // We check each property of the Material and dispose them if they are Textures.
-        (obj as any).material.forEach(function (material: any) {
-          Object.keys(material).forEach(function (property: any) {
-            if (material[property] instanceof THREE.Texture) {
-              material[property].dispose();
-            }
-          });
-
-          material.dispose();
-        });
-      }
+      that.disposeResources(obj);
     });
 
+    // Remove the manipulator event listeners.
+    this.modelManipulator.dispose();
+
     // Destroy particles.
     if (this.nebulaSystem) {
       this.nebulaSystem.destroy();
@@ -4030,6 +4086,24 @@ export class Scene {
     this.renderer.dispose();
   }
 
+  /**
+   * Remove an object from the scene and dispose the resources used by it and
+   * its descendants. Resources of the cached meshes and textures are kept, as
+   * other objects share them.
+   *
+   * @param {THREE.Object3D} model - The object to remove and dispose.
+   */
+  public removeAndDispose(model: THREE.Object3D): void {
+    if (model.parent) {
+      model.parent.remove(model);
+    }
+
+    const shared = this.getSharedResources();
+    model.traverse((obj: THREE.Object3D) => {
+      this.disposeResources(obj, shared);
+    });
+  }
+
   /**
    * Set a request header for internal requests.
    *
@@ -4090,6 +4164,79 @@ export class Scene {
     }
   }
 
+  /**
+   * Get the geometries, materials and textures of the cached meshes and
+   * textures. Clones of the cached meshes share them.
+   *
+   * @returns The shared resources.
+   */
+  private getSharedResources(): Set<any> {
+    const shared = new Set<any>(this.textureCache.values());
+    this.colladaLoader.texturesCache?.forEach((texture: THREE.Texture) =>
+      shared.add(texture),
+    );
+    this.meshes.forEach((mesh: THREE.Object3D) =>
+      mesh.traverse((obj: any) => {
+        shared.add(obj.geometry);
+        const materials = Array.isArray(obj.material)
+          ? obj.material
+          : [obj.material];
+        materials.forEach((material: any) => {
+          shared.add(material);
+          Object.keys(material ?? {}).forEach((property) => {
+            if (material[property] instanceof THREE.Texture) {
+              shared.add(material[property]);
+            }
+          });
+        });
+      }),
+    );
+    return shared;
+  }
+
+  /**
+   * Dispose the geometry, materials and textures of an object. Its
+   * descendants are not disposed.
+   *
+   * @param {THREE.Object3D} obj - The object to dispose.
+   * @param {Set} shared - Optional. Resources that must not be disposed.
+   */
+  private disposeResources(
+    obj: THREE.Object3D,
+    shared: Set<any> = new Set(),
+  ): void {
+    // Dispose geometries.
+    const geometry = (obj as any).geometry;
+    if (geometry && !shared.has(geometry)) {
+      geometry.dispose();
+    }
+
+    // Dispose materials and their textures.
+    if ((obj as any).material) {
+      // Materials can be an array.
+      const materials: any[] = Array.isArray((obj as any).material)
+        ? (obj as any).material
+        : [(obj as any).material];
+
+      // Materials can have different texture maps, depending on their type.
+      // We check each property of the Material and dispose them if they are Textures.
+      materials.forEach(function (material: any) {
+        Object.keys(material).forEach(function (property: any) {
+          if (
+            material[property] instanceof THREE.Texture &&
+            !shared.has(material[property])
+          ) {
+            material[property].dispose();
+          }
+        });
+
+        if (!shared.has(material)) {
+          material.dispose();
+        }
+      });
+    }
+  }
+
   /**
    * Get the Nebula System.
    *
@@ -4137,11 +4284,57 @@ export class Scene {
     printGraph(this.scene);
   }
 
+  /**
+   * Whether a resource must be fetched with the resolver instead of being
+   * loaded, for example because it is cached. In that case, the loading
+   * manager of the loader tracks it as if loading it had failed.
+   *
+   * @param loader The loader of the resource.
+   * @param uri The URI of the resource.
+   * @returns True if the resource must be fetched.
+   */
+  private fetchesFirst(loader: THREE.Loader, uri: string): boolean {
+    if (!this.findResourceCb || !this.resolver.fetchesFirst(uri)) {
+      return false;
+    }
+    loader.manager.itemStart(uri);
+    loader.manager.itemError(uri);
+    return true;
+  }
+
+  /**
+   * Load a resource with a loader, or call the error callback right away if
+   * the resource must be fetched with the resolver. See {@link fetchesFirst}.
+   */
+  private loadResource(
+    loader: any,
+    uri: string,
+    onLoad: (result: any) => void,
+    onProgress: (progress: any) => void,
+    onError: (error: any) => void,
+  ): void {
+    if (this.fetchesFirst(loader, uri)) {
+      onError(undefined);
+    } else {
+      loader.load(
+        uri,
+        (result: any) => {
+          this.resolver.release(uri);
+          onLoad(result);
+        },
+        onProgress,
+        onError,
+      );
+    }
+  }
+
   public loadTexture(
     url: string,
     onLoad?: any,
     onProgress?: any,
   ): THREE.Texture {
+    url = this.resolver.resolveUri(url);
+
     // Return the cached texture if it exists.
     if (this.textureCache.has(url)) {
       return this.textureCache.get(url)!;
@@ -4150,50 +4343,61 @@ export class Scene {
     let fallbackLoader = (map: string, texture: THREE.Texture) => {
       if (this.findResourceCb) {
         // Get the image using the find resource callback.
-        this.findResourceCb(map, (image: any, error?: string) => {
-          if (error !== undefined) {
-            // Mark the texture as error in the loading manager.
-            const manager = this.textureLoader.manager as WsLoadingManager;
-            manager.markAsError(map);
-            return;
-          }
+        this.resolver
+          .fetch(map)
+          .then((image: any) => {
+            // Create the image element
+            let imageElem: HTMLImageElement = <HTMLImageElement>(
+              document.createElementNS("http://www.w3.org/1999/xhtml", "img")
+            );
 
-          // Create the image element
-          let imageElem: HTMLImageElement = <HTMLImageElement>(
-            document.createElementNS("http://www.w3.org/1999/xhtml", "img")
-          );
+            const isJPEG =
+              map.search(/\.jpe?g($|\?)/i) > 0 ||
+              map.search(/^data\:image\/jpeg/) === 0;
 
-          const isJPEG =
-            map.search(/\.jpe?g($|\?)/i) > 0 ||
-            map.search(/^data\:image\/jpeg/) === 0;
+            let binary = "";
+            const len = image.byteLength;
+            for (var i = 0; i < len; i++) {
+              binary += String.fromCharCode(image[i]);
+            }
 
-          let binary = "";
-          const len = image.byteLength;
-          for (var i = 0; i < len; i++) {
-            binary += String.fromCharCode(image[i]);
-          }
+            // Set the image source using base64 encoding
+            imageElem.src = isJPEG
+              ? "data:image/jpg;base64,"
+              : "data:image/png;base64,";
+            imageElem.src += window.btoa(binary);
 
-          // Set the image source using base64 encoding
-          imageElem.src = isJPEG
-            ? "data:image/jpg;base64,"
-            : "data:image/png;base64,";
-          imageElem.src += window.btoa(binary);
+            texture.format = isJPEG ? THREE.RGBFormat : THREE.RGBAFormat;
+            texture.needsUpdate = true;
+            texture.image = imageElem;
 
-          texture.format = isJPEG ? THREE.RGBFormat : THREE.RGBAFormat;
-          texture.needsUpdate = true;
-          texture.image = imageElem;
-
-          // Mark the texture as done in the loading manager.
-          const manager = this.textureLoader.manager as WsLoadingManager;
-          manager.markAsDone(map);
-        });
+            // Mark the texture as done in the loading manager.
+            const manager = this.textureLoader.manager as WsLoadingManager;
+            manager.markAsDone(map);
+          })
+          .catch((error) => {
+            console.error(`Unable to load the texture ${map}`, error);
+            // Mark the texture as error in the loading manager.
+            const manager = this.textureLoader.manager as WsLoadingManager;
+            manager.markAsError(map);
+          });
       }
     };
 
-    let result = this.textureLoader.load(url, onLoad, onProgress, (_error) => {
-      let scopeTexture = result;
-      fallbackLoader(url, scopeTexture);
-    });
+    let result: THREE.Texture;
+    if (this.fetchesFirst(this.textureLoader, url)) {
+      result = new THREE.Texture();
+      fallbackLoader(url, result);
+    } else {
+      const loaded = (texture: THREE.Texture) => {
+        this.resolver.release(url);
+        onLoad?.(texture);
+      };
+      result = this.textureLoader.load(url, loaded, onProgress, (_error) => {
+        let scopeTexture = result;
+        fallbackLoader(url, scopeTexture);
+      });
+    }
 
     // Cache the texture so that we don't try to load it multiple times.
     this.textureCache.set(url, result);
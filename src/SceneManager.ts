@@ -1,12 +1,48 @@
 import * as THREE from "three";
+import { AssetCache, AssetCacheOptions, createCacheStage } from "./AssetCache";
 import { AudioTopic } from "./AudioTopic";
+import { CameraFeed, CameraFeedOptions } from "./CameraFeed";
+import { ContactsVisual, ContactsVisualOptions } from "./ContactsVisual";
+import { JointInspector, JointInspectorOptions } from "./JointInspector";
+import { MarkerManager } from "./MarkerManager";
+import { Pose } from "./Pose";
 import { Publisher } from "./Publisher";
+import {
+  createFuelStage,
+  ResourceResolver,
+  ResourceResolverStage,
+} from "./ResourceResolver";
 import { Scene } from "./Scene";
 import { SDFParser } from "./SDFParser";
+import {
+  findSensorFrame,
+  LaserScanVisual,
+  LaserScanVisualOptions,
+  PointCloudVisual,
+  SensorVisualOptions,
+} from "./SensorVisuals";
+import { SessionRecorder, SessionRecorderOptions } from "./SessionRecorder";
 import { Shaders } from "./Shaders";
-import { map, Observable, Subscription } from "rxjs";
+import {
+  BehaviorSubject,
+  filter,
+  map,
+  Observable,
+  Subject,
+  Subscription,
+  take,
+  timeout,
+} from "rxjs";
 import { Topic } from "./Topic";
-import { Transport } from "./Transport";
+import { TopicMonitor, TopicMonitorOptions } from "./TopicMonitor";
+import { TopicVisual } from "./TopicVisual";
+import {
+  ConnectionError,
+  ReconnectOptions,
+  ServiceError,
+  Transport,
+} from "./Transport";
+import { timeToSeconds, WorldStats, worldStatsFromMsg } from "./WorldStats";
 
 /**
  * Interface used to pass arguments to the SceneManager constructor.
@@ -52,6 +88,45 @@ export interface SceneManagerConfig {
    * Whether or not lights in models are visible.
    */
   enableLights?: boolean;
+
+  /**
+   * Optional. If present, the connection to the Gazebo server is
+   * re-established automatically when it is lost.
+   */
+  reconnect?: ReconnectOptions;
+
+  /**
+   * Optional. Time, in milliseconds, the server has to complete the
+   * connection handshake. There is no time limit by default.
+   */
+  handshakeTimeoutMs?: number;
+
+  /**
+   * Optional. If present, the available topics are requested periodically
+   * with this interval, in milliseconds, in order to discover topics
+   * advertised after connecting.
+   */
+  topicDiscoveryIntervalMs?: number;
+
+  /**
+   * Optional. The Transport used to communicate with the server, such as a
+   * ReplayTransport to play a recorded session back. A new Transport is
+   * created by default.
+   */
+  transport?: Transport;
+
+  /**
+   * Optional. Stages used to find resources, such as meshes and textures,
+   * before the default ones. The default stages rewrite Fuel paths, and
+   * then fetch resources from the websocket server.
+   */
+  resourceStages?: ResourceResolverStage[];
+
+  /**
+   * Optional. If present, meshes and textures are kept in a persistent cache,
+   * so they don't have to be downloaded again when the page is reloaded.
+   */
+  assetCache?: AssetCacheOptions;
 }
 
 /**
@@ -68,11 +143,29 @@ export interface SceneManagerConfig {
  * ```
  */
 export class SceneManager {
+  /**
+   * Emits the models that were removed from the running simulation.
+   * The emitted value is the model information, as received in the scene information.
+   */
+  public modelRemoved$ = new Subject<any>();
+
+  /**
+   * Emits the models that were added to the running simulation.
+   * The emitted value is the model information, as received in the scene information.
+   */
+  public modelAdded$ = new Subject<any>();
+
   /**
    * Particle emitter updates.
    */
   private particleEmittersSubscription: Subscription;
 
+  /**
+   * Time, in milliseconds, to wait for an entity to appear in, or disappear
+   * from, the scene after requesting it.
+   */
+  private entityTimeoutMs: number = 10000;
+
   /**
    * Subscription for status updates.
    */
@@ -83,6 +176,16 @@ export class SceneManager {
    */
   private connectionStatus: string = "disconnected";
 
+  /**
+   * Subscription to the world statistics and clock topics.
+   */
+  private worldStatsSubscription: Subscription;
+
+  /**
+   * The latest statistics of the world. Null until they are received.
+   */
+  private worldStats$ = new BehaviorSubject<WorldStats | null>(null);
+
   /**
    * Scene Information updates.
    */
@@ -103,6 +206,12 @@ export class SceneManager {
    */
   private models: any[] = [];
 
+  /**
+   * Names of the entities with poses that are not in the scene. They are
+   * reported once, as poses are received many times per second.
+   */
+  private missingEntities = new Set<string>();
+
   /**
    * A sun directional light for global illumination
    */
@@ -111,7 +220,7 @@ export class SceneManager {
   /**
    * A Transport interface used to connect to a Gazebo server.
    */
-  private transport = new Transport();
+  private transport: Transport;
 
   /**
    * ID of the Request Animation Frame method. Required to cancel the animation.
@@ -168,6 +277,76 @@ export class SceneManager {
    */
   private enableLights: boolean = true;
 
+  /**
+   * Reconnection options passed to the Transport. Reconnection is disabled if undefined.
+   */
+  private reconnectOptions: ReconnectOptions | undefined;
+
+  /**
+   * Time, in milliseconds, the server has to complete the connection handshake.
+   */
+  private handshakeTimeoutMs: number | undefined;
+
+  /**
+   * Interval, in milliseconds, between requests of the available topics.
+   * Topics are not rediscovered if undefined.
+   */
+  private topicDiscoveryIntervalMs: number | undefined;
+
+  /**
+   * The pipeline used to find resources.
+   */
+  private resolver: ResourceResolver;
+
+  /**
+   * Persistent cache of assets. Undefined if the cache is not enabled.
+   */
+  private assetCache: AssetCache | undefined;
+
+  /**
+   * Whether the connection to the Gazebo server is being re-established.
+   * In that case, the visualization is kept and the Transport restores the
+   * topics.
+   */
+  private reconnecting: boolean = false;
+
+  /**
+   * Whether the scene of another world is being loaded. In that case, the
+   * visualization is kept and the topics of the new world are subscribed to
+   * once it is ready.
+   */
+  private switchingWorld: boolean = false;
+
+  /**
+   * Timer that abandons a world switch if the scene of the other world is not
+   * received.
+   */
+  private switchTimer: ReturnType<typeof setTimeout> | undefined;
+
+  /**
+   * Settles the Promise of the current world switch.
+   */
+  private switchCallbacks:
+    | { resolve: () => void; reject: (error: Error) => void }
+    | undefined;
+
+  /**
+   * Manager of the markers shown in the scene. Created when needed.
+   */
+  private markerManager: MarkerManager | undefined;
+
+  /**
+   * Camera feeds, sensor and contacts visuals, and joint inspectors created
+   * for the active world. They are destroyed when switching worlds, and when
+   * the scene is loaded again after a reconnection.
+   */
+  private worldVisuals: TopicVisual[] = [];
+
+  /**
+   * Lights added from the scene information.
+   */
+  private lights: THREE.Object3D[] = [];
+
   /**
    * Constructor. If a url is specified, then then SceneManager will connect
    * to the specified websocket server. Otherwise, the `connect` function
@@ -177,6 +356,7 @@ export class SceneManager {
    */
   constructor(config: SceneManagerConfig = {}) {
     this.elementId = config.elementId ?? "gz-scene";
+    this.transport = config.transport ?? new Transport();
 
     if (config.audioTopic) {
       this.audioTopic = config.audioTopic;
@@ -188,13 +368,35 @@ export class SceneManager {
       this.msgData = config.msgData;
     }
 
-    if (config.websocketUrl) {
-      this.connect(config.websocketUrl, config.websocketKey);
-    }
-
     if (config.enableLights !== undefined) {
       this.enableLights = config.enableLights;
     }
+
+    this.reconnectOptions = config.reconnect;
+    this.handshakeTimeoutMs = config.handshakeTimeoutMs;
+    this.topicDiscoveryIntervalMs = config.topicDiscoveryIntervalMs;
+
+    this.resolver = new ResourceResolver([
+      ...(config.resourceStages ?? []),
+      createFuelStage(),
+      {
+        name: "websocket",
+        fetch: (uri: string) => this.transport.fetchAsset(uri),
+      },
+    ]);
+
+    if (config.assetCache) {
+      this.assetCache = new AssetCache(config.assetCache);
+      // Before the websocket stage, so cached assets are not requested again.
+      this.resolver.addStage(
+        createCacheStage(this.assetCache, () => this.scene?.requestHeader),
+        this.resolver.getStages().length - 1,
+      );
+    }
+
+    if (config.websocketUrl) {
+      this.connect(config.websocketUrl, config.websocketKey);
+    }
   }
 
   /**
@@ -234,6 +436,150 @@ export class SceneManager {
       .pipe(map((status) => status === "ready"));
   }
 
+  /**
+   * Get the available topics as an observable.
+   * Allows clients to know when topics are advertised, for example by a
+   * spawned robot. See the topicDiscoveryIntervalMs configuration option.
+   *
+   * @returns An Observable of the available topics. Each one is an object
+   * containing {topic, msg_type}.
+   */
+  public getAvailableTopicsAsObservable(): Observable<object[]> {
+    return this.transport.availableTopics$.asObservable();
+  }
+
+  /**
+   * Request the available topics from the server.
+   */
+  public refreshTopics(): void {
+    this.transport.refreshTopics();
+  }
+
+  /**
+   * Get the errors of the connection as an observable.
+   * Allows clients to tell apart an invalid key, a lost connection or an
+   * incompatible server, in order to show the right message.
+   *
+   * @returns An Observable of the connection errors.
+   */
+  public getConnectionErrorsAsObservable(): Observable<ConnectionError> {
+    return this.transport.getConnectionErrors();
+  }
+
+  /**
+   * Get the worlds hosted by the Gazebo server.
+   *
+   * @returns The names of the worlds.
+   */
+  public getWorlds(): string[] {
+    return this.transport.getWorlds();
+  }
+
+  /**
+   * Get the worlds hosted by the Gazebo server as an observable.
+   *
+   * @returns An Observable of the names of the worlds. It emits when
+   * connecting to a server.
+   */
+  public getWorldsAsObservable(): Observable<string[]> {
+    return this.transport.worlds$.asObservable();
+  }
+
+  /**
+   * Get the world being viewed.
+   *
+   * @returns The name of the world.
+   */
+  public getActiveWorld(): string {
+    return this.transport.getWorld();
+  }
+
+  /**
+   * View another world of the Gazebo server. The models, lights, sky and
+   * markers of the current world are removed, along with the visuals created
+   * for it, such as sensor visuals and joint inspectors. Its topics are
+   * unsubscribed from, and the scene of the other world is loaded.
+   *
+   * If the scene of the other world is not received in time, the Promise is
+   * rejected, but the connection is kept. No world is shown until the scene
+   * arrives, or until another world is chosen.
+   *
+   * @param name The name of the world.
+   * @param timeoutMs Optional. Time, in milliseconds, the server has to send
+   * the scene of the other world. Defaults to 30000.
+   * @returns A Promise that resolves once the scene of the other world is
+   * loaded. It is rejected if the world is unknown, the connection is not
+   * ready, or the scene is not received in time.
+   */
+  public setActiveWorld(
+    name: string,
+    timeoutMs: number = 30000,
+  ): Promise<void> {
+    if (name === this.transport.getWorld() && !this.switchingWorld) {
+      return Promise.resolve();
+    }
+    if (!this.transport.getWorlds().includes(name)) {
+      return Promise.reject(new Error(`Unknown world ${name}`));
+    }
+    if (this.connectionStatus !== "ready") {
+      return Promise.reject(new Error("The connection is not ready"));
+    }
+
+    this.endWorldSwitch(new Error(`Switched to world ${name}`));
+    this.unsubscribeFromTopics();
+    this.clearSceneInfo();
+    this.clearWorldVisuals();
+    this.switchingWorld = true;
+    this.transport.setWorld(name);
+
+    return new Promise((resolve, reject) => {
+      this.switchCallbacks = { resolve, reject };
+      this.switchTimer = setTimeout(() => {
+        this.endWorldSwitch(
+          new Error(
+            `No scene received for world ${name} after ${timeoutMs} ms`,
+          ),
+        );
+        // The scene can still arrive, and is then loaded as a world switch.
+        this.switchingWorld = true;
+      }, timeoutMs);
+    });
+  }
+
+  /**
+   * Get the statistics of the world as an observable.
+   * Allows clients to show the simulation clock and real time factor, and to
+   * know whether the simulation is paused.
+   *
+   * @returns An Observable of the world statistics. It emits whenever the
+   * statistics or the clock are updated.
+   */
+  public getWorldStatsAsObservable(): Observable<WorldStats> {
+    return this.worldStats$.pipe(
+      filter((stats): stats is WorldStats => stats !== null),
+    );
+  }
+
+  /**
+   * Get the pipeline used to find resources, such as meshes and textures.
+   * Stages can be added to it in order to customize where resources are
+   * obtained from.
+   *
+   * @returns The resource resolver.
+   */
+  public getResourceResolver(): ResourceResolver {
+    return this.resolver;
+  }
+
+  /**
+   * Get the persistent cache of assets, for example to clear it.
+   *
+   * @returns The asset cache, or undefined if it is not enabled.
+   */
+  public getAssetCache(): AssetCache | undefined {
+    return this.assetCache;
+  }
+
   /**
    * Change the width and height of the visualization upon a resize event.
    */
@@ -288,6 +634,52 @@ export class SceneManager {
     }
   }
 
+  /**
+   * Set the manipulation mode of the selected entity. Entities moved with the
+   * manipulator are moved in the Simulation as well.
+   *
+   * The 'scale' mode is not supported, as Gazebo can't scale entities.
+   *
+   * @param mode One of 'view', 'translate' or 'rotate'. Setting the current
+   * mode again toggles between world and local space.
+   */
+  public setManipulationMode(mode: string): void {
+    if (mode === "scale") {
+      console.warn("Entities can't be scaled in the Simulation");
+      return;
+    }
+    if (this.scene) {
+      this.scene.setManipulationMode(mode);
+    }
+  }
+
+  /**
+   * Set the space used to manipulate entities.
+   *
+   * @param space Either 'world' or 'local'.
+   */
+  public setManipulationSpace(space: string): void {
+    if (this.scene) {
+      this.scene.setManipulationSpace(space);
+    }
+  }
+
+  /**
+   * Set the snapping used to manipulate entities. A null value disables the
+   * snapping.
+   *
+   * @param translation Translation snap, in meters.
+   * @param rotation Rotation snap, in radians.
+   */
+  public setManipulationSnap(
+    translation: number | null,
+    rotation: number | null,
+  ): void {
+    if (this.scene) {
+      this.scene.setManipulationSnap(translation, rotation);
+    }
+  }
+
   /**
    * Publishes a message to an advertised topic.
    */
@@ -318,9 +710,16 @@ export class SceneManager {
       this.sceneElement.removeChild(this.scene.scene.renderer.domElement);
     }
 
+    this.endWorldSwitch(new Error("Disconnected"));
     this.transport.disconnect();
+    this.clearWorldVisuals();
     this.sceneInfo = {};
+    // The scene is created again when connecting.
+    this.models = [];
+    this.lights = [];
+    this.missingEntities.clear();
     this.connectionStatus = "disconnected";
+    this.reconnecting = false;
 
     // Unsubscribe from observables.
     if (this.sceneInfoSubscription) {
@@ -333,6 +732,10 @@ export class SceneManager {
     if (this.statusSubscription) {
       this.statusSubscription.unsubscribe();
     }
+    if (this.worldStatsSubscription) {
+      this.worldStatsSubscription.unsubscribe();
+    }
+    this.worldStats$.next(null);
   }
 
   /**
@@ -341,18 +744,35 @@ export class SceneManager {
    * @param key An optional authentication key.
    */
   public connect(url: string, key?: string): void {
-    this.transport.connect(url, key);
+    // Stop listening to a previous connection, which could have been lost.
+    this.disconnect();
+
+    this.transport.connect(
+      url,
+      key,
+      this.reconnectOptions,
+      this.handshakeTimeoutMs,
+    );
+    if (this.topicDiscoveryIntervalMs) {
+      this.transport.startTopicDiscovery(this.topicDiscoveryIntervalMs);
+    }
 
     this.statusSubscription = this.transport
       .getConnectionStatus()
       .subscribe((response) => {
-        if (response === "error") {
-          // TODO: Return an error so the caller can open a snackbar
-          console.log("Connection failed. Please contact an administrator.");
-          // this.snackBar.open('Connection failed. Please contact an administrator.', 'Got it');
+        this.connectionStatus = response;
+
+        // Keep the visualization while the connection is re-established.
+        if (response === "reconnecting") {
+          this.reconnecting = true;
         }
 
-        this.connectionStatus = response;
+        // The connection could not be re-established. A later connection
+        // starts from scratch.
+        if (response === "disconnected" || response === "error") {
+          this.reconnecting = false;
+          this.endWorldSwitch(new Error(`Connection is ${response}`));
+        }
 
         // We can start setting up the visualization after we are Connected.
         // We still don't have scene and world information at this step.
@@ -362,7 +782,16 @@ export class SceneManager {
 
         // Once the status is ready, we have the world and scene information
         // available.
-        if (response === "ready") {
+        // After a reconnection, the Transport already restored the topics.
+        // After a world switch, the topics of the new world are subscribed to,
+        // even if the connection was lost meanwhile.
+        if (response === "ready" && this.switchingWorld) {
+          this.reconnecting = false;
+          this.subscribeToTopics();
+          this.endWorldSwitch();
+        } else if (response === "ready" && this.reconnecting) {
+          this.reconnecting = false;
+        } else if (response === "ready") {
           this.subscribeToTopics();
           if (this.topicName) {
             this.publisher = this.advertise(this.topicName, this.msgType);
@@ -379,6 +808,18 @@ export class SceneManager {
           return;
         }
 
+        // The rendering loop is already running after a reconnection, but the
+        // scene could have changed while the connection was lost. The models
+        // are replaced, so the sky and the visuals attached to them are
+        // removed as well.
+        // A world switch already cleared the scene.
+        if (this.reconnecting) {
+          this.clearSceneInfo();
+          this.clearWorldVisuals();
+        } else if (!this.switchingWorld) {
+          this.startVisualization();
+        }
+
         if ("sky" in sceneInfo && sceneInfo["sky"]) {
           const sky = sceneInfo["sky"];
 
@@ -398,7 +839,6 @@ export class SceneManager {
           }
         }
         this.sceneInfo = sceneInfo;
-        this.startVisualization();
 
         sceneInfo["model"].forEach((model: any) => {
           const modelObj = this.sdfParser.spawnFromObj(
@@ -413,6 +853,7 @@ export class SceneManager {
 
         sceneInfo["light"].forEach((light: any) => {
           const lightObj = this.sdfParser.spawnLight(light);
+          this.lights.push(lightObj);
           this.scene.add(lightObj);
         });
 
@@ -449,6 +890,215 @@ export class SceneManager {
     this.transport.subscribe(topic);
   }
 
+  /**
+   * Get the stream of messages of a topic. Clients can share the same topic
+   * by subscribing to the returned Observable.
+   *
+   * @param name The name of the topic.
+   * @returns An Observable of the decoded messages of the topic.
+   */
+  public topic$<T = any>(name: string): Observable<T> {
+    return this.transport.topic$<T>(name);
+  }
+
+  /**
+   * Create a recorder of the traffic with the server. Call `start` on the
+   * recorder to start recording, and `save` to get the session file, which
+   * can be played back with a ReplayTransport.
+   *
+   * @param options Optional. The recorder options.
+   * @returns The session recorder.
+   */
+  public createSessionRecorder(
+    options?: SessionRecorderOptions,
+  ): SessionRecorder {
+    return new SessionRecorder(this.transport, options);
+  }
+
+  /**
+   * Create a feed of the images of a camera sensor. Call `start` on the feed
+   * to subscribe to the image topic, and `showInElement` to show the images in
+   * an overlay panel.
+   *
+   * @param topic The name of the image topic.
+   * @param linkName Optional. The name of the link of the sensor. If present,
+   * a billboard with the images is attached to the link.
+   * @param options Optional. The feed options.
+   * @returns The camera feed.
+   */
+  public createCameraFeed(
+    topic: string,
+    linkName?: string,
+    options?: CameraFeedOptions,
+  ): CameraFeed {
+    const feed = new CameraFeed(this.transport, topic, options);
+    this.worldVisuals.push(feed);
+    if (linkName) {
+      const link = this.scene.getByName(linkName);
+      if (link) {
+        link.add(feed.createBillboard());
+      } else {
+        console.warn("Unable to find link with name", linkName);
+      }
+    }
+    return feed;
+  }
+
+  /**
+   * Show the scans of a laser sensor, such as a lidar. Call `start` on the
+   * visual to subscribe to the topic.
+   *
+   * The visual is attached to the sensor named in the topic, such as
+   * `/world/shapes/model/robot/link/base/sensor/lidar/scan`, so it follows
+   * the sensor as the model moves. Otherwise, it is placed at the world pose
+   * of each scan.
+   *
+   * @param topic The name of the LaserScan topic.
+   * @param options Optional. The visual options.
+   * @returns The laser scan visual.
+   */
+  public visualizeLaserScan(
+    topic: string,
+    options: LaserScanVisualOptions = {},
+  ): LaserScanVisual {
+    const frame = findSensorFrame(this.scene.scene, topic);
+    const visual = new LaserScanVisual(this.transport, topic, {
+      useWorldPose: !frame,
+      ...options,
+    });
+    this.worldVisuals.push(visual);
+    if (frame) {
+      frame.add(visual.object);
+    } else {
+      this.scene.add(visual.object);
+    }
+    return visual;
+  }
+
+  /**
+   * Show the point clouds of a sensor, such as a depth camera. Call `start`
+   * on the visual to subscribe to the topic.
+   *
+   * The visual is attached to the sensor named in the topic, such as
+   * `/world/shapes/model/robot/link/base/sensor/camera/points`, so it
+   * follows the sensor as the model moves. Otherwise, the points are shown
+   * relative to the world origin.
+   *
+   * @param topic The name of the PointCloudPacked topic.
+   * @param options Optional. The visual options.
+   * @returns The point cloud visual.
+   */
+  public visualizePointCloud(
+    topic: string,
+    options?: SensorVisualOptions,
+  ): PointCloudVisual {
+    const frame = findSensorFrame(this.scene.scene, topic);
+    const visual = new PointCloudVisual(this.transport, topic, options);
+    this.worldVisuals.push(visual);
+    if (frame) {
+      frame.add(visual.object);
+    } else {
+      console.warn("Unable to find the sensor of", topic);
+      this.scene.add(visual.object);
+    }
+    return visual;
+  }
+
+  /**
+   * Show the contacts of a world, such as `/world/shapes/contacts`, or of
+   * contact sensors. Call `start` on the visual to subscribe to the topics.
+   *
+   * Contacts are attached to the links of their collisions. Showing the
+   * collision geometry with `Scene.showCollision` helps understanding them.
+   *
+   * @param topics The name of the Contacts topic, or of several ones.
+   * @param options Optional. The visual options.
+   * @returns The contacts visual.
+   */
+  public visualizeContacts(
+    topics: string | string[],
+    options?: ContactsVisualOptions,
+  ): ContactsVisual {
+    const visual = new ContactsVisual(
+      this.transport,
+      this.scene.scene,
+      topics,
+      options,
+    );
+    this.worldVisuals.push(visual);
+    this.scene.add(visual.object);
+    return visual;
+  }
+
+  /**
+   * Inspect the joints of a model, from its `joint_state` topic in the active
+   * world. Call `start` on the inspector to subscribe to the topic.
+   *
+   * @param modelName The name of the model.
+   * @param options Optional. The inspector options.
+   * @returns The joint inspector.
+   */
+  public inspectJoints(
+    modelName: string,
+    options?: JointInspectorOptions,
+  ): JointInspector {
+    const model = this.scene.getByName(modelName);
+    if (!model && options?.showArcs) {
+      console.warn("Unable to find model with name", modelName);
+    }
+    const inspector = new JointInspector(
+      this.transport,
+      model,
+      `/world/${this.getActiveWorld()}/model/${modelName}/joint_state`,
+      options,
+    );
+    this.worldVisuals.push(inspector);
+    return inspector;
+  }
+
+  /**
+   * Get the manager of the markers applied directly with `handle`. Their
+   * lifetimes follow the simulation time of the world statistics.
+   *
+   * @returns The marker manager.
+   */
+  public getMarkerManager(): MarkerManager {
+    if (!this.markerManager) {
+      this.markerManager = this.createMarkerManager([]);
+    }
+    return this.markerManager;
+  }
+
+  /**
+   * Show the markers published on a topic, as Marker or Marker_V messages.
+   * Their lifetimes follow the simulation time of the world statistics.
+   *
+   * @param topics The name of the topic, or of several ones.
+   * @returns The started marker manager of the topics.
+   */
+  public subscribeToMarkers(topics: string | string[]): MarkerManager {
+    const markers = this.createMarkerManager(topics);
+    this.worldVisuals.push(markers);
+    markers.start();
+    return markers;
+  }
+
+  /**
+   * Create a monitor of a topic, which keeps a history of its messages and
+   * computes its publish rate and bandwidth. Call `start` on the monitor to
+   * subscribe to the topic.
+   *
+   * @param name The name of the topic.
+   * @param options Optional. The monitor options.
+   * @returns The topic monitor.
+   */
+  public monitorTopic(
+    name: string,
+    options?: TopicMonitorOptions,
+  ): TopicMonitor {
+    return new TopicMonitor(this.transport, name, options);
+  }
+
   /**
    * Allows clients to unsubscribe from topics.
    *
@@ -460,9 +1110,12 @@ export class SceneManager {
 
   /**
    * Play the Simulation.
+   *
+   * @returns A Promise that resolves with the service response, or null if
+   * the call failed. Failures are logged, so the result can be ignored.
    */
-  public play(): void {
-    this.transport.requestService(
+  public play(): Promise<any> {
+    return this.callControlService(
       `/world/${this.transport.getWorld()}/control`,
       "ignition.msgs.WorldControl",
       { pause: false },
@@ -471,9 +1124,12 @@ export class SceneManager {
 
   /**
    * Pause the Simulation.
+   *
+   * @returns A Promise that resolves with the service response, or null if
+   * the call failed. Failures are logged, so the result can be ignored.
    */
-  public pause(): void {
-    this.transport.requestService(
+  public pause(): Promise<any> {
+    return this.callControlService(
       `/world/${this.transport.getWorld()}/control`,
       "ignition.msgs.WorldControl",
       { pause: true },
@@ -482,21 +1138,157 @@ export class SceneManager {
 
   /**
    * Stop the Simulation.
+   *
+   * @returns A Promise that resolves with the service response, or null if
+   * the call failed. Failures are logged, so the result can be ignored.
    */
-  public stop(): void {
-    this.transport.requestService(
+  public stop(): Promise<any> {
+    return this.callControlService(
       "/server_control",
       "ignition.msgs.ServerControl",
       { stop: true },
     );
   }
 
+  /**
+   * Spawn an entity in the Simulation.
+   *
+   * SDF strings can be created with the SDFParser, for example using
+   * `createBoxSDF` or `createSimpleShapeSDF`.
+   *
+   * @param sdfOrUri An SDF string, or the URI of a model, such as a Fuel URI.
+   * @param pose Optional. The pose of the new entity.
+   * @param name Optional. The name of the new entity. If not specified, the
+   * name in the SDF is used. Models of a Fuel URI are named after the model,
+   * such as `Coke` for
+   * `https://fuel.gazebosim.org/1.0/openrobotics/models/Coke/2`.
+   * @returns A Promise that resolves with the model information once the
+   * model appears in the scene.
+   */
+  public spawn(sdfOrUri: string, pose?: Pose, name?: string): Promise<any> {
+    const service = `/world/${this.transport.getWorld()}/create`;
+    const isSdf = sdfOrUri.trim().startsWith("<");
+
+    // The service doesn't return the name of the new model, so it's needed to
+    // recognize the model once it appears in the scene. Without a name, the
+    // first model that wasn't in the scene before is used.
+    name = name ?? (isSdf ? undefined : getFuelModelName(sdfOrUri));
+    const expectedName = isSdf
+      ? (name ?? /<model\s[^>]*name\s*=\s*["']([^"']+)["']/.exec(sdfOrUri)?.[1])
+      : name;
+    const existingNames = new Set(this.getModels().map((model) => model.name));
+
+    const request: { [key: string]: any } = isSdf
+      ? { sdf: sdfOrUri }
+      : { sdf_filename: sdfOrUri };
+    if (pose) {
+      request["pose"] = this.createPoseMsg(pose);
+    }
+    if (name) {
+      request["name"] = name;
+      request["allow_renaming"] = false;
+    }
+
+    return this.waitForModel(
+      service,
+      this.modelAdded$.pipe(
+        filter((model) =>
+          expectedName !== undefined
+            ? model["name"] === expectedName
+            : !existingNames.has(model["name"]),
+        ),
+      ),
+      () =>
+        this.transport.callService(
+          service,
+          "ignition.msgs.EntityFactory",
+          "ignition.msgs.Boolean",
+          request,
+        ),
+    );
+  }
+
+  /**
+   * Remove an entity from the Simulation.
+   *
+   * @param entityName The name of the entity to remove. Entities that are not
+   * models are considered lights.
+   * @returns A Promise that resolves once the model disappears from the
+   * scene. Lights resolve with the service response.
+   */
+  public remove(entityName: string): Promise<any> {
+    const service = `/world/${this.transport.getWorld()}/remove`;
+    const isModel = this.getModelIndex(entityName) >= 0;
+
+    // Entity type, as defined in the Entity message: 1 is a light, and 2 is a model.
+    const request = () =>
+      this.transport.callService(
+        service,
+        "ignition.msgs.Entity",
+        "ignition.msgs.Boolean",
+        { name: entityName, type: isModel ? 2 : 1 },
+      );
+
+    if (!isModel) {
+      return request().then((response) =>
+        this.checkServiceResponse(service, response),
+      );
+    }
+
+    return this.waitForModel(
+      service,
+      this.modelRemoved$.pipe(filter((model) => model["name"] === entityName)),
+      request,
+    );
+  }
+
+  /**
+   * Set the pose of an entity in the Simulation.
+   *
+   * @param entityName The name of the entity.
+   * @param pose The new pose of the entity.
+   * @returns A Promise that resolves with the service response.
+   */
+  public setPose(entityName: string, pose: Pose): Promise<any> {
+    const service = `/world/${this.transport.getWorld()}/set_pose`;
+    return this.transport
+      .callService(service, "ignition.msgs.Pose", "ignition.msgs.Boolean", {
+        name: entityName,
+        ...this.createPoseMsg(pose),
+      })
+      .then((response) => this.checkServiceResponse(service, response));
+  }
+
+  /**
+   * Configure a light in the Simulation.
+   *
+   * @param lightName The name of the light.
+   * @param properties The properties of the light to set, as a JSON
+   * representation of a Light message. For example, `{ intensity: 0.5 }`.
+   * @returns A Promise that resolves with the service response.
+   */
+  public setLight(
+    lightName: string,
+    properties: { [key: string]: any },
+  ): Promise<any> {
+    const service = `/world/${this.transport.getWorld()}/light_config`;
+    return this.transport
+      .callService(service, "ignition.msgs.Light", "ignition.msgs.Boolean", {
+        ...properties,
+        name: lightName,
+      })
+      .then((response) => this.checkServiceResponse(service, response));
+  }
+
   /**
    * Subscribe to Gazebo topics required to render a scene.
    *
    * This includes:
    * - /world/WORLD_NAME/dynamic_pose/info
    * - /world/WORLD_NAME/scene/info
+   * - /world/WORLD_NAME/scene/deletion
+   * - /world/WORLD_NAME/stats
+   * - /clock, once it is advertised
    */
   private subscribeToTopics(): void {
     // Subscribe to the pose topic and modify the models' poses.
@@ -510,13 +1302,10 @@ export class SceneManager {
           const entity = this.scene.getByName(entityName);
 
           if (entity) {
-            this.scene.setPose(entity, pose.position, pose.orientation);
-          } else {
-            console.warn(
-              "Unable to find entity with name ",
-              entityName,
-              entity,
-            );
+            this.scene.updatePose(entity, pose.position, pose.orientation);
+          } else if (!this.missingEntities.has(entityName)) {
+            this.missingEntities.add(entityName);
+            console.warn("Unable to find entity with name ", entityName);
           }
         });
       },
@@ -551,6 +1340,7 @@ export class SceneManager {
             );
             this.models.push(model);
             this.scene.add(modelObj);
+            this.modelAdded$.next(model);
           } else {
             // Make sure to update the exisiting models so that future pose
             // messages can update the model.
@@ -560,6 +1350,254 @@ export class SceneManager {
       },
     );
     this.transport.subscribe(sceneTopic);
+
+    // Subscribe to the 'scene/deletion' topic, which sends the IDs of the
+    // entities removed from the simulation.
+    const deletionTopic = new Topic(
+      `/world/${this.transport.getWorld()}/scene/deletion`,
+      (msg) => {
+        if (!msg || !msg["data"]) {
+          return;
+        }
+
+        msg["data"].forEach((id: number) => {
+          this.removeModel(id);
+        });
+      },
+    );
+    this.transport.subscribe(deletionTopic);
+
+    this.subscribeToWorldStats();
+  }
+
+  /**
+   * Unsubscribe from the topics of the current world, which were subscribed
+   * to by subscribeToTopics.
+   */
+  private unsubscribeFromTopics(): void {
+    const world = this.transport.getWorld();
+    ["dynamic_pose/info", "scene/info", "scene/deletion"].forEach((topic) =>
+      this.transport.unsubscribe(`/world/${world}/${topic}`),
+    );
+
+    this.worldStatsSubscription?.unsubscribe();
+    this.worldStats$.next(null);
+  }
+
+  /**
+   * Subscribe to the world statistics and the clock, in order to keep the
+   * world statistics up to date.
+   */
+  private subscribeToWorldStats(): void {
+    this.worldStatsSubscription = this.transport
+      .topic$(`/world/${this.transport.getWorld()}/stats`)
+      .subscribe((msg) => {
+        this.worldStats$.next(worldStatsFromMsg(msg));
+      });
+
+    // The clock is published at a higher rate, but it is not always available.
+    // The Transport subscribes to it once it is advertised.
+    this.worldStatsSubscription.add(
+      this.transport.topic$("/clock").subscribe((msg) => {
+        const stats = this.worldStats$.getValue();
+        if (!stats) {
+          return;
+        }
+
+        this.worldStats$.next({
+          ...stats,
+          simTime: timeToSeconds(msg["sim"]),
+          realTime: timeToSeconds(msg["real"]),
+        });
+      }),
+    );
+  }
+
+  /**
+   * Remove a model from the scene, and free the resources it used.
+   *
+   * Entities other than models are ignored.
+   *
+   * @param id The ID of the entity in the simulation.
+   */
+  private removeModel(id: number): void {
+    // IDs can be decoded as Long objects.
+    const index = this.models.findIndex(
+      (model: any) => Number(model["id"]) === Number(id),
+    );
+    if (index < 0) {
+      return;
+    }
+
+    const model = this.models[index];
+    this.models.splice(index, 1);
+
+    const modelObj = this.scene.getByName(model["gz3dName"] ?? model["name"]);
+    if (modelObj) {
+      this.scene.removeAndDispose(modelObj);
+    }
+
+    this.modelRemoved$.next(model);
+  }
+
+  /**
+   * Remove the models and lights that were added from the scene information.
+   */
+  private clearSceneInfo(): void {
+    this.models.forEach((model: any) => {
+      const modelObj = this.scene.getByName(model["gz3dName"] ?? model["name"]);
+      if (modelObj) {
+        this.scene.removeAndDispose(modelObj);
+      }
+    });
+    this.models = [];
+
+    this.lights.forEach((lightObj: THREE.Object3D) => {
+      this.scene.removeAndDispose(lightObj);
+    });
+    this.lights = [];
+    this.missingEntities.clear();
+  }
+
+  /**
+   * Create a marker manager whose lifetimes follow the simulation time.
+   */
+  private createMarkerManager(topics: string | string[]): MarkerManager {
+    const markers = new MarkerManager(this.transport, this.scene.scene, topics);
+    markers.followSimTime(
+      this.getWorldStatsAsObservable().pipe(map((stats) => stats.simTime)),
+    );
+    return markers;
+  }
+
+  /**
+   * Destroy the sky, the markers and the visuals created for the active
+   * world.
+   */
+  private clearWorldVisuals(): void {
+    this.scene?.removeSky();
+    this.markerManager?.destroy();
+    this.markerManager = undefined;
+    this.worldVisuals.forEach((visual) => visual.destroy());
+    this.worldVisuals = [];
+  }
+
+  /**
+   * Finish the current world switch, if any.
+   *
+   * @param error Optional. The error to reject the switch with. The switch
+   * succeeded if undefined.
+   */
+  private endWorldSwitch(error?: Error): void {
+    clearTimeout(this.switchTimer);
+    this.switchTimer = undefined;
+    this.switchingWorld = false;
+
+    const callbacks = this.switchCallbacks;
+    this.switchCallbacks = undefined;
+    if (error) {
+      callbacks?.reject(error);
+    } else {
+      callbacks?.resolve();
+    }
+  }
+
+  /**
+   * Create a Pose message from a Pose.
+   *
+   * @param pose The pose.
+   * @returns A JSON representation of the Pose message.
+   */
+  private createPoseMsg(pose: Pose): { [key: string]: any } {
+    return {
+      position: {
+        x: pose.position.x,
+        y: pose.position.y,
+        z: pose.position.z,
+      },
+      orientation: {
+        x: pose.orientation.x,
+        y: pose.orientation.y,
+        z: pose.orientation.z,
+        w: pose.orientation.w,
+      },
+    };
+  }
+
+  /**
+   * Call a service that controls the Simulation, logging its failure instead
+   * of rejecting.
+   *
+   * @param service The name of the service.
+   * @param reqType The message type of the request.
+   * @param msgProperties A JSON representation of the request message.
+   * @returns A Promise that resolves with the service response, or null if
+   * the call failed.
+   */
+  private callControlService(
+    service: string,
+    reqType: string,
+    msgProperties: { [key: string]: any },
+  ): Promise<any> {
+    return this.transport
+      .callService(service, reqType, "ignition.msgs.Boolean", msgProperties)
+      .catch((error) => {
+        console.error(error.message);
+        return null;
+      });
+  }
+
+  /**
+   * Verify the Boolean response of an entity service.
+   *
+   * @param service The name of the service.
+   * @param response The service response.
+   * @returns The response, if the request succeeded.
+   * @throws ServiceError if the request failed.
+   */
+  private checkServiceResponse(service: string, response: any): any {
+    if (!response || !response["data"]) {
+      throw new ServiceError(service, "Request failed");
+    }
+    return response;
+  }
+
+  /**
+   * Request a service, and wait for a model event that reflects the change
+   * in the scene.
+   *
+   * @param service The name of the service.
+   * @param event$ The model event to wait for.
+   * @param request Function that calls the service.
+   * @returns A Promise that resolves with the model of the first event.
+   */
+  private waitForModel(
+    service: string,
+    event$: Observable<any>,
+    request: () => Promise<any>,
+  ): Promise<any> {
+    return new Promise((resolve, reject) => {
+      // Listen to the event before the request, so it can't be missed.
+      const subscription = event$
+        .pipe(take(1), timeout(this.entityTimeoutMs))
+        .subscribe({
+          next: resolve,
+          error: () =>
+            reject(
+              new ServiceError(
+                service,
+                `The scene did not change after ${this.entityTimeoutMs} ms`,
+              ),
+            ),
+        });
+
+      request()
+        .then((response) => this.checkServiceResponse(service, response))
+        .catch((error) => {
+          subscription.unsubscribe();
+          reject(error);
+        });
+    });
   }
 
   /**
@@ -583,20 +1621,25 @@ export class SceneManager {
    * Setup the visualization scene.
    */
   private setupVisualization(): void {
-    var that = this;
-
-    // Create a find asset helper
-    function findAsset(_uri: string, _cb: any) {
-      that.transport.getAsset(_uri, _cb);
-    }
-
     this.scene = new Scene({
       shaders: new Shaders(),
-      findResourceCb: findAsset,
+      resolver: this.resolver,
     });
     this.sdfParser = new SDFParser(this.scene);
     this.sdfParser.usingFilesUrls = true;
 
+    // Move entities in the Simulation once they are released from the
+    // manipulator. Gazebo expects the pose in the world frame.
+    this.scene.emitter.on("entityChanged", (entity: THREE.Object3D) => {
+      this.setPose(
+        entity.name,
+        new Pose(
+          entity.getWorldPosition(new THREE.Vector3()),
+          entity.getWorldQuaternion(new THREE.Quaternion()),
+        ),
+      ).catch((error) => console.error(error.message));
+    });
+
     if (window.document.getElementById(this.elementId)) {
       this.sceneElement = window.document.getElementById(this.elementId)!;
     } else {
@@ -642,3 +1685,15 @@ export class SceneManager {
     this.animate();
   }
 }
+
+/**
+ * Get the name of the model of a Fuel URI, such as `Coke` for
+ * `https://fuel.gazebosim.org/1.0/openrobotics/models/Coke/2`.
+ *
+ * @param uri The URI of the model.
+ * @returns The name, or undefined if the URI is not a Fuel model URI.
+ */
+function getFuelModelName(uri: string): string | undefined {
+  const match = /\/models\/([^/?#]+)\/?(\d+|tip)?\/?([?#].*)?$/i.exec(uri);
+  return match ? decodeURIComponent(match[1]) : undefined;
+}
@@ -0,0 +1,385 @@
+import * as THREE from "three";
+import { setPoseFromMsg } from "./Pose";
+import { TopicVisual } from "./TopicVisual";
+import { Transport } from "./Transport";
+
+/**
+ * Options of a sensor visual.
+ */
+export interface SensorVisualOptions {
+  /**
+   * Optional. Color of the points or rays. Point clouds with colored points
+   * use their own colors. Defaults to red.
+   */
+  color?: THREE.ColorRepresentation;
+
+  /**
+   * Optional. Size of the points, in meters. Defaults to 0.05.
+   */
+  pointSize?: number;
+}
+
+/**
+ * Options of a LaserScanVisual.
+ */
+export interface LaserScanVisualOptions extends SensorVisualOptions {
+  /**
+   * Optional. Whether to show the hit points, or the rays from the sensor to
+   * them. Defaults to `points`.
+   */
+  mode?: "points" | "rays";
+
+  /**
+   * Optional. Whether the visual is moved to the world pose of each scan.
+   * Used when the visual is not attached to the sensor. Defaults to false.
+   */
+  useWorldPose?: boolean;
+}
+
+/**
+ * Points of a point cloud.
+ */
+export interface PointCloudPoints {
+  /**
+   * The x, y and z coordinates of the points.
+   */
+  positions: Float32Array;
+
+  /**
+   * The r, g and b components, between 0 and 1, of the points. Null if the
+   * cloud has no colors.
+   */
+  colors: Float32Array | null;
+}
+
+/**
+ * Compute the hit points of a LaserScan message, in the sensor frame. Rays
+ * that did not hit anything, or are out of range, are skipped.
+ *
+ * @param msg The LaserScan message.
+ * @returns The x, y and z coordinates of the points.
+ */
+export function laserScanToPoints(msg: any): Float32Array {
+  const count = msg["count"] || msg["ranges"].length;
+  const verticalCount = msg["vertical_count"] || 1;
+  const rangeMin = msg["range_min"] ?? 0;
+  const rangeMax = msg["range_max"] || Infinity;
+
+  const points: number[] = [];
+  for (let v = 0; v < verticalCount; ++v) {
+    const pitch =
+      (msg["vertical_angle_min"] ?? 0) + v * (msg["vertical_angle_step"] ?? 0);
+    for (let h = 0; h < count; ++h) {
+      const range = msg["ranges"][v * count + h];
+      if (!isFinite(range) || range < rangeMin || range > rangeMax) {
+        continue;
+      }
+
+      const yaw = msg["angle_min"] + h * msg["angle_step"];
+      points.push(
+        range * Math.cos(pitch) * Math.cos(yaw),
+        range * Math.cos(pitch) * Math.sin(yaw),
+        range * Math.sin(pitch),
+      );
+    }
+  }
+  return new Float32Array(points);
+}
+
+/**
+ * Data types of the fields of a PointCloudPacked message, by value.
+ */
+const POINT_FIELD_TYPES: { [datatype: string]: string } = {
+  0: "INT8",
+  1: "UINT8",
+  2: "INT16",
+  3: "UINT16",
+  4: "INT32",
+  5: "UINT32",
+  6: "FLOAT32",
+  7: "FLOAT64",
+};
+
+/**
+ * Decode the points of a PointCloudPacked message. Points with NaN
+ * coordinates are skipped. Colors are read from the `rgb` or `rgba` field.
+ *
+ * @param msg The PointCloudPacked message.
+ * @returns The positions and colors of the points.
+ */
+export function pointCloudToPoints(msg: any): PointCloudPoints {
+  const fields = new Map<string, any>();
+  (msg["field"] ?? []).forEach((field: any) =>
+    fields.set(field["name"], field),
+  );
+  const x = fields.get("x");
+  const y = fields.get("y");
+  const z = fields.get("z");
+  if (!x || !y || !z) {
+    throw new Error("The point cloud has no x, y and z fields");
+  }
+  const rgb = fields.get("rgb") ?? fields.get("rgba");
+
+  const data: Uint8Array = msg["data"];
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const littleEndian = !msg["is_bigendian"];
+  const read = (offset: number, field: any): number => {
+    const type = POINT_FIELD_TYPES[field["datatype"]] ?? field["datatype"];
+    offset += field["offset"];
+    switch (type) {
+      case "INT8":
+        return view.getInt8(offset);
+      case "UINT8":
+        return view.getUint8(offset);
+      case "INT16":
+        return view.getInt16(offset, littleEndian);
+      case "UINT16":
+        return view.getUint16(offset, littleEndian);
+      case "INT32":
+        return view.getInt32(offset, littleEndian);
+      case "UINT32":
+        return view.getUint32(offset, littleEndian);
+      case "FLOAT64":
+        return view.getFloat64(offset, littleEndian);
+      default:
+        return view.getFloat32(offset, littleEndian);
+    }
+  };
+
+  const positions: number[] = [];
+  const colors: number[] = [];
+  const height = msg["height"] || 1;
+  const width = msg["width"];
+  const pointStep = msg["point_step"];
+  const rowStep = msg["row_step"] || width * pointStep;
+  for (let row = 0; row < height; ++row) {
+    for (let col = 0; col < width; ++col) {
+      const offset = row * rowStep + col * pointStep;
+      if (offset + pointStep > data.byteLength) {
+        break;
+      }
+
+      const point = [read(offset, x), read(offset, y), read(offset, z)];
+      if (point.some(isNaN)) {
+        continue;
+      }
+      positions.push(...point);
+
+      // Colors are packed in 32 bits, whatever the type of the field.
+      if (rgb) {
+        const color = view.getUint32(offset + rgb["offset"], littleEndian);
+        colors.push(
+          ((color >> 16) & 0xff) / 255,
+          ((color >> 8) & 0xff) / 255,
+          (color & 0xff) / 255,
+        );
+      }
+    }
+  }
+
+  return {
+    positions: new Float32Array(positions),
+    colors: rgb ? new Float32Array(colors) : null,
+  };
+}
+
+/**
+ * Find the object of a sensor in a scene, from the name of one of its
+ * topics, such as `/world/shapes/model/robot/link/base/sensor/lidar/scan`.
+ *
+ * @param root The object to search in, such as the scene.
+ * @param topic The topic of the sensor.
+ * @returns The object of the sensor, or of its link if the sensor is not in
+ * the scene. Undefined if the topic doesn't name a link.
+ */
+export function findSensorFrame(
+  root: THREE.Object3D,
+  topic: string,
+): THREE.Object3D | undefined {
+  const parts = topic.split("/");
+  let parent = root;
+  let frame: THREE.Object3D | undefined;
+  for (let i = 0; i < parts.length - 1; ++i) {
+    const kind = parts[i];
+    if (kind !== "model" && kind !== "link" && kind !== "sensor") {
+      continue;
+    }
+
+    const child = parent.getObjectByName(parts[i + 1]);
+    if (!child) {
+      break;
+    }
+    parent = child;
+    if (kind !== "model") {
+      frame = child;
+    }
+  }
+  return frame;
+}
+
+/**
+ * Base of the visuals that show the messages of a sensor topic.
+ */
+abstract class SensorVisual extends TopicVisual {
+  /**
+   * The name of the sensor topic.
+   */
+  public readonly topic: string;
+
+  /**
+   * The object that contains the visual. It should be added to the object of
+   * the sensor, so the visual follows the sensor as it moves.
+   */
+  public readonly object = new THREE.Group();
+
+  protected geometry = new THREE.BufferGeometry();
+
+  /**
+   * @param transport The Transport used to subscribe to the topic.
+   * @param topic The name of the sensor topic.
+   */
+  constructor(transport: Transport, topic: string) {
+    super(transport, [topic]);
+    this.topic = topic;
+    this.object.name = `${topic}::visual`;
+  }
+
+  /**
+   * Stop the visual, remove it from the scene and free its resources.
+   */
+  public override destroy(): void {
+    super.destroy();
+    this.object.removeFromParent();
+    this.geometry.dispose();
+    this.object.traverse((child) => {
+      if (child instanceof THREE.Points || child instanceof THREE.Line) {
+        (child.material as THREE.Material).dispose();
+      }
+    });
+  }
+
+  /**
+   * Set an attribute of the geometry. The attribute is replaced if its size
+   * changed, and updated otherwise.
+   */
+  protected setAttribute(name: string, values: Float32Array): void {
+    const attribute = this.geometry.getAttribute(name);
+    if (attribute && attribute.array.length === values.length) {
+      (attribute.array as Float32Array).set(values);
+      attribute.needsUpdate = true;
+    } else {
+      this.geometry.setAttribute(name, new THREE.BufferAttribute(values, 3));
+    }
+  }
+}
+
+/**
+ * The LaserScanVisual shows the messages of a `gz.msgs.LaserScan` topic, as
+ * the hit points or the rays of the scan, in the sensor frame.
+ */
+export class LaserScanVisual extends SensorVisual {
+  private mode: "points" | "rays";
+  private useWorldPose: boolean;
+
+  /**
+   * @param transport The Transport used to subscribe to the topic.
+   * @param topic The name of the LaserScan topic.
+   * @param options Optional. The visual options.
+   */
+  constructor(
+    transport: Transport,
+    topic: string,
+    options: LaserScanVisualOptions = {},
+  ) {
+    super(transport, topic);
+    this.mode = options.mode ?? "points";
+    this.useWorldPose = options.useWorldPose ?? false;
+
+    const color = options.color ?? 0xff0000;
+    this.object.add(
+      this.mode === "rays"
+        ? new THREE.LineSegments(
+            this.geometry,
+            new THREE.LineBasicMaterial({ color }),
+          )
+        : new THREE.Points(
+            this.geometry,
+            new THREE.PointsMaterial({
+              color,
+              size: options.pointSize ?? 0.05,
+            }),
+          ),
+    );
+  }
+
+  protected update(msg: any): void {
+    const points = laserScanToPoints(msg);
+    if (this.mode === "rays") {
+      // Each ray is a segment from the sensor to the hit point.
+      const segments = new Float32Array(points.length * 2);
+      for (let i = 0; i < points.length; i += 3) {
+        segments.set(points.subarray(i, i + 3), i * 2 + 3);
+      }
+      this.setAttribute("position", segments);
+    } else {
+      this.setAttribute("position", points);
+    }
+    this.geometry.computeBoundingSphere();
+
+    const pose = msg["world_pose"];
+    if (this.useWorldPose && pose) {
+      setPoseFromMsg(this.object, pose);
+    }
+  }
+}
+
+/**
+ * The PointCloudVisual shows the messages of a `gz.msgs.PointCloudPacked`
+ * topic, as colored points in the sensor frame.
+ */
+export class PointCloudVisual extends SensorVisual {
+  private material: THREE.PointsMaterial;
+
+  /**
+   * Color of the points without colors.
+   */
+  private color: THREE.Color;
+
+  /**
+   * @param transport The Transport used to subscribe to the topic.
+   * @param topic The name of the PointCloudPacked topic.
+   * @param options Optional. The visual options.
+   */
+  constructor(
+    transport: Transport,
+    topic: string,
+    options: SensorVisualOptions = {},
+  ) {
+    super(transport, topic);
+    this.color = new THREE.Color(options.color ?? 0xff0000);
+    this.material = new THREE.PointsMaterial({
+      color: this.color,
+      size: options.pointSize ?? 0.05,
+    });
+    this.object.add(new THREE.Points(this.geometry, this.material));
+  }
+
+  protected update(msg: any): void {
+    const { positions, colors } = pointCloudToPoints(msg);
+    this.setAttribute("position", positions);
+    if (colors) {
+      this.setAttribute("color", colors);
+    } else {
+      this.geometry.deleteAttribute("color");
+    }
+    this.geometry.computeBoundingSphere();
+
+    // White is neutral when the points have their own colors.
+    const vertexColors = colors !== null;
+    if (this.material.vertexColors !== vertexColors) {
+      this.material.vertexColors = vertexColors;
+      this.material.color.set(vertexColors ? 0xffffff : this.color);
+      this.material.needsUpdate = true;
+    }
+  }
+}
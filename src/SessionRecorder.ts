@@ -0,0 +1,344 @@
+import * as JSZip from "jszip";
+import { Subscription } from "rxjs";
+import { HANDSHAKE_TOPICS } from "./FrameDecoder";
+import { RawFrame, Transport } from "./Transport";
+
+/**
+ * Version of the session file format.
+ */
+export const SESSION_VERSION = 1;
+
+/**
+ * Options of a SessionRecorder.
+ */
+export interface SessionRecorderOptions {
+  /**
+   * Optional. Names of the topics to record. All the subscribed topics are
+   * recorded by default.
+   */
+  topics?: string[];
+
+  /**
+   * Optional. Maximum size, in bytes, of the recorded frames and assets. The
+   * recording stops once it is reached. Defaults to 256 MB.
+   */
+  maxBytes?: number;
+
+  /**
+   * Optional. Maximum duration of the recording, in milliseconds. The
+   * recording stops once it is reached. There is no limit by default.
+   */
+  maxDurationMs?: number;
+}
+
+/**
+ * A frame of a recorded session.
+ */
+export interface RecordedFrame {
+  /**
+   * Time the frame was received, in milliseconds since the recording started.
+   */
+  time: number;
+
+  /**
+   * The topic of the frame.
+   */
+  topic: string;
+
+  /**
+   * The raw frame.
+   */
+  data: Uint8Array;
+}
+
+/**
+ * Split the header of a raw frame into its operation, topic and message
+ * type.
+ *
+ * @param data The raw frame.
+ * @returns The operation, topic and message type, and the offset of the
+ * payload.
+ */
+export function parseFrameHeader(data: Uint8Array): {
+  parts: string[];
+  payloadOffset: number;
+} {
+  const parts: string[] = [];
+  let start = 0;
+  for (let i = 0; i < data.length && parts.length < 3; ++i) {
+    // 44 is the code of the comma.
+    if (data[i] === 44) {
+      parts.push(new TextDecoder().decode(data.subarray(start, i)));
+      start = i + 1;
+    }
+  }
+  return { parts, payloadOffset: start };
+}
+
+/**
+ * Encode frames into a single buffer. Each frame is stored as its time
+ * (float64), its length (uint32) and its data.
+ *
+ * @param frames The frames to encode.
+ * @returns The encoded frames.
+ */
+export function encodeFrames(frames: RecordedFrame[]): Uint8Array {
+  const size = frames.reduce((sum, frame) => sum + 12 + frame.data.length, 0);
+  const buffer = new Uint8Array(size);
+  const view = new DataView(buffer.buffer);
+  let offset = 0;
+  frames.forEach((frame) => {
+    view.setFloat64(offset, frame.time);
+    view.setUint32(offset + 8, frame.data.length);
+    buffer.set(frame.data, offset + 12);
+    offset += 12 + frame.data.length;
+  });
+  return buffer;
+}
+
+/**
+ * Decode frames encoded with encodeFrames.
+ *
+ * @param buffer The encoded frames.
+ * @returns The frames.
+ */
+export function decodeFrames(buffer: Uint8Array): RecordedFrame[] {
+  const frames: RecordedFrame[] = [];
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.length);
+  let offset = 0;
+  while (offset + 12 <= buffer.length) {
+    const time = view.getFloat64(offset);
+    const length = view.getUint32(offset + 8);
+    const data = buffer.slice(offset + 12, offset + 12 + length);
+    frames.push({ time, topic: parseFrameHeader(data).parts[1], data });
+    offset += 12 + length;
+  }
+  return frames;
+}
+
+/**
+ * The SessionRecorder records the traffic of a Transport, in order to replay
+ * it later with a ReplayTransport.
+ *
+ * It records the message definitions, the scene information, the frames of
+ * the chosen topics and the assets fetched from the websocket server. The
+ * session is kept in memory and saved as a zip file. The scene information is
+ * the one received when connecting, so the recording should start right after
+ * connecting to capture the models added later.
+ *
+ * The session is kept in memory until it is saved, so the recording stops
+ * once the `maxBytes` or `maxDurationMs` limits are reached. Assets fetched
+ * over HTTP, such as Fuel models, are not recorded: the replay fetches them
+ * again.
+ *
+ * ```
+ * const recorder = new SessionRecorder(transport);
+ * recorder.start();
+ * // ...
+ * recorder.stop();
+ * const file = await recorder.save();
+ * ```
+ */
+export class SessionRecorder {
+  private transport: Transport;
+  private topics: Set<string> | null;
+
+  /**
+   * The recorded frames, in the order they were received.
+   */
+  private frames: RecordedFrame[] = [];
+
+  /**
+   * The raw asset frames, by URI.
+   */
+  private assets = new Map<string, Uint8Array>();
+
+  /**
+   * The raw handshake frames received while recording, by topic.
+   */
+  private handshake = new Map<string, string | Uint8Array>();
+
+  /**
+   * Size of the recorded frames and assets, in bytes.
+   */
+  private size: number = 0;
+
+  private maxBytes: number;
+  private maxDurationMs: number | undefined;
+  private startedAt: number = 0;
+  private stoppedAt: number = 0;
+  private subscription: Subscription | undefined;
+  private durationTimer: ReturnType<typeof setTimeout> | undefined;
+
+  /**
+   * @param transport The Transport to record.
+   * @param options Optional. The recorder options.
+   */
+  constructor(transport: Transport, options: SessionRecorderOptions = {}) {
+    this.transport = transport;
+    this.topics = options.topics ? new Set(options.topics) : null;
+    this.maxBytes = options.maxBytes ?? 256 * 1024 * 1024;
+    this.maxDurationMs = options.maxDurationMs;
+  }
+
+  /**
+   * Start recording. Previous recordings are discarded.
+   * Does nothing if the recorder is already recording.
+   */
+  public start(): void {
+    if (this.subscription) {
+      return;
+    }
+
+    this.frames = [];
+    this.assets.clear();
+    this.size = 0;
+    this.handshake = this.transport.getHandshakeData();
+    this.startedAt = Date.now();
+    this.stoppedAt = 0;
+    this.subscription = this.transport
+      .getRawFrames()
+      .subscribe((frame) => this.onFrame(frame));
+    if (this.maxDurationMs !== undefined) {
+      this.durationTimer = setTimeout(() => this.stop(), this.maxDurationMs);
+    }
+  }
+
+  /**
+   * Stop recording.
+   */
+  public stop(): void {
+    if (!this.subscription) {
+      return;
+    }
+
+    this.subscription.unsubscribe();
+    this.subscription = undefined;
+    clearTimeout(this.durationTimer);
+    this.durationTimer = undefined;
+    this.stoppedAt = Date.now();
+  }
+
+  /**
+   * Whether the recorder is recording.
+   */
+  public isRecording(): boolean {
+    return this.subscription !== undefined;
+  }
+
+  /**
+   * Get the duration of the recording.
+   *
+   * @returns The duration, in milliseconds.
+   */
+  public getDuration(): number {
+    if (!this.startedAt) {
+      return 0;
+    }
+    return (this.stoppedAt || Date.now()) - this.startedAt;
+  }
+
+  /**
+   * Save the recorded session as a zip file.
+   *
+   * @returns A Promise that resolves with the zip file. It is rejected if the
+   * message definitions were not received.
+   */
+  public async save(): Promise<Blob> {
+    // The recording could have started before connecting.
+    const handshake = this.transport.getHandshakeData();
+    this.handshake.forEach((data, key) => handshake.set(key, data));
+
+    const protos = handshake.get("protos");
+    if (typeof protos !== "string") {
+      throw new Error("The message definitions were not received");
+    }
+
+    const zip = new JSZip();
+    const assetFiles: { [uri: string]: string } = {};
+    let index = 0;
+    this.assets.forEach((data, uri) => {
+      const file = `assets/${index++}.bin`;
+      assetFiles[uri] = file;
+      zip.file(file, data);
+    });
+
+    HANDSHAKE_TOPICS.forEach((topic) => {
+      const data = handshake.get(topic);
+      if (data instanceof Uint8Array) {
+        zip.file(`handshake/${topic}.bin`, data);
+      }
+    });
+
+    zip.file("protos.proto", protos);
+    zip.file("frames.bin", encodeFrames(this.frames));
+    zip.file(
+      "session.json",
+      JSON.stringify({
+        version: SESSION_VERSION,
+        createdAt: new Date(this.startedAt).toISOString(),
+        durationMs: this.getDuration(),
+        world: this.transport.getWorld(),
+        topics: [...new Set(this.frames.map((frame) => frame.topic))],
+        frameCount: this.frames.length,
+        assets: assetFiles,
+      }),
+    );
+
+    const content = await zip.generateAsync({
+      type: "uint8array",
+      compression: "DEFLATE",
+    });
+    return new Blob([content], { type: "application/zip" });
+  }
+
+  /**
+   * Handle a frame received by the Transport.
+   */
+  private onFrame(frame: RawFrame): void {
+    const [op, topic, type] = parseFrameHeader(frame.data).parts;
+
+    // Keep the assets that were found, in order to answer the requests of
+    // the replay.
+    if (op === "asset") {
+      if (!type.endsWith(".StringMsg") && this.reserve(frame.data)) {
+        this.assets.set(topic, frame.data);
+      }
+      return;
+    }
+
+    if (op !== "pub") {
+      return;
+    }
+
+    if (HANDSHAKE_TOPICS.includes(topic)) {
+      this.handshake.set(topic, frame.data);
+      return;
+    }
+
+    if ((this.topics && !this.topics.has(topic)) || !this.reserve(frame.data)) {
+      return;
+    }
+
+    this.frames.push({
+      time: frame.receivedAt - this.startedAt,
+      topic,
+      data: frame.data,
+    });
+  }
+
+  /**
+   * Count the size of data to record. The recording stops if it doesn't fit.
+   *
+   * @param data The data to record.
+   * @returns Whether the data can be recorded.
+   */
+  private reserve(data: Uint8Array): boolean {
+    if (this.size + data.length > this.maxBytes) {
+      this.stop();
+      return false;
+    }
+    this.size += data.length;
+    return true;
+  }
+}
@@ -0,0 +1,270 @@
+import {
+  BehaviorSubject,
+  Observable,
+  Subject,
+  Subscription,
+  interval,
+} from "rxjs";
+import { TopicFrame, Transport } from "./Transport";
+
+/**
+ * Options of a TopicMonitor.
+ */
+export interface TopicMonitorOptions {
+  /**
+   * Optional. Number of messages kept in the history. Defaults to 100.
+   */
+  historySize?: number;
+
+  /**
+   * Optional. Time window, in milliseconds, used to compute the rate and the
+   * bandwidth. Defaults to 5000.
+   */
+  windowMs?: number;
+
+  /**
+   * Optional. Time, in milliseconds, between updates of the statistics when
+   * no messages are received. Defaults to 1000.
+   */
+  updateIntervalMs?: number;
+}
+
+/**
+ * Statistics of a monitored topic.
+ */
+export interface TopicStatistics {
+  /**
+   * Number of messages received since the monitor started.
+   */
+  count: number;
+
+  /**
+   * Publish rate, in Hz, over the time window.
+   */
+  hz: number;
+
+  /**
+   * Size of the last message, in bytes.
+   */
+  lastMessageSize: number;
+
+  /**
+   * Mean size of the messages over the time window, in bytes.
+   */
+  meanMessageSize: number;
+
+  /**
+   * Bandwidth, in bytes per second, over the time window.
+   */
+  bandwidth: number;
+
+  /**
+   * Time since the last message, in milliseconds. Null if no message has
+   * been received.
+   */
+  timeSinceLastMs: number | null;
+}
+
+/**
+ * The TopicMonitor subscribes to a topic and keeps a bounded history of its
+ * messages, along with statistics such as the publish rate and bandwidth.
+ * It is the equivalent of `gz topic -e` and `gz topic -hz`.
+ *
+ * ```
+ * const monitor = new TopicMonitor(transport, "/world/shapes/stats");
+ * monitor.getStatisticsAsObservable().subscribe((stats) => {
+ *   console.log(`${stats.hz.toFixed(1)} Hz`);
+ * });
+ * monitor.start();
+ * ```
+ */
+export class TopicMonitor {
+  /**
+   * The name of the monitored topic.
+   */
+  public readonly topic: string;
+
+  private transport: Transport;
+  private historySize: number;
+  private windowMs: number;
+  private updateIntervalMs: number;
+
+  /**
+   * The last messages received, oldest first.
+   */
+  private history: TopicFrame[] = [];
+
+  /**
+   * Frames received within the time window, used for the statistics.
+   */
+  private window: TopicFrame[] = [];
+
+  private count: number = 0;
+  private startedAt: number = 0;
+
+  private messages$ = new Subject<TopicFrame>();
+  private history$ = new BehaviorSubject<TopicFrame[]>([]);
+  private statistics$ = new BehaviorSubject<TopicStatistics>(emptyStatistics());
+
+  private frameSubscription: Subscription | undefined;
+  private timerSubscription: Subscription | undefined;
+
+  /**
+   * @param transport The Transport used to subscribe to the topic.
+   * @param topic The name of the topic to monitor.
+   * @param options Optional. The monitor options.
+   */
+  constructor(
+    transport: Transport,
+    topic: string,
+    options: TopicMonitorOptions = {},
+  ) {
+    this.transport = transport;
+    this.topic = topic;
+    this.historySize = options.historySize ?? 100;
+    this.windowMs = options.windowMs ?? 5000;
+    this.updateIntervalMs = options.updateIntervalMs ?? 1000;
+  }
+
+  /**
+   * Subscribe to the topic and start collecting messages and statistics.
+   * Does nothing if the monitor is already started.
+   */
+  public start(): void {
+    if (this.frameSubscription) {
+      return;
+    }
+
+    this.startedAt = Date.now();
+    this.frameSubscription = this.transport
+      .topicFrames$(this.topic)
+      .subscribe((frame) => this.onFrame(frame));
+    this.timerSubscription = interval(this.updateIntervalMs).subscribe(() =>
+      this.updateStatistics(),
+    );
+  }
+
+  /**
+   * Unsubscribe from the topic. The history and statistics are kept.
+   */
+  public stop(): void {
+    this.frameSubscription?.unsubscribe();
+    this.timerSubscription?.unsubscribe();
+    this.frameSubscription = undefined;
+    this.timerSubscription = undefined;
+  }
+
+  /**
+   * Whether the monitor is subscribed to the topic.
+   */
+  public isRunning(): boolean {
+    return this.frameSubscription !== undefined;
+  }
+
+  /**
+   * Clear the history and reset the statistics.
+   */
+  public clear(): void {
+    this.history = [];
+    this.window = [];
+    this.count = 0;
+    this.startedAt = Date.now();
+    this.history$.next([]);
+    this.statistics$.next(emptyStatistics());
+  }
+
+  /**
+   * Get the messages of the topic as they are received.
+   *
+   * @returns An Observable of the received frames.
+   */
+  public getMessagesAsObservable(): Observable<TopicFrame> {
+    return this.messages$.asObservable();
+  }
+
+  /**
+   * Get the history of messages as an observable.
+   *
+   * @returns An Observable of the last messages, oldest first. It emits
+   * whenever a message is received.
+   */
+  public getHistoryAsObservable(): Observable<TopicFrame[]> {
+    return this.history$.asObservable();
+  }
+
+  /**
+   * Get the statistics of the topic as an observable.
+   *
+   * @returns An Observable of the statistics. It emits whenever a message is
+   * received, and periodically otherwise.
+   */
+  public getStatisticsAsObservable(): Observable<TopicStatistics> {
+    return this.statistics$.asObservable();
+  }
+
+  /**
+   * Stop the monitor and complete its observables.
+   */
+  public destroy(): void {
+    this.stop();
+    this.messages$.complete();
+    this.history$.complete();
+    this.statistics$.complete();
+  }
+
+  /**
+   * Handle a received frame.
+   */
+  private onFrame(frame: TopicFrame): void {
+    this.count++;
+    this.history.push(frame);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+    this.window.push(frame);
+
+    this.messages$.next(frame);
+    this.history$.next([...this.history]);
+    this.updateStatistics();
+  }
+
+  /**
+   * Compute the statistics over the time window.
+   */
+  private updateStatistics(): void {
+    const now = Date.now();
+    while (
+      this.window.length &&
+      this.window[0].receivedAt < now - this.windowMs
+    ) {
+      this.window.shift();
+    }
+
+    const last = this.history[this.history.length - 1];
+    const elapsedSec = Math.min(now - this.startedAt, this.windowMs) / 1000;
+    const bytes = this.window.reduce((sum, frame) => sum + frame.size, 0);
+
+    this.statistics$.next({
+      count: this.count,
+      hz: elapsedSec > 0 ? this.window.length / elapsedSec : 0,
+      lastMessageSize: last ? last.size : 0,
+      meanMessageSize: this.window.length ? bytes / this.window.length : 0,
+      bandwidth: elapsedSec > 0 ? bytes / elapsedSec : 0,
+      timeSinceLastMs: last ? now - last.receivedAt : null,
+    });
+  }
+}
+
+/**
+ * Statistics of a topic without messages.
+ */
+function emptyStatistics(): TopicStatistics {
+  return {
+    count: 0,
+    hz: 0,
+    lastMessageSize: 0,
+    meanMessageSize: 0,
+    bandwidth: 0,
+    timeSinceLastMs: null,
+  };
+}
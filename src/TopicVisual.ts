@@ -0,0 +1,76 @@
+import { Subscription } from "rxjs";
+import { Transport } from "./Transport";
+
+/**
+ * Base of the classes that show the messages of one or more topics, such as
+ * the sensor visuals, the camera feeds, the contacts and the joint
+ * inspectors. It handles the subscriptions, and logs the errors thrown while
+ * showing a message so the next messages are still shown.
+ */
+export abstract class TopicVisual {
+  protected transport: Transport;
+  private subscribedTopics: string[];
+  private subscription: Subscription | undefined;
+
+  /**
+   * @param transport The Transport used to subscribe to the topics.
+   * @param topics The names of the topics.
+   */
+  constructor(transport: Transport, topics: string[]) {
+    this.transport = transport;
+    this.subscribedTopics = topics;
+  }
+
+  /**
+   * Subscribe to the topics and start showing their messages.
+   * Does nothing if already started.
+   */
+  public start(): void {
+    if (this.subscription) {
+      return;
+    }
+
+    this.subscription = new Subscription();
+    this.subscribedTopics.forEach((topic) =>
+      this.subscription!.add(
+        this.transport.topic$(topic).subscribe((msg) => {
+          try {
+            this.update(msg, topic);
+          } catch (error) {
+            console.error(`Unable to show message of ${topic}:`, error);
+          }
+        }),
+      ),
+    );
+  }
+
+  /**
+   * Unsubscribe from the topics. The last messages remain visible.
+   */
+  public stop(): void {
+    this.subscription?.unsubscribe();
+    this.subscription = undefined;
+  }
+
+  /**
+   * Whether the topics are subscribed to.
+   */
+  public isRunning(): boolean {
+    return this.subscription !== undefined;
+  }
+
+  /**
+   * Stop showing the messages and free the resources.
+   */
+  public destroy(): void {
+    this.stop();
+  }
+
+  /**
+   * Show a message of a topic.
+   *
+   * @param msg The message.
+   * @param topic The name of the topic.
+   */
+  protected abstract update(msg: any, topic: string): void;
+}
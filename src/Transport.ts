@@ -1,8 +1,232 @@
-import { BehaviorSubject, Observable } from "rxjs";
+import { BehaviorSubject, Observable, Subject, map, share } from "rxjs";
 import { Root, Message, Type, parse } from "protobufjs";
 import { Publisher } from "./Publisher";
 import { Topic } from "./Topic";
-import { Asset, AssetCb, AssetError } from "./Asset";
+import { AssetCb, AssetError, AssetFetchError } from "./Asset";
+import {
+  decodeFrame,
+  DecodedFrame,
+  FrameDecoderPort,
+  FrameDecoderResponse,
+  HANDSHAKE_TOPICS,
+  IMAGE_TYPES,
+} from "./FrameDecoder";
+import {
+  createMessageTemplate,
+  describeMessageType,
+  FieldDescription,
+  listMessageTypes,
+} from "./MessageSchema";
+
+/**
+ * Constructor of a WebSocket implementation. It must follow the interface of
+ * the browser WebSocket, like the `ws` package of Node.js does.
+ */
+export type WebSocketConstructor = new (url: string) => any;
+
+/**
+ * Options of a Transport.
+ */
+export interface TransportOptions {
+  /**
+   * Optional. The WebSocket implementation used to connect to the server.
+   * Defaults to the global WebSocket. Node.js applications can use the
+   * WebSocket of the `ws` package.
+   */
+  webSocket?: WebSocketConstructor;
+
+  /**
+   * Optional. A Web Worker that decodes the frames received from the server,
+   * instead of the main thread. The worker must run the `gzweb.worker.js`
+   * script of the package, which includes its dependencies:
+   *
+   * ```
+   * new Worker(new URL("gzweb/dist/gzweb.worker.js", import.meta.url));
+   * ```
+   *
+   * Messages are the same plain objects as the ones decoded in the main
+   * thread.
+   */
+  decodeWorker?: FrameDecoderPort;
+}
+
+/**
+ * Options that enable automatic reconnection to the websocket server when the
+ * connection is lost unexpectedly.
+ *
+ * The delay between attempts grows exponentially, starting at
+ * `initialDelayMs` and multiplied by `backoffFactor` on every failed attempt,
+ * up to `maxDelayMs`.
+ */
+export interface ReconnectOptions {
+  /**
+   * Maximum number of consecutive reconnection attempts. Defaults to 10.
+   */
+  maxAttempts?: number;
+
+  /**
+   * Delay, in milliseconds, before the first reconnection attempt. Defaults to 1000.
+   */
+  initialDelayMs?: number;
+
+  /**
+   * Maximum delay, in milliseconds, between reconnection attempts. Defaults to 30000.
+   */
+  maxDelayMs?: number;
+
+  /**
+   * Factor applied to the delay after each attempt. Defaults to 2.
+   */
+  backoffFactor?: number;
+}
+
+/**
+ * Options of a service call.
+ */
+export interface ServiceCallOptions {
+  /**
+   * Time, in milliseconds, to wait for the response. Defaults to 5000.
+   */
+  timeoutMs?: number;
+}
+
+/**
+ * Error used to reject a service call.
+ */
+export class ServiceError extends Error {
+  /**
+   * The name of the service that was called.
+   */
+  public service: string;
+
+  constructor(service: string, message: string) {
+    super(`${service}: ${message}`);
+    this.name = "ServiceError";
+    this.service = service;
+  }
+}
+
+/**
+ * Reasons of a connection error.
+ */
+export enum ConnectionErrorCode {
+  /** The server rejected the authorization key. */
+  AUTH_INVALID = "auth_invalid",
+  /** The websocket reported an error. */
+  SOCKET_ERROR = "socket_error",
+  /** The connection was closed without being requested. */
+  UNEXPECTED_CLOSE = "unexpected_close",
+  /** The message definitions sent by the server could not be parsed. */
+  PROTO_PARSE = "proto_parse",
+  /** The server did not complete the handshake in time. */
+  HANDSHAKE_TIMEOUT = "handshake_timeout",
+}
+
+/**
+ * Error emitted when the connection to the websocket server fails.
+ */
+export class ConnectionError extends Error {
+  /**
+   * The reason of the error.
+   */
+  public code: ConnectionErrorCode;
+
+  /**
+   * The close code of the websocket, if it was closed unexpectedly.
+   */
+  public closeCode?: number;
+
+  /**
+   * The close reason given by the server, if it was closed unexpectedly.
+   */
+  public closeReason?: string;
+
+  constructor(
+    code: ConnectionErrorCode,
+    message: string,
+    closeCode?: number,
+    closeReason?: string,
+  ) {
+    super(message);
+    this.name = "ConnectionError";
+    this.code = code;
+    this.closeCode = closeCode;
+    this.closeReason = closeReason;
+  }
+}
+
+/**
+ * A message received from a topic, along with information about its frame.
+ */
+export interface TopicFrame<T = any> {
+  /**
+   * The decoded message.
+   */
+  msg: T;
+
+  /**
+   * The message type, such as `gz.msgs.Clock`.
+   */
+  type: string;
+
+  /**
+   * Size of the encoded message, in bytes.
+   */
+  size: number;
+
+  /**
+   * Time the message was received, in milliseconds since the epoch.
+   */
+  receivedAt: number;
+}
+
+/**
+ * A frame received from the websocket server, before being decoded.
+ */
+export interface RawFrame {
+  /**
+   * The frame, consisting of a comma-separated header and the payload.
+   */
+  data: Uint8Array;
+
+  /**
+   * Time the frame was received, in milliseconds since the epoch.
+   */
+  receivedAt: number;
+}
+
+/**
+ * Options of an asset request.
+ */
+export interface FetchAssetOptions {
+  /**
+   * Time, in milliseconds, to wait for the asset. Defaults to 30000.
+   */
+  timeoutMs?: number;
+
+  /**
+   * Optional. Signal used to cancel the request.
+   */
+  signal?: AbortSignal;
+}
+
+/**
+ * A requester waiting for an asset.
+ */
+interface AssetWaiter {
+  resolve: (data: Uint8Array) => void;
+  reject: (error: AssetFetchError) => void;
+}
+
+/**
+ * A service call waiting for its response.
+ */
+interface PendingServiceCall {
+  repType: string;
+  resolve: (msg: any) => void;
+  reject: (error: ServiceError) => void;
+  timer: ReturnType<typeof setTimeout>;
+}
 
 /**
  * The Transport class is in charge of managing the websocket connection to a
@@ -15,6 +239,19 @@ export class Transport {
    */
   public sceneInfo$ = new BehaviorSubject<any>(null);
 
+  /**
+   * Available topics behavior subject.
+   * Components can subscribe to it to know when topics are advertised or
+   * removed. Emits arrays of objects containing {topic, msg_type}.
+   */
+  public availableTopics$ = new BehaviorSubject<object[]>([]);
+
+  /**
+   * Available worlds behavior subject.
+   * Emits the names of the worlds hosted by the server.
+   */
+  public worlds$ = new BehaviorSubject<string[]>([]);
+
   /**
    * The Websocket object.
    */
@@ -32,6 +269,23 @@ export class Transport {
    */
   private availableTopics: object[] = [];
 
+  /**
+   * Names of the topics subscribed to before being advertised. They are
+   * subscribed to once they appear in the available topics.
+   */
+  private pendingSubscriptions = new Set<string>();
+
+  /**
+   * Names of the topics subscribed to on the current connection. Used to
+   * avoid subscribing twice when the connection is restored.
+   */
+  private subscribedTopics = new Set<string>();
+
+  /**
+   * Handle of the timer that requests the available topics periodically.
+   */
+  private topicDiscoveryTimer: ReturnType<typeof setInterval> | undefined;
+
   /**
    * Map of the subscribed topics.
    * - Key: The topic name.
@@ -43,17 +297,69 @@ export class Transport {
   private topicMap = new Map<string, Topic>();
 
   /**
-   * A map of asset uri to asset types. This allows a caller to request
-   * an asset from the websocket server and receive a callback when the
-   * aseset has been fetched.
+   * Map of the topic streams created by topic$.
+   * - Key: The topic name.
+   * - Value: The shared Observable of the topic frames.
+   */
+  private topicStreams = new Map<string, Observable<TopicFrame>>();
+
+  /**
+   * Map of the topic streams that are currently subscribed to.
+   * - Key: The topic name.
+   * - Value: The Subject that emits the received frames.
+   */
+  private topicSubjects = new Map<string, Subject<TopicFrame>>();
+
+  /**
+   * Map of the advertised topics.
+   * - Key: The topic name.
+   * - Value: The Publisher returned when the topic was advertised.
+   *
+   * Used to advertise the topics again after reconnecting.
+   */
+  private publisherMap = new Map<string, Publisher>();
+
+  /**
+   * Map of the asset requests in flight.
+   * - Key: The asset URI.
+   * - Value: The requesters waiting for the asset.
+   *
+   * Concurrent requests for the same asset share a single request to the
+   * websocket server.
+   */
+  private assetRequests = new Map<string, Set<AssetWaiter>>();
+
+  /**
+   * Map of the service calls waiting for a response.
+   * - Key: The service name.
+   * - Value: The pending calls, in the order they were requested.
+   *
+   * The websocket server answers the requests of a service in order, so
+   * responses are matched with the oldest pending call of the service.
+   */
+  private serviceCalls = new Map<string, PendingServiceCall[]>();
+
+  /**
+   * Number of calls of a service that timed out and whose response was not
+   * received yet.
+   * - Key: The service name.
+   * - Value: The number of responses to drop.
+   *
+   * Responses are matched by order, so the late response of a call that
+   * timed out must be dropped rather than matched with the next call.
    */
-  private assetMap = new Map<string, Asset>();
+  private lateServiceResponses = new Map<string, number>();
 
   /**
    * The world that is being used in the Simulation.
    */
   private world: string = "";
 
+  /**
+   * The worlds hosted by the server.
+   */
+  private worlds: string[] = [];
+
   /**
    * Status connection behavior subject.
    * Internally keeps track of the connection state.
@@ -61,25 +367,128 @@ export class Transport {
    */
   private status$ = new BehaviorSubject<string>("disconnected");
 
+  /**
+   * The url of the websocket server. Kept in order to reconnect.
+   */
+  private url: string;
+
+  /**
+   * The authorization key of the websocket server. Kept in order to reconnect.
+   */
+  private key: string | undefined;
+
+  /**
+   * The reconnection options. Null if reconnection is disabled.
+   */
+  private reconnectOptions: Required<ReconnectOptions> | null = null;
+
+  /**
+   * Number of consecutive reconnection attempts made so far.
+   */
+  private reconnectAttempts: number = 0;
+
+  /**
+   * Handle of the timer that schedules the next reconnection attempt.
+   */
+  private reconnectTimer: ReturnType<typeof setTimeout> | undefined;
+
+  /**
+   * Time, in milliseconds, the server has to complete the handshake. There is
+   * no limit if undefined.
+   */
+  private handshakeTimeoutMs: number | undefined;
+
+  /**
+   * Whether the websocket reported an error before closing.
+   */
+  private socketErrored: boolean = false;
+
+  /**
+   * Handle of the timer that detects an incomplete handshake.
+   */
+  private handshakeTimer: ReturnType<typeof setTimeout> | undefined;
+
+  /**
+   * Errors of the connection.
+   */
+  private errors$ = new Subject<ConnectionError>();
+
+  /**
+   * Frames received after the handshake, before being decoded.
+   */
+  private rawFrames$ = new Subject<RawFrame>();
+
+  /**
+   * Data received during the handshake, used to record sessions.
+   * - Key: `protos`, `topics-types`, `worlds` or `scene`.
+   * - Value: The message definitions as text, or the raw frame.
+   */
+  private handshakeData = new Map<string, string | Uint8Array>();
+
+  /**
+   * The WebSocket implementation, if not the global one.
+   */
+  private webSocket: WebSocketConstructor | undefined;
+
+  /**
+   * Frames being read. Frames are handled in sequence, in the order they were
+   * received.
+   */
+  private frameQueue: Promise<void> = Promise.resolve();
+
+  /**
+   * The worker that decodes the frames, if any.
+   */
+  private decodeWorker: FrameDecoderPort | undefined;
+
+  /**
+   * @param options Optional. The transport options.
+   */
+  constructor(options: TransportOptions = {}) {
+    this.webSocket = options.webSocket;
+    this.decodeWorker = options.decodeWorker;
+    if (this.decodeWorker) {
+      this.decodeWorker.onmessage = (event) => this.onDecodedFrame(event);
+    }
+  }
+
   /**
    * Connects to a websocket.
    *
    * @param url The url to connect to.
    * @param key Optional. A key to authorize access to the websocket messages.
+   * @param reconnect Optional. If present, the connection is re-established
+   * automatically when it is lost, and the subscribed and advertised topics
+   * are restored.
+   * @param handshakeTimeoutMs Optional. Time, in milliseconds, the server has
+   * to authorize the connection and send the message definitions and scene
+   * information. There is no time limit by default.
    */
-  public connect(url: string, key?: string): void {
+  public connect(
+    url: string,
+    key?: string,
+    reconnect?: ReconnectOptions,
+    handshakeTimeoutMs?: number,
+  ): void {
     // First, disconnect from previous connections.
     // This way we make sure that we only support one websocket connection.
     this.disconnect();
 
-    // Create the Websocket interface.
-    this.ws = new WebSocket(url);
+    this.url = url;
+    this.key = key;
+    this.world = "";
+    this.reconnectAttempts = 0;
+    this.handshakeTimeoutMs = handshakeTimeoutMs;
+    this.reconnectOptions = reconnect
+      ? {
+          maxAttempts: reconnect.maxAttempts ?? 10,
+          initialDelayMs: reconnect.initialDelayMs ?? 1000,
+          maxDelayMs: reconnect.maxDelayMs ?? 30000,
+          backoffFactor: reconnect.backoffFactor ?? 2,
+        }
+      : null;
 
-    // Set the handlers of the websocket events.
-    this.ws.onopen = () => this.onOpen(key);
-    this.ws.onclose = () => this.onClose();
-    this.ws.onmessage = (msgEvent) => this.onMessage(msgEvent);
-    this.ws.onerror = (errorEvent) => this.onError(errorEvent);
+    this.openSocket();
   }
 
   /**
@@ -87,7 +496,20 @@ export class Transport {
    * Note: The cleanup should be done in the onclose event of the Websocket.
    */
   public disconnect(): void {
+    clearTimeout(this.handshakeTimer);
+    this.handshakeTimer = undefined;
+
+    if (this.reconnectTimer !== undefined) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = undefined;
+
+      // There is no socket to close while waiting to reconnect, so cleanup here.
+      this.onClose(false);
+    }
+
     if (this.ws) {
+      // A requested disconnection should never trigger a reconnection.
+      this.ws.onclose = () => this.onClose(false);
       this.ws.close();
     }
   }
@@ -104,14 +526,17 @@ export class Transport {
 
     const msgDef = this.root!.lookupType(msgTypeName);
 
-    return new Publisher(
+    const publisher = new Publisher(
       topic,
       msgTypeName,
       msgDef,
-      (topic: string, msgTypeName: string, msg: string) => {
+      (topic: string, msgTypeName: string, msg: Uint8Array) => {
         this.publish(topic, msgTypeName, msg);
       },
     );
+    this.publisherMap.set(topic, publisher);
+
+    return publisher;
   }
 
   /**
@@ -119,14 +544,18 @@ export class Transport {
    *
    * @param topic The topic to publish to.
    * @param msgTypeName The message type.
-   * @param msg The message to publish.
+   * @param msg The serialized message to publish.
    */
-  public publish(topic: string, msgTypeName: string, msg: string): void {
+  public publish(
+    topic: string,
+    msgTypeName: string,
+    msg: string | Uint8Array,
+  ): void {
     this.sendMessage(["pub_in", topic, msgTypeName, msg]);
   }
 
   /**
-   * Request a service.
+   * Request a service, without waiting for its response.
    *
    * @param topic The service to request to.
    * @param msgTypeName The message type.
@@ -138,35 +567,79 @@ export class Transport {
     msgTypeName: string,
     msgProperties: { [key: string]: any },
   ): void {
-    if (!this.root) {
-      console.error(
-        "Unable to request service - Message definitions are not ready",
-      );
-      return;
-    }
+    this.callService(topic, msgTypeName, "", msgProperties).catch((error) =>
+      console.error(error.message),
+    );
+  }
 
-    const msgDef = this.root.lookupType(msgTypeName);
-    if (!msgDef || msgDef === undefined) {
-      console.error(`Unable to lookup message type: ${msgTypeName}`);
-      return;
-    }
+  /**
+   * Call a service and wait for its response.
+   *
+   * @param service The service to call.
+   * @param reqType The message type of the request.
+   * @param repType The message type of the response.
+   * @param msgProperties A JSON representation of the request message.
+   * @param options Optional. The options of the call.
+   * @returns A Promise that resolves with the decoded response message. It is
+   * rejected with a ServiceError if the request could not be sent, the server
+   * answered with an error or there was no response in time.
+   */
+  public callService(
+    service: string,
+    reqType: string,
+    repType: string,
+    msgProperties: { [key: string]: any },
+    options: ServiceCallOptions = {},
+  ): Promise<any> {
+    return new Promise((resolve, reject) => {
+      if (!this.root) {
+        reject(new ServiceError(service, "Message definitions are not ready"));
+        return;
+      }
 
-    const msg: Message = msgDef.create(msgProperties);
-    if (!msg || msg === undefined) {
-      console.error(`Unable to create ${msgTypeName}, from, ${msgProperties}`);
-      return;
-    }
+      const status = this.status$.getValue();
+      if (status === "disconnected" || status === "error") {
+        reject(new ServiceError(service, `Connection is ${status}`));
+        return;
+      }
 
-    // Serialized the message
-    const buffer = msgDef.encode(msg).finish();
-    if (!buffer || buffer === undefined || buffer.length === 0) {
-      console.error("Unable to serialize message.");
-      return;
-    }
+      let buffer: Uint8Array;
+      try {
+        const msgDef = this.root.lookupType(reqType);
+        buffer = msgDef.encode(msgDef.create(msgProperties)).finish();
+      } catch (error) {
+        reject(
+          new ServiceError(service, `Unable to create ${reqType}: ${error}`),
+        );
+        return;
+      }
+
+      const timeoutMs = options.timeoutMs ?? 5000;
+      const call: PendingServiceCall = {
+        repType,
+        resolve,
+        reject,
+        // The response of a call that timed out is dropped when it arrives,
+        // so it is not matched with the next call of the service.
+        timer: setTimeout(() => {
+          this.removeServiceCall(service, call);
+          this.lateServiceResponses.set(
+            service,
+            (this.lateServiceResponses.get(service) ?? 0) + 1,
+          );
+          reject(
+            new ServiceError(service, `No response after ${timeoutMs} ms`),
+          );
+        }, timeoutMs),
+      };
 
-    const strBuf = new TextDecoder().decode(buffer);
+      if (!this.serviceCalls.has(service)) {
+        this.serviceCalls.set(service, []);
+      }
+      this.serviceCalls.get(service)!.push(call);
 
-    this.sendMessage(["req", topic, msgTypeName, strBuf]);
+      this.sendMessage(["req", service, reqType, buffer]);
+    });
   }
 
   /**
@@ -177,47 +650,97 @@ export class Transport {
   public subscribe(topic: Topic): void {
     this.topicMap.set(topic.name, topic);
 
-    const publisher = this.availableTopics.filter(
-      (pub) => pub["topic"] === topic.name,
-    )[0];
-    if (
-      publisher["msg_type"] === "ignition.msgs.Image" ||
-      publisher["msg_type"] === "gazebo.msgs.Image"
-    ) {
-      this.sendMessage(["image", topic.name, "", ""]);
-    } else {
-      this.sendMessage(["sub", topic.name, "", ""]);
+    // A topic stream could have subscribed to the topic already.
+    if (!this.topicSubjects.has(topic.name)) {
+      this.sendSubscription(topic.name);
     }
   }
 
   /**
-   * Unsubscribe from a topic.
+   * Get the stream of messages of a topic.
    *
-   * @param name The name of the topic to unsubcribe from.
+   * The returned Observable is cold: The topic is subscribed to when the
+   * first observer subscribes, and unsubscribed from when the last one
+   * unsubscribes. Observers of the same topic share the subscription.
+   *
+   * @param name The name of the topic.
+   * @returns An Observable of the decoded messages of the topic.
    */
-  public unsubscribe(name: string): void {
-    if (this.topicMap.has(name)) {
-      const topic = this.topicMap.get(name);
-      if (topic !== undefined && topic.unsubscribe !== undefined) {
-        topic.unsubscribe();
-      }
-
-      this.topicMap.delete(name);
-      this.sendMessage(["unsub", name, "", ""]);
-    }
+  public topic$<T = any>(name: string): Observable<T> {
+    return this.topicFrames$<T>(name).pipe(map((frame) => frame.msg));
   }
 
   /**
-   * throttle the rate at which messages are published on a topic.
+   * Get the stream of frames of a topic. Like topic$, but each message comes
+   * with its size and reception time, which is useful to inspect a topic.
    *
-   * @param topic The topic to throttle.
-   * @param rate Publish rate.
+   * @param name The name of the topic.
+   * @returns An Observable of the frames of the topic.
    */
-  public throttle(topic: Topic, rate: number): void {
-    this.sendMessage(["throttle", topic.name, "na", rate.toString()]);
-  }
+  public topicFrames$<T = any>(name: string): Observable<TopicFrame<T>> {
+    if (!this.topicStreams.has(name)) {
+      const stream = new Observable<TopicFrame>((subscriber) => {
+        const subject = new Subject<TopicFrame>();
+        const subscription = subject.subscribe(subscriber);
 
-  /**
+        this.topicSubjects.set(name, subject);
+        if (!this.topicMap.has(name)) {
+          this.sendSubscription(name);
+        }
+
+        return () => {
+          subscription.unsubscribe();
+
+          // The subject is replaced if the connection is closed.
+          if (this.topicSubjects.get(name) !== subject) {
+            return;
+          }
+
+          this.topicSubjects.delete(name);
+          if (!this.topicMap.has(name)) {
+            this.sendUnsubscription(name);
+          }
+        };
+      }).pipe(share());
+
+      this.topicStreams.set(name, stream);
+    }
+
+    return this.topicStreams.get(name)!;
+  }
+
+  /**
+   * Unsubscribe from a topic.
+   *
+   * @param name The name of the topic to unsubcribe from.
+   */
+  public unsubscribe(name: string): void {
+    if (this.topicMap.has(name)) {
+      const topic = this.topicMap.get(name);
+      if (topic !== undefined && topic.unsubscribe !== undefined) {
+        topic.unsubscribe();
+      }
+
+      this.topicMap.delete(name);
+
+      // Keep the subscription if a topic stream still uses it.
+      if (!this.topicSubjects.has(name)) {
+        this.sendUnsubscription(name);
+      }
+    }
+  }
+
+  /**
+   * throttle the rate at which messages are published on a topic.
+   *
+   * @param topic The topic to throttle.
+   * @param rate Publish rate.
+   */
+  public throttle(topic: Topic, rate: number): void {
+    this.sendMessage(["throttle", topic.name, "na", rate.toString()]);
+  }
+
+  /**
    * Return the list of available topics.
    *
    * @returns The list of topics that can be subscribed to.
@@ -226,6 +749,39 @@ export class Transport {
     return this.availableTopics;
   }
 
+  /**
+   * Request the available topics from the server, in order to discover
+   * topics advertised after the connection was established. The result is
+   * emitted by availableTopics$.
+   */
+  public refreshTopics(): void {
+    const status = this.status$.getValue();
+    if (status === "connected" || status === "ready") {
+      this.sendMessage(["topics-types", "", "", ""]);
+    }
+  }
+
+  /**
+   * Request the available topics periodically. See refreshTopics.
+   *
+   * @param intervalMs Time, in milliseconds, between requests.
+   */
+  public startTopicDiscovery(intervalMs: number): void {
+    this.stopTopicDiscovery();
+    this.topicDiscoveryTimer = setInterval(
+      () => this.refreshTopics(),
+      intervalMs,
+    );
+  }
+
+  /**
+   * Stop requesting the available topics periodically.
+   */
+  public stopTopicDiscovery(): void {
+    clearInterval(this.topicDiscoveryTimer);
+    this.topicDiscoveryTimer = undefined;
+  }
+
   /**
    * Return the list of subscribed topics.
    *
@@ -246,18 +802,164 @@ export class Transport {
   }
 
   /**
-   * Get an asset from Gazebo
+   * Return the worlds hosted by the server.
+   *
+   * @returns The names of the worlds.
+   */
+  public getWorlds(): string[] {
+    return this.worlds;
+  }
+
+  /**
+   * Switch to another world of the server. Its scene information is
+   * requested, and emitted by sceneInfo$ once it is received. The topics of
+   * the previous world are not unsubscribed from.
+   *
+   * @param name The name of the world.
+   */
+  public setWorld(name: string): void {
+    if (!this.worlds.includes(name)) {
+      throw new Error(`Unknown world ${name}`);
+    }
+    if (this.status$.getValue() !== "ready") {
+      throw new Error("The connection is not ready");
+    }
+
+    this.world = name;
+    this.sendMessage(["scene", name, "", ""]);
+  }
+
+  /**
+   * Get the names of the message types sent by the server.
+   *
+   * @returns The full names of the message types, such as `gz.msgs.Pose`.
+   * Empty if the message definitions have not been received yet.
    */
-  public getAsset(_uri: string, _cb: AssetCb) {
-    let asset: Asset = {
-      uri: _uri,
-      cb: _cb,
-    };
+  public getMessageTypes(): string[] {
+    return this.root ? listMessageTypes(this.root) : [];
+  }
 
-    console.log(`Getting asset via websocket - ${_uri}`);
+  /**
+   * Describe the fields of a message type.
+   *
+   * @param typeName The full name of the message type, such as `gz.msgs.Pose`.
+   * @returns The description of its fields. Nested messages are described as
+   * well.
+   * @throws If the message definitions are not ready or the type is unknown.
+   */
+  public describeMessageType(typeName: string): FieldDescription[] {
+    return describeMessageType(this.lookupMessageType(typeName));
+  }
 
-    this.assetMap.set(_uri, asset);
-    this.sendMessage(["asset", "", "", _uri]);
+  /**
+   * Create a message of a type with all its fields set to their default
+   * value, as a template to be filled.
+   *
+   * @param typeName The full name of the message type, such as `gz.msgs.Pose`.
+   * @returns A plain object that can be published or sent in a service call.
+   * @throws If the message definitions are not ready or the type is unknown.
+   */
+  public createMessageTemplate(typeName: string): any {
+    return createMessageTemplate(this.lookupMessageType(typeName));
+  }
+
+  /**
+   * Get an asset from Gazebo.
+   *
+   * @deprecated Use fetchAsset instead.
+   * @param uri The URI of the asset.
+   * @param cb Callback that receives the asset, or undefined and an AssetFetchError.
+   */
+  public getAsset(uri: string, cb: AssetCb) {
+    this.fetchAsset(uri)
+      .then((data) => cb(data))
+      .catch((error) => cb(undefined, error));
+  }
+
+  /**
+   * Fetch an asset, such as a mesh or a texture, from the websocket server.
+   *
+   * Concurrent requests for the same URI share a single request to the
+   * server.
+   *
+   * @param uri The URI of the asset.
+   * @param options Optional. The request options.
+   * @returns A Promise that resolves with the contents of the asset. It is
+   * rejected with an AssetFetchError if the asset is not found, the request times
+   * out or is aborted, or the connection is closed.
+   */
+  public fetchAsset(
+    uri: string,
+    options: FetchAssetOptions = {},
+  ): Promise<Uint8Array> {
+    return new Promise((resolve, reject) => {
+      const status = this.status$.getValue();
+      if (status !== "connected" && status !== "ready") {
+        reject(
+          new AssetFetchError(
+            uri,
+            AssetError.DISCONNECTED,
+            `Connection is ${status}`,
+          ),
+        );
+        return;
+      }
+
+      if (options.signal?.aborted) {
+        reject(new AssetFetchError(uri, AssetError.ABORTED));
+        return;
+      }
+
+      const timeoutMs = options.timeoutMs ?? 30000;
+      const timer = setTimeout(
+        () =>
+          abandon(
+            new AssetFetchError(
+              uri,
+              AssetError.TIMEOUT,
+              `No response after ${timeoutMs} ms`,
+            ),
+          ),
+        timeoutMs,
+      );
+      const onAbort = () =>
+        abandon(new AssetFetchError(uri, AssetError.ABORTED));
+      options.signal?.addEventListener("abort", onAbort);
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        options.signal?.removeEventListener("abort", onAbort);
+      };
+      const waiter: AssetWaiter = {
+        resolve: (data) => {
+          cleanup();
+          resolve(data);
+        },
+        reject: (error) => {
+          cleanup();
+          reject(error);
+        },
+      };
+
+      // Stop waiting. The request is forgotten once nobody waits for it.
+      const abandon = (error: AssetFetchError) => {
+        const waiters = this.assetRequests.get(uri);
+        if (waiters?.delete(waiter) && waiters.size === 0) {
+          this.assetRequests.delete(uri);
+        }
+        waiter.reject(error);
+      };
+
+      const waiters = this.assetRequests.get(uri);
+      if (waiters) {
+        waiters.add(waiter);
+        return;
+      }
+
+      console.log(`Getting asset via websocket - ${uri}`);
+      this.assetRequests.set(uri, new Set([waiter]));
+      this.sendMessage(["asset", "", "", uri]);
+    });
   }
 
   /**
@@ -268,9 +970,10 @@ export class Transport {
    *   1. Operation
    *   2. Topic name
    *   3. Message type
-   *   4. Payload
+   *   4. Payload. Serialized protobuf messages should be passed as bytes, so
+   *      the frame is sent as binary data.
    */
-  public sendMessage(msg: string[]): void {
+  public sendMessage(msg: (string | Uint8Array)[]): void {
     // Verify the message has four parts.
     if (msg.length !== 4) {
       console.error("Message must have four parts", msg);
@@ -311,16 +1014,376 @@ export class Transport {
       return;
     }
 
+    // While reconnecting, the socket is closed or still connecting. The
+    // subscriptions and advertisements are restored once it is ready.
+    if (connectionStatus === "reconnecting" && this.ws.readyState !== 1) {
+      console.warn(
+        "Trying to send a message while the websocket is reconnecting.",
+        msg,
+      );
+      return;
+    }
+
     this.ws.send(this.buildMsg(msg));
   }
 
   /**
    * Exposes the connection status as an Observable.
+   *
+   * The status can be one of:
+   * - disconnected: There is no connection.
+   * - connected: The message definitions were obtained.
+   * - ready: The world and scene information were obtained.
+   * - reconnecting: The connection was lost and it is being re-established.
+   * - error: The connection failed.
    */
   public getConnectionStatus(): Observable<string> {
     return this.status$.asObservable();
   }
 
+  /**
+   * Exposes the errors of the connection as an Observable.
+   *
+   * Authorization and message definition errors are not retried, even if
+   * reconnection is enabled.
+   *
+   * @returns An Observable of the connection errors.
+   */
+  public getConnectionErrors(): Observable<ConnectionError> {
+    return this.errors$.asObservable();
+  }
+
+  /**
+   * Exposes the frames received from the server as an Observable, before
+   * they are decoded. Used to record sessions.
+   *
+   * @returns An Observable of the raw frames.
+   */
+  public getRawFrames(): Observable<RawFrame> {
+    return this.rawFrames$.asObservable();
+  }
+
+  /**
+   * Get the data received during the handshake of the current connection.
+   * Used to record sessions.
+   *
+   * @returns A map with the message definitions as text (`protos`) and the
+   * raw `topics-types`, `worlds` and `scene` frames.
+   */
+  public getHandshakeData(): Map<string, string | Uint8Array> {
+    return new Map(this.handshakeData);
+  }
+
+  /**
+   * Create the Websocket used to connect to the server. Subclasses can
+   * override it to use a different connection.
+   *
+   * @param url The url to connect to.
+   * @returns The Websocket.
+   */
+  protected createWebSocket(url: string): WebSocket {
+    const WebSocketImpl = this.webSocket ?? WebSocket;
+    return new WebSocketImpl(url);
+  }
+
+  /**
+   * Create the Websocket interface and set the handlers of its events.
+   */
+  private openSocket(): void {
+    this.ws = this.createWebSocket(this.url);
+    // Binary frames are received as ArrayBuffers rather than Blobs.
+    this.ws.binaryType = "arraybuffer";
+
+    this.ws.onopen = () => this.onOpen(this.key);
+    this.ws.onclose = (closeEvent) => this.onClose(true, closeEvent);
+    this.ws.onmessage = (msgEvent) => this.onMessage(msgEvent);
+    this.ws.onerror = (errorEvent) => this.onError(errorEvent);
+    this.socketErrored = false;
+
+    clearTimeout(this.handshakeTimer);
+    if (this.handshakeTimeoutMs === undefined) {
+      return;
+    }
+    this.handshakeTimer = setTimeout(() => {
+      this.handshakeTimer = undefined;
+      this.errors$.next(
+        new ConnectionError(
+          ConnectionErrorCode.HANDSHAKE_TIMEOUT,
+          `Handshake not completed after ${this.handshakeTimeoutMs} ms`,
+        ),
+      );
+
+      // Handle it as a lost connection, so it is retried if possible.
+      this.ws.onclose = () => this.onClose(true);
+      this.ws.close();
+    }, this.handshakeTimeoutMs);
+  }
+
+  /**
+   * Report an error that can't be solved by reconnecting, and close the
+   * connection.
+   *
+   * @param error The error.
+   */
+  private fail(error: ConnectionError): void {
+    console.error(error.message);
+    this.errors$.next(error);
+    this.status$.next("error");
+    this.disconnect();
+  }
+
+  /**
+   * Send the subscription message of a topic. Image topics use a special
+   * operation, as their messages are sent as raw image data.
+   *
+   * @param name The name of the topic to subscribe to.
+   */
+  private sendSubscription(name: string): void {
+    if (this.subscribedTopics.has(name)) {
+      return;
+    }
+
+    const publisher = this.availableTopics.filter(
+      (pub) => pub["topic"] === name,
+    )[0];
+
+    // The topic is subscribed to once it is advertised.
+    if (!publisher) {
+      this.pendingSubscriptions.add(name);
+      return;
+    }
+
+    this.pendingSubscriptions.delete(name);
+    this.subscribedTopics.add(name);
+    if (IMAGE_TYPES.includes(publisher["msg_type"])) {
+      this.sendMessage(["image", name, "", ""]);
+    } else {
+      this.sendMessage(["sub", name, "", ""]);
+    }
+  }
+
+  /**
+   * Send the unsubscription message of a topic, unless it was not subscribed
+   * to yet.
+   *
+   * @param name The name of the topic to unsubscribe from.
+   */
+  private sendUnsubscription(name: string): void {
+    if (this.pendingSubscriptions.delete(name)) {
+      return;
+    }
+    this.subscribedTopics.delete(name);
+    this.sendMessage(["unsub", name, "", ""]);
+  }
+
+  /**
+   * Update the available topics, and subscribe to the pending topics that
+   * were advertised. availableTopics$ only emits if the topics changed.
+   *
+   * @param topics The available topics.
+   */
+  private setAvailableTopics(topics: object[]): void {
+    const key = (pub: object) => `${pub["topic"]} ${pub["msg_type"]}`;
+    const previous = new Set(this.availableTopics.map(key));
+    const changed =
+      topics.length !== this.availableTopics.length ||
+      topics.some((pub) => !previous.has(key(pub)));
+
+    this.availableTopics = topics;
+    if (changed) {
+      this.availableTopics$.next(topics);
+    }
+
+    const advertised = new Set(topics.map((pub) => pub["topic"]));
+    [...this.pendingSubscriptions]
+      .filter((name) => advertised.has(name))
+      .forEach((name) => this.sendSubscription(name));
+  }
+
+  /**
+   * Subscribe and advertise again the topics used before the connection was
+   * lost.
+   */
+  private restoreTopics(): void {
+    const names = new Set([
+      ...this.topicMap.keys(),
+      ...this.topicSubjects.keys(),
+    ]);
+    names.forEach((name) => {
+      this.sendSubscription(name);
+    });
+
+    this.publisherMap.forEach((publisher, name) => {
+      this.sendMessage(["adv", name, publisher.msgTypeName, ""]);
+    });
+  }
+
+  /**
+   * Remove a pending service call.
+   *
+   * @param service The name of the service.
+   * @param call The call to remove.
+   */
+  private removeServiceCall(service: string, call: PendingServiceCall): void {
+    const calls = this.serviceCalls.get(service);
+    if (!calls) {
+      return;
+    }
+
+    const index = calls.indexOf(call);
+    if (index >= 0) {
+      calls.splice(index, 1);
+    }
+    if (calls.length === 0) {
+      this.serviceCalls.delete(service);
+    }
+  }
+
+  /**
+   * Settle the oldest pending call of a service with the received response.
+   * The late responses of calls that timed out are dropped first.
+   *
+   * @param service The name of the service.
+   * @param msgTypeName The message type of the response.
+   * @param msg The decoded response.
+   */
+  private handleServiceResponse(
+    service: string,
+    msgTypeName: string,
+    msg: any,
+  ): void {
+    const late = this.lateServiceResponses.get(service) ?? 0;
+    if (late > 0) {
+      if (late === 1) {
+        this.lateServiceResponses.delete(service);
+      } else {
+        this.lateServiceResponses.set(service, late - 1);
+      }
+      return;
+    }
+
+    const call = this.serviceCalls.get(service)?.[0];
+    if (!call) {
+      console.warn(`Unexpected response from service ${service}`);
+      return;
+    }
+
+    clearTimeout(call.timer);
+    this.removeServiceCall(service, call);
+
+    // Errors are reported as a string message, unless a string was expected.
+    const isString =
+      msgTypeName === "ignition.msgs.StringMsg" ||
+      msgTypeName === "gazebo.msgs.StringMsg" ||
+      msgTypeName === "gz.msgs.StringMsg";
+    if (isString && call.repType !== "" && call.repType !== msgTypeName) {
+      call.reject(new ServiceError(service, msg["data"]));
+      return;
+    }
+
+    call.resolve(msg);
+  }
+
+  /**
+   * Get the definition of a message type.
+   *
+   * @param typeName The full name of the message type.
+   * @returns The message type.
+   */
+  private lookupMessageType(typeName: string): Type {
+    if (!this.root) {
+      throw new Error("Message definitions are not ready");
+    }
+    return this.root.lookupType(typeName);
+  }
+
+  /**
+   * Settle the requests of an asset.
+   *
+   * @param uri The URI of the asset.
+   * @param data The contents of the asset, if it was found.
+   * @param error The error, if it wasn't.
+   */
+  private settleAssetRequest(
+    uri: string,
+    data?: Uint8Array,
+    error?: AssetFetchError,
+  ): void {
+    const waiters = this.assetRequests.get(uri);
+    if (!waiters) {
+      console.error(`No resource request for ${uri}`);
+      return;
+    }
+
+    this.assetRequests.delete(uri);
+    waiters.forEach((waiter) =>
+      error ? waiter.reject(error) : waiter.resolve(data!),
+    );
+  }
+
+  /**
+   * Reject all the asset requests in flight.
+   *
+   * @param reason Description of the error.
+   */
+  private rejectAssetRequests(reason: string): void {
+    const requests = [...this.assetRequests];
+    this.assetRequests.clear();
+    requests.forEach(([uri, waiters]) =>
+      waiters.forEach((waiter) =>
+        waiter.reject(
+          new AssetFetchError(uri, AssetError.DISCONNECTED, reason),
+        ),
+      ),
+    );
+  }
+
+  /**
+   * Reject all the pending service calls.
+   *
+   * @param reason The reason of the rejection.
+   */
+  private rejectServiceCalls(reason: string): void {
+    this.serviceCalls.forEach((calls, service) => {
+      calls.forEach((call) => {
+        clearTimeout(call.timer);
+        call.reject(new ServiceError(service, reason));
+      });
+    });
+    this.serviceCalls.clear();
+    this.lateServiceResponses.clear();
+  }
+
+  /**
+   * Whether a lost connection should be re-established.
+   *
+   * @returns True if reconnection is enabled and there are attempts left.
+   */
+  private canReconnect(): boolean {
+    return (
+      this.reconnectOptions !== null &&
+      this.reconnectAttempts < this.reconnectOptions.maxAttempts
+    );
+  }
+
+  /**
+   * Schedule a reconnection attempt, using an exponential backoff.
+   */
+  private scheduleReconnect(): void {
+    const options = this.reconnectOptions!;
+    const delay = Math.min(
+      options.initialDelayMs *
+        Math.pow(options.backoffFactor, this.reconnectAttempts),
+      options.maxDelayMs,
+    );
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = undefined;
+      this.openSocket();
+    }, delay);
+  }
+
   /**
    * Handler for the open event of a Websocket.
    *
@@ -338,14 +1401,61 @@ export class Transport {
   /**
    * Handler for the close event of a Websocket.
    *
-   * Cleanup the connections.
+   * Cleanup the connections. If the connection was lost and reconnection is
+   * enabled, the subscribed and advertised topics are kept in order to
+   * restore them once the connection is re-established.
+   *
+   * @param unexpected Whether the connection was closed without being requested.
+   * @param event Optional. The close event of the Websocket.
    */
-  private onClose(): void {
-    this.topicMap.clear();
-    this.availableTopics = [];
+  private onClose(unexpected: boolean, event?: CloseEvent): void {
+    clearTimeout(this.handshakeTimer);
+    this.handshakeTimer = undefined;
+    // A close that follows a websocket error is reported as that error.
+    if (unexpected && event) {
+      this.errors$.next(
+        this.socketErrored
+          ? new ConnectionError(
+              ConnectionErrorCode.SOCKET_ERROR,
+              "The websocket reported an error",
+              event.code,
+              event.reason,
+            )
+          : new ConnectionError(
+              ConnectionErrorCode.UNEXPECTED_CLOSE,
+              `Connection closed with code ${event.code}`,
+              event.code,
+              event.reason,
+            ),
+      );
+    }
+    this.socketErrored = false;
+
+    this.rejectServiceCalls("Connection closed");
+    this.rejectAssetRequests("Connection closed");
+    this.setAvailableTopics([]);
+    this.subscribedTopics.clear();
     this.root = null;
-    this.status$.next("disconnected");
     this.sceneInfo$.next(null);
+
+    if (unexpected && this.canReconnect()) {
+      this.status$.next("reconnecting");
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.topicMap.clear();
+    this.publisherMap.clear();
+    this.pendingSubscriptions.clear();
+    this.stopTopicDiscovery();
+
+    // Let the observers of the topic streams know there are no more messages.
+    const subjects = [...this.topicSubjects.values()];
+    this.topicSubjects.clear();
+    this.topicStreams.clear();
+    subjects.forEach((subject) => subject.complete());
+    this.reconnectAttempts = 0;
+    this.status$.next("disconnected");
   }
 
   /**
@@ -354,172 +1464,255 @@ export class Transport {
    * Parses message responses from Gazebo and sends to the corresponding topic.
    */
   private onMessage(event: MessageEvent): void {
+    this.frameQueue = this.frameQueue
+      .then(() => readFrameData(event.data))
+      .then((data) => this.handleFrame(data))
+      .catch((error) => console.error(error));
+  }
+
+  /**
+   * Handle a frame received from the server.
+   *
+   * @param data The frame.
+   */
+  private handleFrame(data: Uint8Array): void {
     // If there is no Root, then handle authentication and the message definitions.
-    const fileReader = new FileReader();
     if (!this.root) {
-      fileReader.onloadend = () => {
-        const content = fileReader.result as string;
-
-        // Handle the response.
-        switch (content) {
-          case "authorized":
-            // Get the message definitions.
-            this.sendMessage(["protos", "", "", ""]);
-            break;
-          case "invalid":
-            // TODO(germanmas) Throw a proper Unauthorized error.
-            console.error("Invalid key");
-            break;
-          default:
-            // Parse the message definitions.
-            this.root = parse(fileReader.result as string, {
+      const content = new TextDecoder("utf-8").decode(data);
+
+      // Handle the response.
+      switch (content) {
+        case "authorized":
+          // Get the message definitions.
+          this.sendMessage(["protos", "", "", ""]);
+          break;
+        case "invalid":
+          this.fail(
+            new ConnectionError(
+              ConnectionErrorCode.AUTH_INVALID,
+              "Invalid key",
+            ),
+          );
+          break;
+        default:
+          // Parse the message definitions.
+          try {
+            this.root = parse(content, {
               keepCase: true,
             }).root;
+          } catch (error) {
+            this.fail(
+              new ConnectionError(
+                ConnectionErrorCode.PROTO_PARSE,
+                `Unable to parse the message definitions: ${error}`,
+              ),
+            );
+            return;
+          }
 
-            // Request topics.
-            this.sendMessage(["topics-types", "", "", ""]);
+          this.handshakeData.clear();
+          this.handshakeData.set("protos", content);
+          this.decodeWorker?.postMessage(
+            { kind: "protos", protos: content },
+            [],
+          );
 
-            // Request world information.
-            this.sendMessage(["worlds", "", "", ""]);
+          // Request topics.
+          this.sendMessage(["topics-types", "", "", ""]);
 
-            // Now we can update the connection status.
+          // Request world information.
+          this.sendMessage(["worlds", "", "", ""]);
+
+          // Now we can update the connection status. When reconnecting,
+          // the status remains until the connection is ready again.
+          if (this.status$.getValue() !== "reconnecting") {
             this.status$.next("connected");
-            break;
-        }
-      };
+          }
+          break;
+      }
+      return;
+    }
 
-      fileReader.readAsText(event.data);
+    // Return if at any point, the websocket connection is lost.
+    if (this.status$.getValue() === "disconnected") {
       return;
     }
 
-    fileReader.onloadend = () => {
-      if (!this.root) {
-        console.error("Protobuf root has not been created");
-        return;
-      }
+    const receivedAt = Date.now();
+    if (this.decodeWorker) {
+      // The worker sends the raw frame back if it is needed.
+      this.decodeWorker.postMessage(
+        { kind: "frame", data, receivedAt, keepRaw: this.rawFrames$.observed },
+        [data.buffer],
+      );
+      return;
+    }
 
-      // Return if at any point, the websocket connection is lost.
-      if (this.status$.getValue() === "disconnected") {
-        return;
-      }
+    if (this.rawFrames$.observed) {
+      this.rawFrames$.next({ data, receivedAt });
+    }
+    this.handleDecodedFrame(decodeFrame(this.root, data), receivedAt, data);
+  }
 
-      // Decode as UTF-8 to get the header.
-      const str = new TextDecoder("utf-8").decode(
-        fileReader.result as BufferSource,
-      );
-      const frameParts = str.split(",", 4);
-      const msgType = this.root.lookup(frameParts[2]) as Type;
-      const buffer = new Uint8Array(fileReader.result as ArrayBuffer);
-
-      // Decode the Message. The "+3" in the slice accounts for the commas in the frame.
-      let msg;
-      // get the actual msg payload without the header
-      const msgData = buffer.slice(
-        frameParts[0].length + frameParts[1].length + frameParts[2].length + 3,
-      );
+  /**
+   * Handler for the frames decoded by the decode worker.
+   */
+  private onDecodedFrame(event: MessageEvent): void {
+    const response = event.data as FrameDecoderResponse;
+    if (this.status$.getValue() === "disconnected") {
+      return;
+    }
+    if (response.error) {
+      console.error("Unable to decode frame:", response.error);
+      return;
+    }
 
-      // do not decode image msg as it is raw compressed png data and not a
-      // protobuf msg
-      if (
-        frameParts[2] === "ignition.msgs.Image" ||
-        frameParts[2] === "gazebo.msgs.Image"
-      ) {
-        msg = msgData;
-      } else {
-        msg = msgType.decode(msgData);
-      }
+    if (response.raw && this.rawFrames$.observed) {
+      this.rawFrames$.next({
+        data: response.raw,
+        receivedAt: response.receivedAt,
+      });
+    }
+    this.handleDecodedFrame(response, response.receivedAt, response.raw);
+  }
 
-      // For frame format information see the WebsocketServer documentation at:
-      // https://github.com/gazebosim/gz-launch/blob/ign-launch5/plugins/websocket_server/WebsocketServer.hh
-      if (frameParts[0] == "asset") {
-        // Error to pass to the callback function, in order for the requester to handle it.
-        let error: string | undefined;
-
-        // Check for errors. We can check if the type is a string to avoid comapring with large assets.
-        if (
-          frameParts[2] === "ignition.msgs.StringMsg" ||
-          frameParts[2] === "gazebo.msgs.StringMsg"
-        ) {
-          switch (msg["data"]) {
-            case AssetError.URI_MISSING:
-              console.error("Asset is missing an URI");
-              break;
-            case AssetError.NOT_FOUND:
-              console.error(`Asset not found via websocket - ${frameParts[1]}`);
-              // Set the error for the requester to handle.
-              error = AssetError.NOT_FOUND;
-              break;
-            default:
-              console.error(`Asset error:`, msg["data"]);
-              break;
-          }
+  /**
+   * Handle a decoded frame.
+   *
+   * @param frame The decoded frame.
+   * @param receivedAt Time the frame was received.
+   * @param raw Optional. The raw frame. Kept for the handshake frames.
+   */
+  private handleDecodedFrame(
+    frame: DecodedFrame,
+    receivedAt: number,
+    raw?: Uint8Array,
+  ): void {
+    const msg = frame.msg;
 
-          // There is no error for the requester.
-          if (!error) {
-            return;
-          }
-        }
+    if (frame.op == "asset") {
+      // Error to reject the requests with.
+      let error: AssetFetchError | undefined;
 
-        // Run the callback associated with the asset. This lets the requester
-        // process the asset message.
-        if (this.assetMap.has(frameParts[1])) {
-          this.assetMap.get(frameParts[1])!.cb(msg["data"], error);
-        } else {
-          console.error(
-            `No resource callback for ${this.assetMap.get(frameParts[1])!.uri}`,
-          );
-        }
-      } else if (frameParts[0] == "pub") {
-        // Handle actions and messages.
-        switch (frameParts[1]) {
-          case "topics-types":
-            for (const pub of msg["publisher"]) {
-              this.availableTopics.push(pub);
-            }
-            break;
-          case "topics":
-            this.availableTopics = msg["data"];
-            break;
-          case "worlds":
-            // The world name needs to be used to get the scene information.
-            this.world = msg["data"][0];
-            this.sendMessage(["scene", this.world, "", ""]);
+      // Check for errors. We can check if the type is a string to avoid comapring with large assets.
+      if (
+        frame.type === "ignition.msgs.StringMsg" ||
+        frame.type === "gazebo.msgs.StringMsg" ||
+        frame.type === "gz.msgs.StringMsg"
+      ) {
+        switch (msg["data"]) {
+          case AssetError.URI_MISSING:
+            console.error("Asset is missing an URI");
+            error = new AssetFetchError(frame.topic, AssetError.URI_MISSING);
             break;
-          case "scene":
-            // Emit the scene information. Contains all the models used.
-            this.sceneInfo$.next(msg);
-
-            // Once we received the Scene Information, we can start working.
-            // We emit the Ready status to reflect this.
-            this.status$.next("ready");
+          case AssetError.NOT_FOUND:
+            console.error(`Asset not found via websocket - ${frame.topic}`);
+            error = new AssetFetchError(frame.topic, AssetError.NOT_FOUND);
             break;
           default:
-            // Message from a subscribed topic. Get the topic and execute its
-            // callback.
-            if (this.topicMap.has(frameParts[1])) {
-              this?.topicMap?.get(frameParts[1])?.cb(msg);
-            }
+            console.error(`Asset error:`, msg["data"]);
+            error = new AssetFetchError(
+              frame.topic,
+              AssetError.SERVER_ERROR,
+              msg["data"],
+            );
             break;
         }
-      } else if (frameParts[0] == "req") {
-        // We are not handling response messages from service calls.
-      } else {
-        console.warn(
-          "Unhandled websocket message with frame operation",
-          frameParts[0],
-        );
       }
-    };
 
-    // Read the blob data as an array buffer.
-    fileReader.readAsArrayBuffer(event.data);
-    return;
+      // Let the requesters process the asset.
+      this.settleAssetRequest(frame.topic, msg["data"], error);
+    } else if (frame.op == "pub") {
+      if (raw && HANDSHAKE_TOPICS.includes(frame.topic)) {
+        this.handshakeData.set(frame.topic, raw);
+      }
+
+      // Handle actions and messages.
+      switch (frame.topic) {
+        case "topics-types":
+          this.setAvailableTopics(msg["publisher"] ?? []);
+          break;
+        case "topics":
+          // Only the names are sent. Keep the known types.
+          this.setAvailableTopics(
+            (msg["data"] ?? []).map(
+              (topic: string) =>
+                this.availableTopics.find((pub) => pub["topic"] === topic) ?? {
+                  topic,
+                },
+            ),
+          );
+          break;
+        case "worlds":
+          this.worlds = msg["data"] ?? [];
+          this.worlds$.next(this.worlds);
+
+          // The world name needs to be used to get the scene information.
+          // The chosen world is kept when reconnecting.
+          if (!this.worlds.includes(this.world)) {
+            this.world = this.worlds[0];
+          }
+          this.sendMessage(["scene", this.world, "", ""]);
+          break;
+        case "scene":
+          // Restore the topics if this is a reconnection.
+          if (this.status$.getValue() === "reconnecting") {
+            this.restoreTopics();
+          }
+          this.reconnectAttempts = 0;
+          clearTimeout(this.handshakeTimer);
+          this.handshakeTimer = undefined;
+
+          // Emit the scene information. Contains all the models used.
+          this.sceneInfo$.next(msg);
+
+          // Once we received the Scene Information, we can start working.
+          // We emit the Ready status to reflect this.
+          this.status$.next("ready");
+          break;
+        default:
+          // Message from a subscribed topic. Get the topic and execute its
+          // callback.
+          if (this.topicMap.has(frame.topic)) {
+            this?.topicMap?.get(frame.topic)?.cb(msg);
+          }
+          this.topicSubjects.get(frame.topic)?.next({
+            msg,
+            type: frame.type,
+            size: frame.size,
+            receivedAt,
+          });
+          break;
+      }
+    } else if (frame.op == "req") {
+      // Response of a service call.
+      this.handleServiceResponse(frame.topic, frame.type, msg);
+    } else {
+      console.warn(
+        "Unhandled websocket message with frame operation",
+        frame.op,
+      );
+    }
   }
 
   /**
    * Handler for the error event of a Websocket.
    */
   private onError(event: Event): void {
+    // The close event that follows reports the error and schedules a
+    // reconnection attempt.
+    if (this.canReconnect()) {
+      this.socketErrored = true;
+      console.error(event);
+      return;
+    }
+
+    this.errors$.next(
+      new ConnectionError(
+        ConnectionErrorCode.SOCKET_ERROR,
+        "The websocket reported an error",
+      ),
+    );
     this.status$.next("error");
     this.disconnect();
     console.error(event);
@@ -527,13 +1720,55 @@ export class Transport {
 
   /**
    * Helper function to build a message.
-   * The message is a comma-separated string consisting in four parts:
+   * The message is a comma-separated frame consisting in four parts:
    * 1. Operation
    * 2. Topic name
    * 3. Message type
    * 4. Payload
+   *
+   * If the payload is binary, the frame is built as an ArrayBuffer with a
+   * UTF-8 header followed by the payload bytes, in the same way incoming
+   * frames are parsed. Otherwise, the frame is a string.
    */
-  private buildMsg(parts: string[]): string {
-    return parts.join(",");
+  private buildMsg(parts: (string | Uint8Array)[]): string | ArrayBuffer {
+    const payload = parts[3];
+    if (!(payload instanceof Uint8Array)) {
+      return parts.join(",");
+    }
+
+    const header = new TextEncoder().encode(parts.slice(0, 3).join(",") + ",");
+    const frame = new Uint8Array(header.length + payload.length);
+    frame.set(header, 0);
+    frame.set(payload, header.length);
+    return frame.buffer;
+  }
+}
+
+/**
+ * Get the bytes of a frame received by a WebSocket. Browsers receive Blobs or
+ * ArrayBuffers, while the `ws` package of Node.js can receive Buffers.
+ *
+ * @param data The data of the message event.
+ * @returns A Promise that resolves with the bytes of the frame.
+ */
+function readFrameData(data: unknown): Promise<Uint8Array> {
+  if (typeof data === "string") {
+    return Promise.resolve(new TextEncoder().encode(data));
+  }
+  if (data instanceof ArrayBuffer) {
+    return Promise.resolve(new Uint8Array(data));
+  }
+  // Node.js Buffers can share their memory with other Buffers, so they are
+  // copied.
+  if (ArrayBuffer.isView(data)) {
+    return Promise.resolve(
+      new Uint8Array(
+        data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength),
+      ),
+    );
+  }
+  if (typeof Blob !== "undefined" && data instanceof Blob) {
+    return data.arrayBuffer().then((buffer) => new Uint8Array(buffer));
   }
+  return Promise.reject(new Error("Unsupported websocket message data"));
 }
@@ -0,0 +1,60 @@
+/**
+ * Statistics of a running simulation world.
+ */
+export interface WorldStats {
+  /**
+   * Simulation time, in seconds.
+   */
+  simTime: number;
+
+  /**
+   * Real time, in seconds.
+   */
+  realTime: number;
+
+  /**
+   * Ratio between the simulation time and the real time.
+   */
+  realTimeFactor: number;
+
+  /**
+   * Number of iterations the simulation has run.
+   */
+  iterations: number;
+
+  /**
+   * Whether the simulation is paused.
+   */
+  paused: boolean;
+}
+
+/**
+ * Convert a time message, containing seconds and nanoseconds, to seconds.
+ *
+ * @param time The time message.
+ * @returns The time in seconds, or zero if the message is not set.
+ */
+export function timeToSeconds(time: any): number {
+  if (!time) {
+    return 0;
+  }
+
+  // Seconds can be decoded as Long objects.
+  return Number(time["sec"] ?? 0) + Number(time["nsec"] ?? 0) * 1e-9;
+}
+
+/**
+ * Create the world statistics from a WorldStatistics message.
+ *
+ * @param msg The WorldStatistics message.
+ * @returns The world statistics.
+ */
+export function worldStatsFromMsg(msg: any): WorldStats {
+  return {
+    simTime: timeToSeconds(msg["sim_time"]),
+    realTime: timeToSeconds(msg["real_time"]),
+    realTimeFactor: msg["real_time_factor"] ?? 0,
+    iterations: Number(msg["iterations"] ?? 0),
+    paused: msg["paused"] ?? false,
+  };
+}
@@ -1,20 +1,94 @@
-export { Asset } from "./Asset";
+export { Asset, AssetError, AssetFetchError } from "./Asset";
+export {
+  AssetCache,
+  AssetCacheEntry,
+  AssetCacheOptions,
+  AssetStore,
+  createCacheStage,
+} from "./AssetCache";
 export { AssetViewer, AssetViewerConfig } from "./AssetViewer";
 export { AudioTopic } from "./AudioTopic";
+export {
+  CameraFeed,
+  CameraFeedOptions,
+  CameraFeedStatistics,
+} from "./CameraFeed";
 export { Color } from "./Color";
+export {
+  ContactPoint,
+  contactsToPoints,
+  ContactsVisual,
+  ContactsVisualOptions,
+  findCollisionLink,
+} from "./ContactsVisual";
+export {
+  DecodedFrame,
+  decodeFrame,
+  FrameDecoderPort,
+  runFrameDecoder,
+} from "./FrameDecoder";
 export { FuelServer } from "./FuelServer";
 export { Gamepad } from "./Gamepad";
 export { Inertia } from "./Inertia";
+export {
+  JointInspector,
+  JointInspectorOptions,
+  JointState,
+  jointStatesFromModel,
+} from "./JointInspector";
+export { MarkerManager } from "./MarkerManager";
 export { Material } from "./Material";
+export { FieldDescription } from "./MessageSchema";
 export { ModelUserData } from "./ModelUserData";
 export { PBRMaterial } from "./PBRMaterial";
-export { Pose } from "./Pose";
+export { Pose, setObjectPose, setPoseFromMsg } from "./Pose";
 export { Publisher } from "./Publisher";
+export {
+  ResourceResolver,
+  ResourceResolverStage,
+  createFindResourceStage,
+  createFuelStage,
+  createStaticMirrorStage,
+} from "./ResourceResolver";
+export {
+  RecordedSession,
+  ReplayTransport,
+  loadSession,
+} from "./ReplayTransport";
 export { Scene } from "./Scene";
 export { SceneManager, SceneManagerConfig } from "./SceneManager";
 export { SDFParser } from "./SDFParser";
+export {
+  findSensorFrame,
+  LaserScanVisual,
+  LaserScanVisualOptions,
+  laserScanToPoints,
+  PointCloudPoints,
+  PointCloudVisual,
+  pointCloudToPoints,
+  SensorVisualOptions,
+} from "./SensorVisuals";
+export { SessionRecorder, SessionRecorderOptions } from "./SessionRecorder";
 export { Topic } from "./Topic";
-export { Transport } from "./Transport";
+export {
+  TopicMonitor,
+  TopicMonitorOptions,
+  TopicStatistics,
+} from "./TopicMonitor";
+export {
+  ConnectionError,
+  ConnectionErrorCode,
+  FetchAssetOptions,
+  RawFrame,
+  ReconnectOptions,
+  ServiceCallOptions,
+  ServiceError,
+  TopicFrame,
+  Transport,
+  TransportOptions,
+  WebSocketConstructor,
+} from "./Transport";
+export { WorldStats } from "./WorldStats";
 export * from "./Globals";
 
 var gzweb = gzweb || {
@@ -22,4 +96,5 @@ var gzweb = gzweb || {
 };
 
 // Assuming all mobile devices are touch devices.
-var isTouchDevice = /Mobi/.test(navigator.userAgent);
+var isTouchDevice =
+  typeof navigator !== "undefined" && /Mobi/.test(navigator.userAgent);
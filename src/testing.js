@@ -0,0 +1,9 @@
+// Test helpers, kept out of the main bundle. Import them from
+// `gzweb/testing`.
+export {
+  MockGazeboServer,
+  MockGazeboServerOptions,
+  MockGazeboSocket,
+  MockServiceHandler,
+  MockTopic,
+} from "./MockGazeboServer";
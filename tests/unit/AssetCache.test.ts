@@ -0,0 +1,176 @@
+import {
+  AssetCache,
+  AssetCacheEntry,
+  AssetStore,
+  createCacheStage,
+} from "../../src/AssetCache";
+
+/**
+ * Store that keeps the assets in memory.
+ */
+class MemoryStore implements AssetStore {
+  public entries = new Map<string, AssetCacheEntry>();
+  public data = new Map<string, Uint8Array>();
+
+  public async load(): Promise<AssetCacheEntry[]> {
+    return Array.from(this.entries.values());
+  }
+
+  public async get(uri: string): Promise<Uint8Array | undefined> {
+    return this.data.get(uri);
+  }
+
+  public async touch(entry: AssetCacheEntry): Promise<void> {
+    this.entries.set(entry.uri, { ...entry });
+  }
+
+  public async put(
+    entry: AssetCacheEntry,
+    data: Uint8Array,
+    evicted: AssetCacheEntry[],
+  ): Promise<void> {
+    evicted.forEach((old) => {
+      this.entries.delete(old.uri);
+      this.data.delete(old.uri);
+    });
+    this.entries.set(entry.uri, { ...entry });
+    this.data.set(entry.uri, data);
+  }
+
+  public async clear(): Promise<void> {
+    this.entries.clear();
+    this.data.clear();
+  }
+}
+
+const FUEL_URI =
+  "https://fuel.gazebosim.org/1.0/openrobotics/models/box/1/files/meshes/box.dae";
+
+describe("asset cache", () => {
+  let now: number;
+
+  beforeEach(() => {
+    now = 1000;
+    jest.spyOn(Date, "now").mockImplementation(() => now++);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("evicts the least recently used assets", async () => {
+    const store = new MemoryStore();
+    const cache = new AssetCache({ maxBytes: 10, store });
+
+    await cache.put("a", new Uint8Array(4));
+    await cache.put("b", new Uint8Array(4));
+    await cache.get("a");
+    await cache.put("c", new Uint8Array(4));
+
+    expect(cache.has("a")).toBe(true);
+    expect(cache.has("b")).toBe(false);
+    expect(cache.has("c")).toBe(true);
+    expect(Array.from(store.data.keys()).sort()).toEqual(["a", "c"]);
+    await expect(cache.getSize()).resolves.toBe(8);
+  });
+
+  test("does not store assets larger than the limit", async () => {
+    const store = new MemoryStore();
+    const cache = new AssetCache({ maxBytes: 10, store });
+
+    await cache.put("a", new Uint8Array(4));
+    await cache.put("big", new Uint8Array(11));
+
+    expect(cache.has("big")).toBe(false);
+    expect(cache.has("a")).toBe(true);
+    await expect(cache.getSize()).resolves.toBe(4);
+  });
+
+  test("clears the assets", async () => {
+    const store = new MemoryStore();
+    const cache = new AssetCache({ store });
+    await cache.put("a", new Uint8Array(4));
+
+    await cache.clear();
+
+    expect(cache.has("a")).toBe(false);
+    expect(store.data.size).toBe(0);
+    await expect(cache.get("a")).resolves.toBeUndefined();
+    await expect(cache.getSize()).resolves.toBe(0);
+  });
+
+  test("loads the assets of the store", async () => {
+    const store = new MemoryStore();
+    await new AssetCache({ store }).put("a", new Uint8Array([1, 2]));
+
+    const cache = new AssetCache({ store });
+
+    await expect(cache.get("a")).resolves.toEqual(new Uint8Array([1, 2]));
+    await expect(cache.getSize()).resolves.toBe(2);
+  });
+});
+
+describe("cache stage", () => {
+  let fetchMock: jest.Mock;
+
+  beforeEach(() => {
+    fetchMock = jest.fn(async () => ({
+      ok: true,
+      arrayBuffer: async () => new Uint8Array([7]).buffer,
+    }));
+    (global as any).fetch = fetchMock;
+  });
+
+  afterEach(() => {
+    delete (global as any).fetch;
+  });
+
+  test("serves a cached asset without network", async () => {
+    const cache = new AssetCache({ store: new MemoryStore() });
+    await cache.put(FUEL_URI, new Uint8Array([1]));
+    const stage = createCacheStage(cache);
+
+    expect(stage.fetchFirst!(FUEL_URI)).toBe(true);
+    await expect(stage.fetch!("box.dae", FUEL_URI)).resolves.toEqual(
+      new Uint8Array([1]),
+    );
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  test("downloads versioned Fuel assets with the headers", async () => {
+    const cache = new AssetCache({ store: new MemoryStore() });
+    const stage = createCacheStage(cache, () => ({ authorization: "token" }));
+
+    await expect(stage.fetch!("box.dae", FUEL_URI)).resolves.toEqual(
+      new Uint8Array([7]),
+    );
+    expect(fetchMock).toHaveBeenCalledWith(FUEL_URI, {
+      headers: { authorization: "token" },
+    });
+    await new Promise((resolve) => setTimeout(resolve));
+    expect(cache.has(FUEL_URI)).toBe(true);
+
+    const tip = FUEL_URI.replace("/1/", "/tip/");
+    expect(stage.fetchFirst!(tip)).toBe(false);
+    await expect(stage.fetch!("box.dae", tip)).resolves.toBeUndefined();
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  test("stores the assets fetched by the next stages", async () => {
+    const cache = new AssetCache({ store: new MemoryStore() });
+    const stage = createCacheStage(cache);
+
+    expect(stage.fetchFirst!("/home/dev/box.dae")).toBe(false);
+    stage.store!("/home/dev/box.dae", new Uint8Array([1]), "/home/dev/box.dae");
+    stage.store!(
+      "model://box/meshes/box.dae",
+      new Uint8Array([1]),
+      "https://example.com/box/meshes/box.dae",
+    );
+    await new Promise((resolve) => setTimeout(resolve));
+
+    expect(cache.has("/home/dev/box.dae")).toBe(true);
+    expect(cache.has("https://example.com/box/meshes/box.dae")).toBe(false);
+    expect(stage.fetchFirst!("/home/dev/box.dae")).toBe(true);
+  });
+});
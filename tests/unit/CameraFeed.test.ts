@@ -0,0 +1,60 @@
+import { Subject } from "rxjs";
+import { CameraFeed } from "../../src/CameraFeed";
+import { createTopicTransport } from "./harness";
+
+describe("camera feed", () => {
+  let images: Subject<Uint8Array>;
+  let decodes: ((bitmap: any) => void)[];
+  let feed: CameraFeed;
+
+  const bitmap = (width: number) => ({ width, height: 1, close: jest.fn() });
+  const flush = () => new Promise((resolve) => setTimeout(resolve));
+
+  beforeEach(() => {
+    const { transport, messages } = createTopicTransport<Uint8Array>();
+    images = messages;
+
+    decodes = [];
+    feed = new CameraFeed(transport, "/camera", {
+      decode: () => new Promise((resolve) => decodes.push(resolve)),
+    });
+    feed.start();
+  });
+
+  afterEach(() => {
+    feed.destroy();
+  });
+
+  test("decodes one image at a time and drops the stale ones", async () => {
+    const widths: number[] = [];
+    feed.getFramesAsObservable().subscribe((frame) => widths.push(frame.width));
+
+    images.next(new Uint8Array([1]));
+    images.next(new Uint8Array([2]));
+    images.next(new Uint8Array([3]));
+    expect(decodes).toHaveLength(1);
+
+    decodes[0](bitmap(1));
+    await flush();
+    // Only the latest image received while decoding is decoded next.
+    expect(decodes).toHaveLength(2);
+    decodes[1](bitmap(3));
+    await flush();
+
+    expect(widths).toEqual([1, 3]);
+    expect(feed.getStatistics()).toEqual({
+      received: 3,
+      decoded: 2,
+      dropped: 1,
+    });
+  });
+
+  test("closes the decoded images", async () => {
+    const frame = bitmap(1);
+    images.next(new Uint8Array([1]));
+    decodes[0](frame);
+    await flush();
+
+    expect(frame.close).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,72 @@
+import * as THREE from "three";
+import {
+  ContactsVisual,
+  contactsToPoints,
+  findCollisionLink,
+} from "../../src/ContactsVisual";
+import { createTopicTransport } from "./harness";
+
+describe("contacts", () => {
+  const msg = {
+    contact: [
+      {
+        collision1: { name: "robot::finger::collision" },
+        collision2: { name: "box::link::collision" },
+        position: [
+          { x: 1, y: 0, z: 0 },
+          { x: 1, y: 1, z: 0 },
+        ],
+        normal: [{ x: 0, y: 0, z: 1 }],
+        depth: [0.001, 0.002],
+        wrench: [{ body_1_wrench: { force: { x: 0, y: 0, z: 10 } } }],
+      },
+    ],
+  };
+
+  let root: THREE.Object3D;
+  let finger: THREE.Object3D;
+
+  beforeEach(() => {
+    root = new THREE.Object3D();
+    const robot = new THREE.Object3D();
+    finger = new THREE.Object3D();
+    robot.name = "robot";
+    finger.name = "finger";
+    robot.position.set(1, 0, 0);
+    root.add(robot);
+    robot.add(finger);
+  });
+
+  test("reads a point per position", () => {
+    const points = contactsToPoints(msg);
+
+    expect(points).toHaveLength(2);
+    expect(points[0].normal!.toArray()).toEqual([0, 0, 1]);
+    expect(points[0].force!.toArray()).toEqual([0, 0, 10]);
+    expect(points[1].normal).toBeNull();
+    expect(points[1].depth).toBe(0.002);
+  });
+
+  test("finds the link of a collision", () => {
+    expect(findCollisionLink(root, "robot::finger::collision")).toBe(finger);
+    expect(findCollisionLink(root, "box::link::collision")).toBeUndefined();
+  });
+
+  test("attaches the contacts to their links", () => {
+    const { transport, messages: contacts } = createTopicTransport();
+    const visual = new ContactsVisual(transport, root, "/contacts");
+    visual.start();
+
+    contacts.next(msg);
+    expect(visual.getContactCount()).toBe(2);
+    expect(finger.children).toHaveLength(2);
+    // The contacts are moved to the frame of the link.
+    expect(finger.children[1].position.toArray()).toEqual([0, 1, 0]);
+
+    contacts.next({ contact: [] });
+    expect(visual.getContactCount()).toBe(0);
+    expect(finger.children).toHaveLength(0);
+
+    visual.destroy();
+  });
+});
@@ -0,0 +1,172 @@
+import { parse } from "protobufjs";
+import { firstValueFrom } from "rxjs";
+import { filter } from "rxjs/operators";
+import { decodeFrame, runFrameDecoder } from "../../src/FrameDecoder";
+import { MockGazeboServer } from "../../src/MockGazeboServer";
+import { Transport } from "../../src/Transport";
+import { worldStatsFromMsg } from "../../src/WorldStats";
+import { until } from "./harness";
+
+const PROTOS = `
+  syntax = "proto3";
+  package gz.msgs;
+  message StringMsg { string data = 1; }
+  message StringMsg_V { repeated string data = 1; }
+  message Publisher { string topic = 1; string msg_type = 2; }
+  message Publishers { repeated Publisher publisher = 1; }
+  message Scene { string name = 1; }
+  message Time { int64 sec = 1; int32 nsec = 2; }
+  message Clock { Time sim = 1; }
+  message Double { double data = 1; }
+  message WorldStatistics {
+    Time sim_time = 1;
+    Time real_time = 2;
+    uint64 iterations = 3;
+    bool paused = 4;
+    double real_time_factor = 5;
+  }
+  message ParticleEmitter { Double rate = 1; Double lifetime = 2; }
+`;
+
+const encodeFrame = (header: string, payload: Uint8Array) => {
+  const bytes = new TextEncoder().encode(header);
+  const frame = new Uint8Array(bytes.length + payload.length);
+  frame.set(bytes);
+  frame.set(payload, bytes.length);
+  return frame;
+};
+
+describe("decodeFrame", () => {
+  const root = parse(PROTOS, { keepCase: true }).root;
+  const clock = root.lookupType("gz.msgs.Clock");
+  const payload = clock.encode({ sim: { sec: 5 } }).finish();
+
+  test("splits the header and decodes the payload", () => {
+    const frame = decodeFrame(
+      root,
+      encodeFrame("pub,/clock,gz.msgs.Clock,", payload),
+    );
+
+    expect(frame).toMatchObject({
+      op: "pub",
+      topic: "/clock",
+      type: "gz.msgs.Clock",
+      size: payload.length,
+    });
+    expect(Number(frame.msg.sim.sec)).toBe(5);
+  });
+
+  test("converts messages to plain objects", () => {
+    const frame = decodeFrame(
+      root,
+      encodeFrame("pub,/clock,gz.msgs.Clock,", payload),
+    );
+
+    expect(frame.msg).toEqual({ sim: { sec: 5, nsec: 0 } });
+  });
+
+  test("keeps the fields read by the message consumers", () => {
+    const decode = (type: string, msg: any) =>
+      decodeFrame(
+        root,
+        encodeFrame(
+          `pub,/topic,gz.msgs.${type},`,
+          root.lookupType(`gz.msgs.${type}`).encode(msg).finish(),
+        ),
+      ).msg;
+
+    // 64-bit integers are numbers, and unset fields have their default value.
+    expect(
+      worldStatsFromMsg(
+        decode("WorldStatistics", {
+          sim_time: { sec: 3, nsec: 5e8 },
+          iterations: 3500,
+        }),
+      ),
+    ).toEqual({
+      simTime: 3.5,
+      realTime: 0,
+      realTimeFactor: 0,
+      iterations: 3500,
+      paused: false,
+    });
+
+    // Particle emitters read the data of the set wrappers, and skip the unset
+    // ones, which are null.
+    expect(decode("ParticleEmitter", { rate: { data: 20 } })).toEqual({
+      rate: { data: 20 },
+      lifetime: null,
+    });
+  });
+
+  test.each(["gz.msgs.Image", "ignition.msgs.Image", "gazebo.msgs.Image"])(
+    "does not decode %s messages",
+    (type) => {
+      const frame = decodeFrame(
+        root,
+        encodeFrame(`pub,/camera,${type},`, new Uint8Array([1, 2])),
+      );
+
+      expect(frame.msg).toEqual(new Uint8Array([1, 2]));
+    },
+  );
+});
+
+describe("transport with a decode worker", () => {
+  let channel: MessageChannel;
+  let server: MockGazeboServer;
+  let transport: Transport;
+
+  beforeEach(async () => {
+    channel = new MessageChannel();
+    runFrameDecoder(channel.port2 as any);
+    server = new MockGazeboServer({
+      protos: PROTOS,
+      topics: [{ topic: "/clock", msg_type: "gz.msgs.Clock" }],
+    });
+    transport = new Transport({
+      webSocket: server.WebSocket,
+      decodeWorker: channel.port1 as any,
+    });
+    transport.connect("ws://mock");
+    await firstValueFrom(
+      transport.getConnectionStatus().pipe(filter((s) => s === "ready")),
+    );
+  });
+
+  afterEach(() => {
+    transport.disconnect();
+    channel.port1.close();
+    channel.port2.close();
+  });
+
+  test("completes the handshake", () => {
+    expect(transport.getWorld()).toBe("default");
+    expect(transport.getHandshakeData().has("scene")).toBe(true);
+  });
+
+  test("delivers the decoded messages", async () => {
+    const message = firstValueFrom(transport.topic$("/clock"));
+    await server.waitForSubscription("/clock");
+    server.publish("/clock", "gz.msgs.Clock", { sim: { sec: 7 } });
+
+    expect(await message).toEqual({ sim: { sec: 7, nsec: 0 } });
+  });
+
+  test("decodes messages as the main thread does", async () => {
+    const mainThread = new Transport({ webSocket: server.WebSocket });
+    mainThread.connect("ws://mock");
+    await firstValueFrom(
+      mainThread.getConnectionStatus().pipe(filter((s) => s === "ready")),
+    );
+    const messages = Promise.all(
+      [transport, mainThread].map((t) => firstValueFrom(t.topic$("/clock"))),
+    );
+    await until(() => server.sockets.every((s) => s.subscriptions.size > 0));
+    server.publish("/clock", "gz.msgs.Clock", { sim: { sec: 7 } });
+
+    const [fromWorker, fromMainThread] = await messages;
+    expect(fromWorker).toEqual(fromMainThread);
+    mainThread.disconnect();
+  });
+});
@@ -0,0 +1,71 @@
+import * as THREE from "three";
+import { JointInspector, jointStatesFromModel } from "../../src/JointInspector";
+import { createTopicTransport } from "./harness";
+
+describe("joint inspector", () => {
+  const joint = (position: number) => ({
+    name: "elbow",
+    type: 0,
+    child: "arm::forearm",
+    axis1: {
+      xyz: { x: 0, y: 0, z: 1 },
+      limit_lower: -1,
+      limit_upper: 1,
+      position,
+      velocity: 0.5,
+      force: 2,
+    },
+  });
+
+  test("reads the joint states and limits", () => {
+    const states = jointStatesFromModel({
+      joint: [
+        joint(0.995),
+        { name: "wheel", type: 8, axis1: { limit_lower: -1e16 } },
+      ],
+    });
+
+    expect(states[0]).toEqual({
+      name: "elbow",
+      type: "REVOLUTE",
+      position: 0.995,
+      velocity: 0.5,
+      effort: 2,
+      lower: -1,
+      upper: 1,
+      atLimit: true,
+    });
+    expect(states[1].type).toBe("CONTINUOUS");
+    expect(states[1].lower).toBeNull();
+    expect(states[1].atLimit).toBe(false);
+  });
+
+  test("shows an arc on revolute joints", () => {
+    const model = new THREE.Object3D();
+    const forearm = new THREE.Object3D();
+    forearm.name = "forearm";
+    model.add(forearm);
+
+    const { transport, messages: joints } = createTopicTransport();
+    const inspector = new JointInspector(transport, model, "/joint_state", {
+      showArcs: true,
+    });
+    const states: number[] = [];
+    inspector
+      .getStatesAsObservable()
+      .subscribe((s) => s.forEach((state) => states.push(state.position)));
+    inspector.start();
+
+    joints.next({ joint: [joint(0.5)] });
+    joints.next({ joint: [joint(-0.5)] });
+
+    expect(states).toEqual([0.5, -0.5]);
+    expect(forearm.children).toHaveLength(1);
+    const arc = forearm.getObjectByName("elbow::JOINT_ARC")!;
+    // The limits are rotated back by the joint angle.
+    expect(arc.children[0].children[0].rotation.z).toBeCloseTo(0.5);
+
+    inspector.destroy();
+    expect(forearm.children).toHaveLength(0);
+  });
+});
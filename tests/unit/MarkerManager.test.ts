@@ -0,0 +1,117 @@
+import * as THREE from "three";
+import { Subject } from "rxjs";
+import { MarkerManager } from "../../src/MarkerManager";
+import { Transport } from "../../src/Transport";
+import { createTopicTransport } from "./harness";
+
+describe("markers", () => {
+  let root: THREE.Object3D;
+  let markers: MarkerManager;
+
+  beforeEach(() => {
+    root = new THREE.Object3D();
+    markers = new MarkerManager(new Transport(), root);
+  });
+
+  afterEach(() => {
+    markers.destroy();
+  });
+
+  test("adds, modifies and deletes markers", () => {
+    markers.handle({ ns: "path", id: 1, action: 0, type: 1 });
+    markers.handle({ ns: "goal", id: 1, action: 0, type: 6 });
+    expect(markers.getMarkerCount()).toBe(2);
+
+    markers.handle({
+      ns: "path",
+      id: 1,
+      action: 0,
+      type: 3,
+      pose: { position: { x: 1, y: 2, z: 3 } },
+      point: [
+        { x: 0, y: 0, z: 0 },
+        { x: 1, y: 0, z: 0 },
+      ],
+    });
+    const line = markers.getMarker("path", 1)!;
+    expect(line).toBeInstanceOf(THREE.Line);
+    expect(line.position.toArray()).toEqual([1, 2, 3]);
+    expect(line.quaternion.toArray()).toEqual([0, 0, 0, 1]);
+    expect(root.children).toHaveLength(2);
+
+    markers.handle({ ns: "path", id: 1, action: 1 });
+    expect(markers.getMarker("path", 1)).toBeUndefined();
+    expect(root.children).toHaveLength(1);
+  });
+
+  test("deletes the markers of a namespace", () => {
+    markers.handle({
+      marker: [
+        { ns: "path", id: 1, type: 1 },
+        { ns: "path", id: 2, type: 1 },
+        { ns: "goal", id: 1, type: 1 },
+      ],
+    });
+    markers.handle({ ns: "path::child", id: 1, type: 1 });
+    markers.handle({ ns: "path", action: 2 });
+    expect(markers.getMarkerCount()).toBe(2);
+    expect(markers.getMarker("path::child", 1)).toBeDefined();
+
+    markers.handle({ action: 2 });
+    expect(markers.getMarkerCount()).toBe(0);
+  });
+
+  test("deletes markers after their lifetime in simulation time", () => {
+    const simTime$ = new Subject<number>();
+    markers.followSimTime(simTime$);
+    simTime$.next(10);
+    markers.handle({ id: 1, type: 1, lifetime: { sec: 1, nsec: 500000000 } });
+
+    simTime$.next(11);
+    expect(markers.getMarker("", 1)).toBeDefined();
+    simTime$.next(11.5);
+    expect(markers.getMarker("", 1)).toBeUndefined();
+  });
+
+  test("colors the points with their materials", () => {
+    markers.handle({
+      id: 1,
+      type: 5,
+      material: { diffuse: { r: 0, g: 0, b: 1 } },
+      point: [
+        { x: 0, y: 0, z: 0 },
+        { x: 1, y: 0, z: 0 },
+      ],
+      materials: [{ diffuse: { r: 1, g: 0, b: 0 } }],
+    });
+
+    const points = markers.getMarker("", 1) as THREE.Points;
+    expect((points.material as THREE.PointsMaterial).vertexColors).toBe(true);
+    expect(Array.from(points.geometry.getAttribute("color").array)).toEqual([
+      1, 0, 0, 0, 0, 1,
+    ]);
+  });
+
+  test("shows the markers of its topics until destroyed", () => {
+    const { transport, messages } = createTopicTransport();
+    const topicMarkers = new MarkerManager(transport, root, "/marker");
+    topicMarkers.start();
+
+    messages.next({ marker: [{ id: 1, type: 1 }] });
+    expect(topicMarkers.getMarkerCount()).toBe(1);
+    expect(transport.topic$).toHaveBeenCalledWith("/marker");
+
+    topicMarkers.destroy();
+    expect(topicMarkers.isRunning()).toBe(false);
+    expect(root.children).toHaveLength(0);
+  });
+
+  test("adds markers to their parent", () => {
+    const link = new THREE.Object3D();
+    link.name = "base_link";
+    root.add(link);
+
+    markers.handle({ id: 1, type: 2, parent: "base_link" });
+    expect(markers.getMarker("", 1)!.parent).toBe(link);
+  });
+});
@@ -0,0 +1,76 @@
+import { parse } from "protobufjs";
+import {
+  createMessageTemplate,
+  describeMessageType,
+  listMessageTypes,
+} from "../../src/MessageSchema";
+
+const root = parse(`
+  syntax = "proto3";
+  package gz.msgs;
+  message Vector3d { double x = 1; double y = 2; double z = 3; }
+  message Pose {
+    enum Frame { WORLD = 0; LOCAL = 1; }
+    string name = 1;
+    Vector3d position = 2;
+    repeated Vector3d points = 3;
+    Frame frame = 4;
+    map<string, bool> flags = 5;
+    Pose parent = 6;
+  }
+`).root;
+
+describe("message schema", () => {
+  test("lists the message types", () => {
+    expect(listMessageTypes(root)).toEqual([
+      "gz.msgs.Pose",
+      "gz.msgs.Vector3d",
+    ]);
+  });
+
+  test("describes the fields of a type", () => {
+    const fields = describeMessageType(root.lookupType("gz.msgs.Pose"));
+
+    expect(fields.map((f) => f.name)).toEqual([
+      "name",
+      "position",
+      "points",
+      "frame",
+      "flags",
+      "parent",
+    ]);
+    expect(fields[1]).toMatchObject({
+      type: "gz.msgs.Vector3d",
+      repeated: false,
+      nested: true,
+    });
+    expect(fields[1].fields!.map((f) => f.type)).toEqual([
+      "double",
+      "double",
+      "double",
+    ]);
+    expect(fields[2].repeated).toBe(true);
+    expect(fields[3].enumValues).toEqual(["WORLD", "LOCAL"]);
+    expect(fields[4]).toMatchObject({ keyType: "string", type: "bool" });
+    expect(fields[5].fields).toBeUndefined();
+  });
+
+  test("creates a default template", () => {
+    const type = root.lookupType("gz.msgs.Pose");
+    const template = createMessageTemplate(type);
+
+    expect(template).toEqual({
+      name: "",
+      position: { x: 0, y: 0, z: 0 },
+      points: [],
+      frame: "WORLD",
+      flags: {},
+      parent: null,
+    });
+    expect(type.toObject(type.fromObject(template))).toEqual({
+      name: "",
+      position: { x: 0, y: 0, z: 0 },
+      frame: 0,
+    });
+  });
+});
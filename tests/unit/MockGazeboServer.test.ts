@@ -0,0 +1,132 @@
+import { firstValueFrom } from "rxjs";
+import { filter } from "rxjs/operators";
+import { MockGazeboServer } from "../../src/MockGazeboServer";
+import { ServiceError, Transport } from "../../src/Transport";
+
+const PROTOS = `
+  syntax = "proto3";
+  package gz.msgs;
+  message StringMsg { string data = 1; }
+  message StringMsg_V { repeated string data = 1; }
+  message Bytes { bytes data = 1; }
+  message Boolean { bool data = 1; }
+  message Publisher { string topic = 1; string msg_type = 2; }
+  message Publishers { repeated Publisher publisher = 1; }
+  message Scene { string name = 1; }
+`;
+
+describe("MockGazeboServer", () => {
+  let server: MockGazeboServer;
+  let transport: Transport;
+
+  beforeEach(async () => {
+    server = new MockGazeboServer({
+      protos: PROTOS,
+      world: "shapes",
+      scene: { name: "shapes" },
+      topics: [
+        { topic: "/chatter", msg_type: "gz.msgs.StringMsg" },
+        { topic: "/camera", msg_type: "ignition.msgs.Image" },
+      ],
+    });
+
+    transport = new Transport({ webSocket: server.WebSocket });
+    transport.connect("ws://mock");
+    await firstValueFrom(
+      transport
+        .getConnectionStatus()
+        .pipe(filter((status) => status === "ready")),
+    );
+  });
+
+  afterEach(() => {
+    transport.disconnect();
+  });
+
+  test("completes the handshake", async () => {
+    expect(transport.getWorld()).toBe("shapes");
+    expect(transport.getAvailableTopics()).toEqual([
+      { topic: "/chatter", msg_type: "gz.msgs.StringMsg" },
+      { topic: "/camera", msg_type: "ignition.msgs.Image" },
+    ]);
+  });
+
+  test("delivers topic messages", async () => {
+    const message = firstValueFrom(transport.topic$("/chatter"));
+    await server.waitForSubscription("/chatter");
+    server.publish("/chatter", "gz.msgs.StringMsg", { data: "hello" });
+
+    expect(await message).toEqual({ data: "hello" });
+  });
+
+  test("answers service calls", async () => {
+    server.setService("/world/shapes/control", "gz.msgs.Boolean", () => ({
+      data: true,
+    }));
+
+    await expect(
+      transport.callService(
+        "/world/shapes/control",
+        "gz.msgs.StringMsg",
+        "gz.msgs.Boolean",
+        { data: "pause" },
+      ),
+    ).resolves.toEqual({ data: true });
+    await expect(
+      transport.callService(
+        "/unknown",
+        "gz.msgs.StringMsg",
+        "gz.msgs.Boolean",
+        {},
+      ),
+    ).rejects.toBeInstanceOf(ServiceError);
+  });
+
+  test("answers with an error when a service handler throws", async () => {
+    server.setService("/world/shapes/control", "gz.msgs.Boolean", () => {
+      throw new Error("Invalid request");
+    });
+
+    await expect(
+      transport.callService(
+        "/world/shapes/control",
+        "gz.msgs.StringMsg",
+        "gz.msgs.Boolean",
+        {},
+      ),
+    ).rejects.toThrow("Invalid request");
+  });
+
+  test("delivers raw images", async () => {
+    const image = firstValueFrom(transport.topic$("/camera"));
+    await server.waitForSubscription("/camera");
+    server.publishImage(
+      "/camera",
+      "ignition.msgs.Image",
+      new Uint8Array([137, 80, 78, 71]),
+    );
+
+    expect(await image).toEqual(new Uint8Array([137, 80, 78, 71]));
+  });
+
+  test("serves assets", async () => {
+    server.setAsset("model://box/mesh.dae", new Uint8Array([1, 2, 3]));
+
+    expect(await transport.fetchAsset("model://box/mesh.dae")).toEqual(
+      new Uint8Array([1, 2, 3]),
+    );
+    await expect(transport.fetchAsset("model://missing.dae")).rejects.toThrow();
+  });
+
+  test("records published messages", async () => {
+    const root = (transport as any).root;
+    const type = root.lookupType("gz.msgs.StringMsg");
+    transport.publish(
+      "/chatter",
+      "gz.msgs.StringMsg",
+      type.encode(type.create({ data: "hi" })).finish(),
+    );
+
+    expect(server.getPublished("/chatter")).toEqual([{ data: "hi" }]);
+  });
+});
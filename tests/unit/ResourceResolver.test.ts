@@ -0,0 +1,103 @@
+import { AssetError } from "../../src/Asset";
+import {
+  createFuelStage,
+  createStaticMirrorStage,
+  ResourceResolver,
+} from "../../src/ResourceResolver";
+
+describe("resource resolver", () => {
+  test("rewrites with the stages in order", () => {
+    const resolver = new ResourceResolver([
+      createStaticMirrorStage("https://example.com/models/"),
+      createFuelStage(),
+    ]);
+
+    expect(resolver.resolveUri("model://box/meshes/box.dae")).toBe(
+      "https://example.com/models/box/meshes/box.dae",
+    );
+    expect(
+      resolver.resolveUri(
+        "file:///home/dev/.gz/fuel/fuel.gazebosim.org/openrobotics/models/box/1/meshes/box.dae",
+      ),
+    ).toBe(
+      "https://fuel.gazebosim.org/1.0/openrobotics/models/box/1/files/meshes/box.dae",
+    );
+    expect(resolver.resolveUri("meshes/box.dae")).toBe("meshes/box.dae");
+  });
+
+  test("fetches with the first stage able to", async () => {
+    const stored: string[] = [];
+    const resolver = new ResourceResolver([
+      { name: "cache", store: (uri: string) => stored.push(uri) },
+      { name: "empty", fetch: () => Promise.resolve(undefined) },
+      { name: "failing", fetch: () => Promise.reject("error") },
+      { name: "data", fetch: () => Promise.resolve(new Uint8Array([1])) },
+    ]);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(resolver.fetch("a.png")).resolves.toEqual(new Uint8Array([1]));
+    expect(stored).toEqual(["a.png"]);
+
+    resolver.removeStage("data");
+    await expect(resolver.fetch("a.png")).rejects.toMatchObject({
+      code: AssetError.NOT_FOUND,
+      uri: "a.png",
+    });
+  });
+
+  test("fetches the original URI of a rewritten one", async () => {
+    const fetched: string[] = [];
+    const stored: string[] = [];
+    const resolver = new ResourceResolver([
+      {
+        ...createStaticMirrorStage("https://example.com/models"),
+        fetch: (uri: string) => {
+          fetched.push(uri);
+          return Promise.reject("error");
+        },
+        store: (uri: string) => stored.push(uri),
+      },
+      {
+        name: "websocket",
+        fetch: (uri: string) => {
+          fetched.push(uri);
+          return Promise.resolve(new Uint8Array([1]));
+        },
+      },
+    ]);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const uri = resolver.resolveUri("model://box/meshes/box.dae");
+    expect(uri).toBe("https://example.com/models/box/meshes/box.dae");
+
+    await expect(resolver.fetch(uri)).resolves.toEqual(new Uint8Array([1]));
+    expect(fetched).toEqual([
+      "model://box/meshes/box.dae",
+      "model://box/meshes/box.dae",
+    ]);
+    expect(stored).toEqual(["model://box/meshes/box.dae"]);
+  });
+
+  test("forgets the original URI once it is fetched or released", async () => {
+    const fetched: string[] = [];
+    const resolver = new ResourceResolver([
+      createStaticMirrorStage("https://example.com/models"),
+      {
+        name: "websocket",
+        fetch: (uri: string) => {
+          fetched.push(uri);
+          return Promise.reject("error");
+        },
+      },
+    ]);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const uri = resolver.resolveUri("model://box/meshes/box.dae");
+    await expect(resolver.fetch(uri)).rejects.toThrow();
+    resolver.resolveUri("model://box/meshes/box.stl");
+    resolver.release("https://example.com/models/box/meshes/box.stl");
+
+    expect((resolver as any).originalUris.size).toBe(0);
+    expect(fetched).toEqual(["model://box/meshes/box.dae"]);
+  });
+});
@@ -0,0 +1,80 @@
+import * as THREE from "three";
+import { Scene } from "../../src/Scene";
+
+// The Scene needs WebGL, so only the fields used by the tests are set.
+function createScene(): Scene {
+  const scene = Object.create(Scene.prototype);
+  scene.meshes = new Map();
+  scene.textureCache = new Map();
+  scene.colladaLoader = { texturesCache: new Map() };
+  return scene;
+}
+
+function trackDispose(resource: THREE.EventDispatcher): jest.Mock {
+  const listener = jest.fn();
+  resource.addEventListener("dispose", listener);
+  return listener;
+}
+
+describe("scene disposal", () => {
+  test("removes a model and disposes the resources of its descendants", () => {
+    const scene = createScene();
+    const parent = new THREE.Object3D();
+    const model = new THREE.Object3D();
+    const link = new THREE.Object3D();
+    const mesh = new THREE.Mesh(
+      new THREE.BoxGeometry(),
+      new THREE.MeshBasicMaterial({ map: new THREE.Texture() }),
+    );
+    parent.add(model);
+    model.add(link);
+    link.add(mesh);
+
+    const disposed = [
+      trackDispose(mesh.geometry),
+      trackDispose(mesh.material),
+      trackDispose(mesh.material.map!),
+    ];
+
+    scene.removeAndDispose(model);
+
+    expect(parent.children).toHaveLength(0);
+    disposed.forEach((listener) => expect(listener).toBeCalledTimes(1));
+  });
+
+  test("keeps the resources of the cached meshes and textures", () => {
+    const scene = createScene();
+    const texture = new THREE.Texture();
+    (scene as any).textureCache.set("box.png", texture);
+    const cached = new THREE.Mesh(
+      new THREE.BoxGeometry(),
+      new THREE.MeshPhongMaterial({ map: texture }),
+    );
+    scene.meshes.set("box.dae", cached);
+
+    const model = new THREE.Object3D();
+    model.add(cached.clone());
+    const own = new THREE.Mesh(
+      new THREE.SphereGeometry(),
+      new THREE.MeshBasicMaterial({ map: new THREE.Texture() }),
+    );
+    model.add(own);
+
+    const sharedDisposed = [
+      trackDispose(cached.geometry),
+      trackDispose(cached.material as THREE.Material),
+      trackDispose(texture),
+    ];
+    const ownDisposed = [
+      trackDispose(own.geometry),
+      trackDispose(own.material),
+      trackDispose(own.material.map!),
+    ];
+
+    scene.removeAndDispose(model);
+
+    sharedDisposed.forEach((listener) => expect(listener).not.toBeCalled());
+    ownDisposed.forEach((listener) => expect(listener).toBeCalledTimes(1));
+    expect(own.material).toBeInstanceOf(THREE.MeshBasicMaterial);
+  });
+});
@@ -1,4 +1,19 @@
+import * as THREE from "three";
+import { NEVER } from "rxjs";
+import { MockGazeboServer } from "../../src/MockGazeboServer";
+import { Pose } from "../../src/Pose";
 import { SceneManager } from "../../src/SceneManager";
+import { Topic } from "../../src/Topic";
+import { ServiceError, Transport } from "../../src/Transport";
+import { WorldStats } from "../../src/WorldStats";
+import { installDom, PROTOS, until } from "./harness";
+
+jest.mock("../../src/Scene", () => ({
+  Scene: jest.requireActual("./harness").MockScene,
+}));
+jest.mock("../../src/SDFParser", () => ({
+  SDFParser: jest.requireActual("./harness").MockSDFParser,
+}));
 
 // Tests for default construction
 describe("scene construction", () => {
@@ -13,3 +28,547 @@ describe("scene construction", () => {
     expect(sceneMgr.getModels().length).toBe(0);
   });
 });
+
+describe("scene deletion", () => {
+  test("removes the models deleted from the simulation", () => {
+    const manager = new SceneManager();
+    const transport = (manager as any).transport;
+    const topics: Topic[] = [];
+    jest.spyOn(transport, "getWorld").mockReturnValue("shapes");
+    jest
+      .spyOn(transport, "subscribe")
+      .mockImplementation((topic: any) => topics.push(topic));
+    jest.spyOn(transport, "topic$").mockReturnValue(NEVER);
+
+    const box = new THREE.Object3D();
+    const scene = {
+      getByName: (name: string) => (name === "box" ? box : undefined),
+      removeAndDispose: jest.fn(),
+    };
+    (manager as any).scene = scene;
+    (manager as any).models = [
+      { name: "box", id: 1 },
+      { name: "sphere", id: 2 },
+    ];
+    const removed: string[] = [];
+    manager.modelRemoved$.subscribe((model) => removed.push(model.name));
+
+    (manager as any).subscribeToTopics();
+    const deletion = topics.find(
+      (topic) => topic.name === "/world/shapes/scene/deletion",
+    )!;
+    // Entities that are not models, such as lights, are ignored.
+    deletion.cb({ data: [1, 3] });
+
+    expect(removed).toEqual(["box"]);
+    expect(scene.removeAndDispose).toHaveBeenCalledWith(box);
+    expect(manager.getModels().map((model) => model.name)).toEqual(["sphere"]);
+  });
+});
+
+describe("scene entity services", () => {
+  let manager: SceneManager;
+  let requests: any[][];
+  let responses: { [service: string]: any };
+
+  beforeEach(() => {
+    manager = new SceneManager();
+    const transport = (manager as any).transport;
+    jest.spyOn(transport, "getWorld").mockReturnValue("shapes");
+    requests = [];
+    responses = {};
+    jest
+      .spyOn(transport, "callService")
+      .mockImplementation((service: any, reqType: any, resType, req) => {
+        requests.push([service, reqType, req]);
+        return Promise.resolve(responses[service] ?? { data: true });
+      });
+  });
+
+  test("spawns a model once it appears in the scene", async () => {
+    const sdf = '<sdf version="1.6"><model name="ball"></model></sdf>';
+    const spawned = manager.spawn(
+      sdf,
+      new Pose(new THREE.Vector3(1, 2, 3)),
+      "ball",
+    );
+    manager.modelAdded$.next({ name: "other" });
+    manager.modelAdded$.next({ name: "ball" });
+
+    await expect(spawned).resolves.toEqual({ name: "ball" });
+    expect(requests[0][0]).toBe("/world/shapes/create");
+    expect(requests[0][1]).toBe("ignition.msgs.EntityFactory");
+    expect(requests[0][2]).toMatchObject({
+      sdf,
+      name: "ball",
+      allow_renaming: false,
+      pose: { position: { x: 1, y: 2, z: 3 } },
+    });
+  });
+
+  test("removes models and lights", async () => {
+    (manager as any).models = [{ name: "box", id: 1 }];
+
+    const removed = manager.remove("box");
+    manager.modelRemoved$.next({ name: "box" });
+    await expect(removed).resolves.toEqual({ name: "box" });
+    await expect(manager.remove("sun")).resolves.toEqual({ data: true });
+
+    expect(requests.map((request) => request[2])).toEqual([
+      { name: "box", type: 2 },
+      { name: "sun", type: 1 },
+    ]);
+  });
+
+  test("sets the pose of entities and the properties of lights", async () => {
+    responses["/world/shapes/light_config"] = { data: false };
+
+    await expect(
+      manager.setPose("box", new Pose(new THREE.Vector3(1, 2, 3))),
+    ).resolves.toEqual({ data: true });
+    await expect(manager.setLight("sun", { intensity: 0.5 })).rejects.toThrow(
+      ServiceError,
+    );
+
+    expect(requests[0][2]).toMatchObject({
+      name: "box",
+      position: { x: 1, y: 2, z: 3 },
+      orientation: { w: 1 },
+    });
+    expect(requests[1][2]).toEqual({ name: "sun", intensity: 0.5 });
+  });
+});
+
+describe("scene reconnection", () => {
+  const poseTopic = "/world/shapes/dynamic_pose/info";
+  let server: MockGazeboServer;
+  let manager: SceneManager;
+
+  const isReady = () => manager.getConnectionStatus() === "ready";
+
+  beforeEach(() => {
+    installDom();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    server = new MockGazeboServer({
+      protos: PROTOS,
+      world: "shapes",
+      scene: { name: "shapes", model: [{ name: "box", id: 1 }] },
+      topics: [
+        { topic: poseTopic, msg_type: "ignition.msgs.Pose_V" },
+        { topic: "/cmd", msg_type: "ignition.msgs.Double" },
+      ],
+    });
+  });
+
+  afterEach(() => {
+    manager.disconnect();
+    jest.restoreAllMocks();
+  });
+
+  test("restores the subscriptions and publishers", async () => {
+    manager = new SceneManager({
+      transport: new Transport({ webSocket: server.WebSocket }),
+      reconnect: { initialDelayMs: 10 },
+      topicName: "/cmd",
+      msgType: "ignition.msgs.Double",
+      msgData: { data: 1 },
+    });
+    manager.connect("ws://mock");
+    await until(isReady);
+    await server.waitForSubscription(poseTopic);
+
+    server.closeAll();
+    expect(manager.getConnectionStatus()).toBe("reconnecting");
+    // Messages can't be sent until the connection is restored.
+    expect(() => manager.publish()).not.toThrow();
+
+    await until(isReady);
+    expect(server.sockets).toHaveLength(1);
+    expect(server.sockets[0].subscriptions.has(poseTopic)).toBe(true);
+    expect(server.sockets[0].advertisements.has("/cmd")).toBe(true);
+    expect(manager.getModels()).toHaveLength(1);
+
+    manager.publish();
+    await until(() => server.getPublished("/cmd").length > 0);
+    expect(server.getPublished("/cmd")).toEqual([{ data: 1 }]);
+  });
+
+  test("replaces the sky and the visuals of the lost scene", async () => {
+    server = new MockGazeboServer({
+      protos: PROTOS,
+      world: "shapes",
+      scene: { name: "shapes", model: [{ name: "box", id: 1 }], sky: {} },
+    });
+    manager = new SceneManager({
+      transport: new Transport({ webSocket: server.WebSocket }),
+      reconnect: { initialDelayMs: 10 },
+    });
+    manager.connect("ws://mock");
+    await until(isReady);
+    const scene = (manager as any).scene;
+    const addSky = jest.spyOn(scene, "addSky");
+    const removeSky = jest.spyOn(scene, "removeSky");
+    const contacts = manager.visualizeContacts("/world/shapes/contacts");
+    contacts.start();
+    const destroy = jest.spyOn(contacts, "destroy");
+
+    server.closeAll();
+    await until(isReady);
+
+    expect(destroy).toHaveBeenCalled();
+    expect(contacts.isRunning()).toBe(false);
+    expect(addSky).toHaveBeenCalledTimes(1);
+    expect(removeSky.mock.invocationCallOrder[0]).toBeLessThan(
+      addSky.mock.invocationCallOrder[0],
+    );
+    expect(manager.getModels()).toHaveLength(1);
+  });
+
+  test("starts over once the attempts run out", async () => {
+    const start = jest.spyOn(
+      SceneManager.prototype as any,
+      "startVisualization",
+    );
+    manager = new SceneManager({
+      transport: new Transport({ webSocket: server.WebSocket }),
+      reconnect: { maxAttempts: 1, initialDelayMs: 10 },
+    });
+    manager.connect("ws://mock");
+    await until(isReady);
+
+    server.shutdown();
+    await until(() => manager.getConnectionStatus() === "disconnected");
+
+    server.restart();
+    manager.connect("ws://mock");
+    await until(isReady);
+    expect(start).toHaveBeenCalledTimes(2);
+    expect(manager.getModels()).toHaveLength(1);
+  });
+});
+
+describe("world statistics", () => {
+  const statsTopic = "/world/shapes/stats";
+  let server: MockGazeboServer;
+  let manager: SceneManager;
+
+  beforeEach(async () => {
+    installDom();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    server = new MockGazeboServer({
+      protos: PROTOS,
+      world: "shapes",
+      scene: { name: "shapes" },
+      topics: [
+        { topic: statsTopic, msg_type: "ignition.msgs.WorldStatistics" },
+      ],
+    });
+    manager = new SceneManager({
+      transport: new Transport({ webSocket: server.WebSocket }),
+      topicDiscoveryIntervalMs: 10,
+    });
+    manager.connect("ws://mock");
+    await until(() => manager.getConnectionStatus() === "ready");
+    await server.waitForSubscription(statsTopic);
+  });
+
+  afterEach(() => {
+    manager.disconnect();
+    jest.restoreAllMocks();
+  });
+
+  test("follows the clock once it is advertised", async () => {
+    const stats: WorldStats[] = [];
+    manager.getWorldStatsAsObservable().subscribe((s) => stats.push(s));
+    server.publish(statsTopic, "ignition.msgs.WorldStatistics", {
+      sim_time: { sec: 1 },
+      iterations: 1000,
+    });
+    await until(() => stats.length === 1);
+
+    server.advertise("/clock", "ignition.msgs.Clock");
+    await server.waitForSubscription("/clock");
+    server.publish("/clock", "ignition.msgs.Clock", {
+      sim: { sec: 2, nsec: 500000000 },
+    });
+    await until(() => stats.length === 2);
+
+    expect(stats[1]).toMatchObject({ simTime: 2.5, iterations: 1000 });
+  });
+});
+
+describe("world switch", () => {
+  let server: MockGazeboServer;
+  let manager: SceneManager;
+
+  beforeEach(async () => {
+    installDom();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    server = new MockGazeboServer({
+      protos: PROTOS,
+      world: "shapes",
+      scene: { name: "shapes", model: [{ name: "box", id: 1 }] },
+      otherWorlds: {
+        empty: { name: "empty", model: [{ name: "ball", id: 2 }] },
+      },
+      topics: [
+        {
+          topic: "/world/shapes/dynamic_pose/info",
+          msg_type: "ignition.msgs.Pose_V",
+        },
+        {
+          topic: "/world/empty/dynamic_pose/info",
+          msg_type: "ignition.msgs.Pose_V",
+        },
+      ],
+    });
+    manager = new SceneManager({
+      transport: new Transport({ webSocket: server.WebSocket }),
+    });
+    manager.connect("ws://mock");
+    await until(() => manager.getConnectionStatus() === "ready");
+    await server.waitForSubscription("/world/shapes/dynamic_pose/info");
+  });
+
+  afterEach(() => {
+    manager.disconnect();
+    jest.restoreAllMocks();
+  });
+
+  test("replaces the scene and visuals of the world", async () => {
+    const scene = (manager as any).scene;
+    const removeSky = jest.spyOn(scene, "removeSky");
+    const markers = manager.getMarkerManager();
+    markers.handle({ id: 1, type: 1 });
+    const topicMarkers = manager.subscribeToMarkers("/marker");
+    const contacts = manager.visualizeContacts("/world/shapes/contacts");
+    const joints = manager.inspectJoints("box");
+    const destroyed = [
+      jest.spyOn(markers, "destroy"),
+      jest.spyOn(topicMarkers, "destroy"),
+      jest.spyOn(contacts, "destroy"),
+      jest.spyOn(joints, "destroy"),
+    ];
+
+    await manager.setActiveWorld("empty");
+
+    expect(manager.getActiveWorld()).toBe("empty");
+    expect(manager.getModels().map((model) => model.name)).toEqual(["ball"]);
+    expect(scene.getByName("box")).toBeUndefined();
+    expect(removeSky).toHaveBeenCalled();
+    destroyed.forEach((destroy) => expect(destroy).toHaveBeenCalled());
+    expect(manager.getMarkerManager()).not.toBe(markers);
+
+    await server.waitForSubscription("/world/empty/dynamic_pose/info");
+    expect(
+      server.sockets[0].subscriptions.has("/world/shapes/dynamic_pose/info"),
+    ).toBe(false);
+  });
+
+  test("keeps the connection if the scene of the world is late", async () => {
+    const handleFrame = server.handleFrame.bind(server);
+    const requests: [any, any][] = [];
+    jest.spyOn(server, "handleFrame").mockImplementation((socket, data) => {
+      if (typeof data === "string" && data.startsWith("scene,")) {
+        requests.push([socket, data]);
+      } else {
+        handleFrame(socket, data);
+      }
+    });
+
+    await expect(manager.setActiveWorld("empty", 50)).rejects.toThrow(
+      "No scene received for world empty after 50 ms",
+    );
+    expect(manager.getConnectionStatus()).toBe("ready");
+    expect(manager.getModels()).toHaveLength(0);
+
+    // The late scene loads the world.
+    handleFrame(...requests[0]);
+    await server.waitForSubscription("/world/empty/dynamic_pose/info");
+    expect(manager.getModels().map((model) => model.name)).toEqual(["ball"]);
+  });
+
+  test("rejects unknown worlds", async () => {
+    await expect(manager.setActiveWorld("moon")).rejects.toThrow(
+      "Unknown world moon",
+    );
+    expect(manager.getActiveWorld()).toBe("shapes");
+  });
+});
+
+describe("connected scene", () => {
+  const poseTopic = "/world/shapes/dynamic_pose/info";
+  const sceneTopic = "/world/shapes/scene/info";
+  let server: MockGazeboServer;
+  let manager: SceneManager;
+
+  beforeEach(async () => {
+    installDom();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    server = new MockGazeboServer({
+      protos: PROTOS,
+      world: "shapes",
+      scene: { name: "shapes", model: [{ name: "box", id: 1 }] },
+      topics: [
+        { topic: poseTopic, msg_type: "ignition.msgs.Pose_V" },
+        { topic: sceneTopic, msg_type: "ignition.msgs.Scene" },
+      ],
+    });
+    manager = new SceneManager({
+      transport: new Transport({ webSocket: server.WebSocket }),
+    });
+    manager.connect("ws://mock");
+    await until(() => manager.getConnectionStatus() === "ready");
+    await server.waitForSubscription(poseTopic);
+    await server.waitForSubscription(sceneTopic);
+  });
+
+  /**
+   * Answer the create service by adding the requested models to the scene, as
+   * Gazebo does.
+   *
+   * @param nameOf Get the name of the created model from the request.
+   * @returns The requests received by the service.
+   */
+  function serveCreate(nameOf: (request: any) => string): any[] {
+    const requests: any[] = [];
+    server.setService(
+      "/world/shapes/create",
+      "ignition.msgs.Boolean",
+      (req) => {
+        requests.push(req);
+        setTimeout(() =>
+          server.publish(sceneTopic, "ignition.msgs.Scene", {
+            model: [{ name: nameOf(req), id: 10 + requests.length }],
+          }),
+        );
+        return { data: true };
+      },
+    );
+    return requests;
+  }
+
+  afterEach(() => {
+    manager.disconnect();
+    jest.restoreAllMocks();
+  });
+
+  test("reports each missing entity once", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const box = (manager as any).scene.getByName("box");
+    const poses = {
+      pose: [
+        {
+          name: "box",
+          position: { x: 1, y: 2, z: 3 },
+          orientation: { w: 1 },
+        },
+        { name: "ghost", position: { x: 1 }, orientation: { w: 1 } },
+      ],
+    };
+
+    server.publish(poseTopic, "ignition.msgs.Pose_V", poses);
+    server.publish(poseTopic, "ignition.msgs.Pose_V", poses);
+    await until(() => box.position.x === 1);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(box.position.toArray()).toEqual([1, 2, 3]);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith(
+      "Unable to find entity with name ",
+      "ghost",
+    );
+  });
+
+  test("moves manipulated entities to their world pose", async () => {
+    const requests: any[] = [];
+    server.setService(
+      "/world/shapes/set_pose",
+      "ignition.msgs.Boolean",
+      (req) => {
+        requests.push(req);
+        return { data: true };
+      },
+    );
+    const scene = (manager as any).scene;
+    const parent = new THREE.Object3D();
+    parent.position.set(1, 0, 0);
+    parent.rotation.set(0, 0, Math.PI / 2);
+    const entity = new THREE.Object3D();
+    entity.name = "box";
+    entity.position.set(1, 0, 0);
+    parent.add(entity);
+    scene.scene.add(parent);
+
+    const setPose = jest.spyOn(manager, "setPose");
+    scene.emitter.emit("entityChanged", entity);
+    await setPose.mock.results[0].value;
+
+    expect(requests[0].name).toBe("box");
+    expect(requests[0].position.x).toBeCloseTo(1);
+    expect(requests[0].position.y).toBeCloseTo(1);
+    expect(requests[0].orientation.z).toBeCloseTo(Math.SQRT1_2);
+    expect(requests[0].orientation.w).toBeCloseTo(Math.SQRT1_2);
+  });
+
+  test("spawns the model of an SDF", async () => {
+    const requests = serveCreate((req) =>
+      req.name ? req.name : req.sdf.includes("sphere") ? "sphere" : "other",
+    );
+    const sdf = '<sdf version="1.6"><model name="sphere"></model></sdf>';
+
+    // A model added by someone else must not resolve the spawn.
+    setTimeout(() =>
+      server.publish(sceneTopic, "ignition.msgs.Scene", {
+        model: [{ name: "intruder", id: 9 }],
+      }),
+    );
+    await expect(
+      manager.spawn(sdf, new Pose(new THREE.Vector3(1, 2, 3))),
+    ).resolves.toMatchObject({ name: "sphere" });
+    await expect(manager.spawn(sdf, undefined, "ball")).resolves.toMatchObject({
+      name: "ball",
+    });
+
+    expect(requests[0].sdf).toBe(sdf);
+    expect(requests[0].name).toBeUndefined();
+    expect(requests[0].pose.position).toEqual({ x: 1, y: 2, z: 3 });
+    expect(requests[1]).toMatchObject({ name: "ball", allow_renaming: false });
+  });
+
+  test("spawns the model of a Fuel URI", async () => {
+    const requests = serveCreate((req) => req.name);
+    const uri = "https://fuel.gazebosim.org/1.0/openrobotics/models/Coke/2";
+
+    await expect(manager.spawn(uri)).resolves.toMatchObject({ name: "Coke" });
+    expect(requests[0]).toMatchObject({
+      sdf_filename: uri,
+      name: "Coke",
+      allow_renaming: false,
+    });
+  });
+
+  test("spawns the first new model of other URIs", async () => {
+    const requests = serveCreate(() => "table");
+
+    await expect(
+      manager.spawn("/models/table/model.sdf"),
+    ).resolves.toMatchObject({ name: "table" });
+    expect(requests[0].name).toBeUndefined();
+  });
+
+  test("does not scale entities", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const scene = (manager as any).scene;
+    scene.setManipulationMode = jest.fn();
+
+    manager.setManipulationMode("scale");
+    manager.setManipulationMode("rotate");
+
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(scene.setManipulationMode).toHaveBeenCalledTimes(1);
+    expect(scene.setManipulationMode).toHaveBeenCalledWith("rotate");
+  });
+});
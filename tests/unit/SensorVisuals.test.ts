@@ -0,0 +1,140 @@
+import * as THREE from "three";
+import {
+  findSensorFrame,
+  LaserScanVisual,
+  laserScanToPoints,
+  PointCloudVisual,
+  pointCloudToPoints,
+} from "../../src/SensorVisuals";
+import { createTopicTransport } from "./harness";
+
+describe("laser scans", () => {
+  const scan = {
+    angle_min: 0,
+    angle_step: Math.PI / 2,
+    range_min: 0.1,
+    range_max: 10,
+    count: 3,
+    ranges: [1, Infinity, 2],
+  };
+
+  test("computes the hit points in the sensor frame", () => {
+    const points = laserScanToPoints(scan);
+
+    // The ray that did not hit anything is skipped.
+    expect(Array.from(points).map((v) => Math.round(v))).toEqual([
+      1, 0, 0, -2, 0, 0,
+    ]);
+  });
+
+  test("shows the rays from the sensor at the world pose", () => {
+    const { transport, messages } = createTopicTransport();
+    const visual = new LaserScanVisual(transport, "/scan", {
+      mode: "rays",
+      useWorldPose: true,
+    });
+    visual.start();
+
+    messages.next({
+      ...scan,
+      world_pose: { position: { x: 1, y: 2, z: 3 } },
+    });
+
+    const rays = visual.object.children[0] as THREE.LineSegments;
+    expect(rays).toBeInstanceOf(THREE.LineSegments);
+    const positions = rays.geometry.getAttribute("position").array;
+    expect(Array.from(positions).map((v) => Math.round(v))).toEqual([
+      0, 0, 0, 1, 0, 0, 0, 0, 0, -2, 0, 0,
+    ]);
+    expect(visual.object.position.toArray()).toEqual([1, 2, 3]);
+
+    visual.destroy();
+  });
+});
+
+describe("point clouds", () => {
+  const cloud = (points: number[][], fields = ["x", "y", "z", "rgb"]) => {
+    const data = new Uint8Array(points.length * 16);
+    const view = new DataView(data.buffer);
+    points.forEach(([x, y, z, rgb], i) => {
+      view.setFloat32(i * 16, x, true);
+      view.setFloat32(i * 16 + 4, y, true);
+      view.setFloat32(i * 16 + 8, z, true);
+      view.setUint32(i * 16 + 12, rgb, true);
+    });
+
+    return {
+      field: fields.map((name, i) => ({
+        name,
+        offset: i * 4,
+        datatype: 6,
+        count: 1,
+      })),
+      height: 1,
+      width: points.length,
+      point_step: 16,
+      row_step: points.length * 16,
+      data,
+    };
+  };
+
+  test("decodes the positions and colors", () => {
+    const { positions, colors } = pointCloudToPoints(
+      cloud([
+        [1, 2, 3, 0xff0000],
+        [NaN, 0, 0, 0],
+      ]),
+    );
+
+    expect(Array.from(positions)).toEqual([1, 2, 3]);
+    expect(Array.from(colors!)).toEqual([1, 0, 0]);
+  });
+
+  test("uses the colors of the points when they have some", () => {
+    const { transport, messages } = createTopicTransport();
+    const visual = new PointCloudVisual(transport, "/points", {
+      color: 0x00ff00,
+    });
+    visual.start();
+    const points = visual.object.children[0] as THREE.Points;
+    const material = points.material as THREE.PointsMaterial;
+
+    messages.next(cloud([[1, 2, 3, 0xff0000]]));
+    expect(material.vertexColors).toBe(true);
+    expect(material.color.getHex()).toBe(0xffffff);
+    expect(points.geometry.getAttribute("color")).toBeDefined();
+
+    messages.next(cloud([[1, 2, 3, 0]], ["x", "y", "z"]));
+    expect(material.vertexColors).toBe(false);
+    expect(material.color.getHex()).toBe(0x00ff00);
+    expect(points.geometry.getAttribute("color")).toBeUndefined();
+
+    visual.destroy();
+  });
+});
+
+describe("sensor frames", () => {
+  const root = new THREE.Object3D();
+  const model = new THREE.Object3D();
+  const link = new THREE.Object3D();
+  const sensor = new THREE.Object3D();
+  model.name = "robot";
+  link.name = "base";
+  sensor.name = "lidar";
+  root.add(model);
+  model.add(link);
+  link.add(sensor);
+
+  test("finds the sensor named in the topic", () => {
+    expect(
+      findSensorFrame(root, "/world/w/model/robot/link/base/sensor/lidar/scan"),
+    ).toBe(sensor);
+  });
+
+  test("falls back to the link", () => {
+    expect(
+      findSensorFrame(root, "/world/w/model/robot/link/base/sensor/gpu/scan"),
+    ).toBe(link);
+    expect(findSensorFrame(root, "/lidar")).toBeUndefined();
+  });
+});
@@ -0,0 +1,144 @@
+import { loadSession, ReplayTransport } from "../../src/ReplayTransport";
+import { SessionRecorder } from "../../src/SessionRecorder";
+import { Transport } from "../../src/Transport";
+
+const PROTOS = `
+  syntax = "proto3";
+  package gz.msgs;
+  message StringMsg { string data = 1; }
+`;
+
+const encode = (text: string) => new TextEncoder().encode(text);
+
+describe("session recording", () => {
+  let transport: Transport;
+  let recorder: SessionRecorder;
+
+  const receive = (text: string) =>
+    (transport as any).rawFrames$.next({
+      data: encode(text),
+      receivedAt: Date.now(),
+    });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ["performance"] });
+    jest.setSystemTime(1000);
+    transport = new Transport();
+    (transport as any).handshakeData.set("protos", PROTOS);
+    (transport as any).handshakeData.set("worlds", encode("pub,worlds,w,"));
+    recorder = new SessionRecorder(transport, { topics: ["/clock"] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("saves the chosen topics and the assets", async () => {
+    recorder.start();
+    jest.advanceTimersByTime(100);
+    receive("pub,/clock,gz.msgs.Clock,1");
+    receive("pub,/stats,gz.msgs.WorldStatistics,1");
+    receive("asset,model://box/box.dae,gz.msgs.Bytes,mesh");
+    receive("asset,missing.dae,gz.msgs.StringMsg,asset_not_found");
+    jest.advanceTimersByTime(100);
+    receive("pub,scene,gz.msgs.Scene,scene");
+    recorder.stop();
+
+    jest.useRealTimers();
+    const session = await loadSession(await recorder.save());
+
+    expect(session.protos).toBe(PROTOS);
+    expect(session.durationMs).toBe(200);
+    expect(session.frames.map((f) => [f.time, f.topic])).toEqual([
+      [100, "/clock"],
+    ]);
+    expect([...session.handshake.keys()].sort()).toEqual(["scene", "worlds"]);
+    expect([...session.assets.keys()]).toEqual(["model://box/box.dae"]);
+  });
+
+  test("stops recording at the size limit", () => {
+    recorder = new SessionRecorder(transport, { maxBytes: 60 });
+    recorder.start();
+    receive("pub,/clock,gz.msgs.Clock,1");
+    receive("pub,/clock,gz.msgs.Clock,2");
+    expect(recorder.isRecording()).toBe(true);
+
+    receive("asset,model://box/box.dae,gz.msgs.Bytes,mesh");
+    expect(recorder.isRecording()).toBe(false);
+    expect((recorder as any).frames).toHaveLength(2);
+    expect((recorder as any).assets.size).toBe(0);
+  });
+
+  test("stops recording at the duration limit", () => {
+    recorder = new SessionRecorder(transport, { maxDurationMs: 1000 });
+    recorder.start();
+    jest.advanceTimersByTime(999);
+    expect(recorder.isRecording()).toBe(true);
+
+    jest.advanceTimersByTime(1);
+    expect(recorder.isRecording()).toBe(false);
+    expect(recorder.getDuration()).toBe(1000);
+  });
+});
+
+describe("session replay", () => {
+  let transport: ReplayTransport;
+  let socket: any;
+  let received: string[];
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ["performance"] });
+    transport = new ReplayTransport({
+      protos: PROTOS,
+      handshake: new Map([["worlds", encode("pub,worlds,w,")]]),
+      frames: [100, 200, 300].map((time) => ({
+        time,
+        topic: "/clock",
+        data: encode(`pub,/clock,gz.msgs.Clock,${time}`),
+      })),
+      assets: new Map(),
+      durationMs: 300,
+    });
+    socket = (transport as any).createWebSocket("replay");
+    received = [];
+    socket.onmessage = (event: any) =>
+      event.data.text().then((text: string) => received.push(text));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const flush = async () => {
+    jest.runOnlyPendingTimers();
+    jest.useRealTimers();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  };
+
+  test("answers the handshake", async () => {
+    socket.send("protos,,,");
+    socket.send("worlds,,,");
+    await flush();
+
+    expect(received).toEqual([PROTOS, "pub,worlds,w,"]);
+  });
+
+  test("plays the subscribed topics", async () => {
+    socket.send("sub,/clock,,");
+    transport.setSpeed(2);
+    transport.play();
+    jest.advanceTimersByTime(80);
+    expect(transport.isPlaying()).toBe(true);
+
+    transport.seek(300);
+    expect(transport.isPlaying()).toBe(true);
+    jest.advanceTimersByTime(20);
+    expect(transport.isPlaying()).toBe(false);
+    await flush();
+
+    expect(received).toEqual([
+      "pub,/clock,gz.msgs.Clock,100",
+      "pub,/clock,gz.msgs.Clock,300",
+    ]);
+  });
+});
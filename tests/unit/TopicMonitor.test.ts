@@ -0,0 +1,66 @@
+import { Subject } from "rxjs";
+import { TopicMonitor, TopicStatistics } from "../../src/TopicMonitor";
+import { TopicFrame, Transport } from "../../src/Transport";
+
+describe("topic monitor", () => {
+  let frames: Subject<TopicFrame>;
+  let monitor: TopicMonitor;
+  let stats: TopicStatistics;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ["performance"] });
+    jest.setSystemTime(0);
+    frames = new Subject<TopicFrame>();
+    const transport = new Transport();
+    jest.spyOn(transport, "topicFrames$").mockReturnValue(frames);
+
+    monitor = new TopicMonitor(transport, "/scan", {
+      historySize: 2,
+      windowMs: 1000,
+    });
+    monitor.getStatisticsAsObservable().subscribe((s) => (stats = s));
+    monitor.start();
+  });
+
+  afterEach(() => {
+    monitor.destroy();
+    jest.useRealTimers();
+  });
+
+  const receive = (size: number) =>
+    frames.next({
+      msg: {},
+      type: "gz.msgs.LaserScan",
+      size,
+      receivedAt: Date.now(),
+    });
+
+  test("keeps a bounded history", () => {
+    let history: TopicFrame[] = [];
+    monitor.getHistoryAsObservable().subscribe((h) => (history = h));
+
+    receive(1);
+    receive(2);
+    receive(3);
+
+    expect(history.map((frame) => frame.size)).toEqual([2, 3]);
+    expect(stats.count).toBe(3);
+  });
+
+  test("computes the rate and bandwidth", () => {
+    for (let i = 0; i < 10; ++i) {
+      jest.advanceTimersByTime(100);
+      receive(50);
+    }
+
+    expect(stats.hz).toBeCloseTo(10);
+    expect(stats.bandwidth).toBeCloseTo(500);
+    expect(stats.meanMessageSize).toBe(50);
+    expect(stats.timeSinceLastMs).toBe(0);
+
+    // The statistics are updated without messages.
+    jest.advanceTimersByTime(2000);
+    expect(stats.hz).toBe(0);
+    expect(stats.timeSinceLastMs).toBe(2000);
+  });
+});
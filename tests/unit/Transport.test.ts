@@ -1,4 +1,15 @@
-import { Transport } from "../../src/Transport";
+import { parse } from "protobufjs";
+import { firstValueFrom } from "rxjs";
+import { filter } from "rxjs/operators";
+import { AssetError } from "../../src/Asset";
+import { MockGazeboServer } from "../../src/MockGazeboServer";
+import {
+  ConnectionError,
+  ConnectionErrorCode,
+  ServiceError,
+  Transport,
+} from "../../src/Transport";
+import { until } from "./harness";
 
 // Tests for default construction
 describe("transport construction", () => {
@@ -17,3 +28,653 @@ describe("transport construction", () => {
     expect(transport.getSubscribedTopics().size).toBe(0);
   });
 });
+
+// Minimal WebSocket stand-in that records the created sockets.
+class FakeWebSocket {
+  static instances: FakeWebSocket[] = [];
+  onopen: () => void;
+  onclose: (event?: any) => void;
+  onmessage: (event: any) => void;
+  onerror: (event: any) => void;
+  sent: (string | ArrayBuffer)[] = [];
+
+  constructor(public url: string) {
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(data: string | ArrayBuffer) {
+    this.sent.push(data);
+  }
+
+  close() {
+    this.onclose();
+  }
+}
+
+describe("transport reconnection", () => {
+  let transport: Transport;
+  let statuses: string[];
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ["performance"] });
+    FakeWebSocket.instances = [];
+    (global as any).WebSocket = FakeWebSocket;
+    transport = new Transport();
+    statuses = [];
+    transport.getConnectionStatus().subscribe((s) => statuses.push(s));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete (global as any).WebSocket;
+  });
+
+  test("does not reconnect by default", () => {
+    transport.connect("ws://localhost:9002");
+    FakeWebSocket.instances[0].onclose();
+    jest.runOnlyPendingTimers();
+
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    expect(statuses[statuses.length - 1]).toBe("disconnected");
+  });
+
+  test("reconnects with exponential backoff", () => {
+    transport.connect("ws://localhost:9002", undefined, {
+      maxAttempts: 3,
+      initialDelayMs: 100,
+    });
+
+    FakeWebSocket.instances[0].onclose();
+    expect(statuses[statuses.length - 1]).toBe("reconnecting");
+
+    jest.advanceTimersByTime(99);
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+
+    // The second attempt waits twice as long.
+    FakeWebSocket.instances[1].onclose();
+    jest.advanceTimersByTime(199);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+    jest.advanceTimersByTime(1);
+    expect(FakeWebSocket.instances).toHaveLength(3);
+  });
+
+  test("gives up after the maximum number of attempts", () => {
+    transport.connect("ws://localhost:9002", undefined, {
+      maxAttempts: 1,
+      initialDelayMs: 10,
+    });
+
+    FakeWebSocket.instances[0].onclose();
+    jest.advanceTimersByTime(10);
+    FakeWebSocket.instances[1].onclose();
+    jest.runOnlyPendingTimers();
+
+    expect(FakeWebSocket.instances).toHaveLength(2);
+    expect(statuses[statuses.length - 1]).toBe("disconnected");
+  });
+
+  test("does not reconnect after a requested disconnection", () => {
+    transport.connect("ws://localhost:9002", undefined, { initialDelayMs: 10 });
+    transport.disconnect();
+    jest.runOnlyPendingTimers();
+
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    expect(statuses[statuses.length - 1]).toBe("disconnected");
+  });
+});
+
+describe("transport frames", () => {
+  let transport: Transport;
+  let socket: FakeWebSocket;
+  let statuses: string[];
+
+  const flush = () => new Promise((resolve) => setTimeout(resolve));
+
+  beforeEach(() => {
+    FakeWebSocket.instances = [];
+    transport = new Transport({ webSocket: FakeWebSocket });
+    statuses = [];
+    transport.getConnectionStatus().subscribe((s) => statuses.push(s));
+    transport.connect("ws://localhost:9002");
+    socket = FakeWebSocket.instances[0];
+    socket.onopen();
+  });
+
+  afterEach(() => {
+    transport.disconnect();
+  });
+
+  test("uses the given WebSocket implementation", () => {
+    expect(socket.url).toBe("ws://localhost:9002");
+    expect((socket as any).binaryType).toBe("arraybuffer");
+  });
+
+  test("reads Blob and Buffer frames in order", async () => {
+    const protos = 'syntax = "proto3"; package gz.msgs;';
+    socket.onmessage({ data: new Blob(["authorized"]) });
+    socket.onmessage({ data: Buffer.from(protos) });
+    await flush();
+
+    expect(socket.sent).toContain("protos,,,");
+    expect(transport.getHandshakeData().get("protos")).toBe(protos);
+    expect(statuses[statuses.length - 1]).toBe("connected");
+  });
+});
+
+describe("transport connection errors", () => {
+  let transport: Transport;
+  let errors: ConnectionError[];
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ["performance"] });
+    FakeWebSocket.instances = [];
+    (global as any).WebSocket = FakeWebSocket;
+    transport = new Transport();
+    errors = [];
+    transport.getConnectionErrors().subscribe((e) => errors.push(e));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete (global as any).WebSocket;
+  });
+
+  test("reports an unexpected close with its code", () => {
+    transport.connect("ws://localhost:9002");
+    FakeWebSocket.instances[0].onclose({ code: 1006, reason: "" });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].code).toBe(ConnectionErrorCode.UNEXPECTED_CLOSE);
+    expect(errors[0].closeCode).toBe(1006);
+  });
+
+  test("reports a handshake timeout if one is set", () => {
+    transport.connect("ws://localhost:9002");
+    jest.advanceTimersByTime(60000);
+    expect(errors).toHaveLength(0);
+
+    transport.connect("ws://localhost:9002", undefined, undefined, 500);
+    jest.advanceTimersByTime(500);
+
+    expect(errors.map((e) => e.code)).toEqual([
+      ConnectionErrorCode.HANDSHAKE_TIMEOUT,
+    ]);
+  });
+
+  test("reports a socket error followed by a close once", () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    transport.connect("ws://localhost:9002", undefined, { maxAttempts: 3 });
+    const socket = FakeWebSocket.instances[0];
+    socket.onerror(new Event("error"));
+    socket.onclose({ code: 1006, reason: "" });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].code).toBe(ConnectionErrorCode.SOCKET_ERROR);
+    expect(errors[0].closeCode).toBe(1006);
+    transport.disconnect();
+  });
+
+  test("does not retry an invalid key", async () => {
+    jest.useRealTimers();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const server = new MockGazeboServer({
+      protos: 'syntax = "proto3"; package gz.msgs; message StringMsg {}',
+      key: "secret",
+    });
+    const accept = jest.spyOn(server, "accept");
+    const statuses: string[] = [];
+    transport = new Transport({ webSocket: server.WebSocket });
+    transport.getConnectionErrors().subscribe((e) => errors.push(e));
+    transport.getConnectionStatus().subscribe((s) => statuses.push(s));
+
+    transport.connect("ws://mock", "bad-key", {
+      maxAttempts: 3,
+      initialDelayMs: 1,
+    });
+    // The status is "disconnected" before connecting, so wait for the error.
+    await until(() => statuses.slice(-2).join() === "error,disconnected");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(accept).toHaveBeenCalledTimes(1);
+    expect(statuses.slice(-2)).toEqual(["error", "disconnected"]);
+    expect(errors.map((e) => e.code)).toEqual([
+      ConnectionErrorCode.AUTH_INVALID,
+    ]);
+  });
+});
+
+describe("transport service calls", () => {
+  let transport: Transport;
+  let socket: FakeWebSocket;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ["performance"] });
+    FakeWebSocket.instances = [];
+    (global as any).WebSocket = FakeWebSocket;
+    transport = new Transport();
+    transport.connect("ws://localhost:9002");
+    socket = FakeWebSocket.instances[0];
+
+    // Simulate the message definitions handshake.
+    (transport as any).root = parse(`
+      syntax = "proto3";
+      package gz.msgs;
+      message StringMsg { string data = 1; }
+      message Boolean { bool data = 1; }
+      message Double { double data = 1; }
+    `).root;
+    (transport as any).status$.next("connected");
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete (global as any).WebSocket;
+  });
+
+  test("sends a request frame", () => {
+    transport.callService("/srv", "gz.msgs.StringMsg", "gz.msgs.Boolean", {
+      data: "hi",
+    });
+    expect(socket.sent).toHaveLength(1);
+
+    const frame = new TextDecoder().decode(socket.sent[0] as ArrayBuffer);
+    expect(frame.startsWith("req,/srv,gz.msgs.StringMsg,")).toBe(true);
+  });
+
+  test("sends binary payloads intact", () => {
+    const publisher = transport.advertise("/cmd", "gz.msgs.Double");
+    publisher.publish(publisher.createMessage({ data: -0.1 }));
+
+    const frame = new Uint8Array(socket.sent[1] as ArrayBuffer);
+    const header = new TextEncoder().encode("pub_in,/cmd,gz.msgs.Double,");
+    expect(frame.slice(0, header.length)).toEqual(header);
+
+    const msgDef = (transport as any).root.lookupType("gz.msgs.Double");
+    expect(msgDef.decode(frame.slice(header.length)).data).toBe(-0.1);
+  });
+
+  test("resolves concurrent calls in order", async () => {
+    const first = transport.callService(
+      "/srv",
+      "gz.msgs.StringMsg",
+      "gz.msgs.Boolean",
+      {},
+    );
+    const second = transport.callService(
+      "/srv",
+      "gz.msgs.StringMsg",
+      "gz.msgs.Boolean",
+      {},
+    );
+
+    (transport as any).handleServiceResponse("/srv", "gz.msgs.Boolean", {
+      data: true,
+    });
+    (transport as any).handleServiceResponse("/srv", "gz.msgs.Boolean", {
+      data: false,
+    });
+
+    await expect(first).resolves.toEqual({ data: true });
+    await expect(second).resolves.toEqual({ data: false });
+  });
+
+  test("rejects on a server error", async () => {
+    const call = transport.callService(
+      "/srv",
+      "gz.msgs.StringMsg",
+      "gz.msgs.Boolean",
+      {},
+    );
+    (transport as any).handleServiceResponse("/srv", "gz.msgs.StringMsg", {
+      data: "service not found",
+    });
+
+    await expect(call).rejects.toBeInstanceOf(ServiceError);
+  });
+
+  test("rejects on timeout", async () => {
+    const call = transport.callService(
+      "/srv",
+      "gz.msgs.StringMsg",
+      "gz.msgs.Boolean",
+      {},
+      { timeoutMs: 100 },
+    );
+    jest.advanceTimersByTime(100);
+
+    await expect(call).rejects.toThrow("No response after 100 ms");
+  });
+
+  test("drops the late response of a call that timed out", async () => {
+    const first = transport.callService(
+      "/srv",
+      "gz.msgs.StringMsg",
+      "gz.msgs.Boolean",
+      {},
+      { timeoutMs: 100 },
+    );
+    jest.advanceTimersByTime(100);
+    await expect(first).rejects.toThrow("No response after 100 ms");
+
+    const second = transport.callService(
+      "/srv",
+      "gz.msgs.StringMsg",
+      "gz.msgs.Boolean",
+      {},
+    );
+    (transport as any).handleServiceResponse("/srv", "gz.msgs.Boolean", {
+      data: true,
+    });
+    (transport as any).handleServiceResponse("/srv", "gz.msgs.Boolean", {
+      data: false,
+    });
+
+    await expect(second).resolves.toEqual({ data: false });
+  });
+});
+
+describe("transport asset requests", () => {
+  let transport: Transport;
+  let socket: FakeWebSocket;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ["performance"] });
+    FakeWebSocket.instances = [];
+    (global as any).WebSocket = FakeWebSocket;
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    transport = new Transport();
+    transport.connect("ws://localhost:9002");
+    socket = FakeWebSocket.instances[0];
+    (transport as any).status$.next("connected");
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete (global as any).WebSocket;
+  });
+
+  test("shares a request between concurrent callers", async () => {
+    const first = transport.fetchAsset("model://box/box.dae");
+    const second = transport.fetchAsset("model://box/box.dae");
+    expect(socket.sent).toHaveLength(1);
+
+    const data = new Uint8Array([1, 2]);
+    (transport as any).settleAssetRequest("model://box/box.dae", data);
+
+    await expect(first).resolves.toBe(data);
+    await expect(second).resolves.toBe(data);
+    expect((transport as any).assetRequests.size).toBe(0);
+  });
+
+  test("rejects a caller on timeout or abort", async () => {
+    const controller = new AbortController();
+    const aborted = transport.fetchAsset("a.png", {
+      signal: controller.signal,
+    });
+    const timedOut = transport.fetchAsset("a.png", { timeoutMs: 100 });
+
+    controller.abort();
+    await expect(aborted).rejects.toMatchObject({
+      code: AssetError.ABORTED,
+    });
+    expect((transport as any).assetRequests.size).toBe(1);
+
+    jest.advanceTimersByTime(100);
+    await expect(timedOut).rejects.toMatchObject({
+      code: AssetError.TIMEOUT,
+    });
+    expect((transport as any).assetRequests.size).toBe(0);
+  });
+
+  test("rejects on unknown server errors", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const request = transport.fetchAsset("a.png");
+    (transport as any).handleDecodedFrame(
+      {
+        op: "asset",
+        topic: "a.png",
+        type: "gz.msgs.StringMsg",
+        msg: { data: "asset_permission_denied" },
+      },
+      0,
+    );
+
+    await expect(request).rejects.toMatchObject({
+      code: AssetError.SERVER_ERROR,
+      message: "a.png: asset_permission_denied",
+    });
+  });
+
+  test("rejects when the connection is closed", async () => {
+    const request = transport.fetchAsset("a.png");
+    socket.onclose();
+
+    await expect(request).rejects.toMatchObject({
+      code: AssetError.DISCONNECTED,
+    });
+    await expect(transport.fetchAsset("a.png")).rejects.toMatchObject({
+      code: AssetError.DISCONNECTED,
+    });
+  });
+});
+
+describe("transport topic streams", () => {
+  let transport: Transport;
+  let socket: FakeWebSocket;
+
+  beforeEach(() => {
+    FakeWebSocket.instances = [];
+    (global as any).WebSocket = FakeWebSocket;
+    transport = new Transport();
+    transport.connect("ws://localhost:9002");
+    socket = FakeWebSocket.instances[0];
+    (transport as any).status$.next("ready");
+    (transport as any).availableTopics = [
+      { topic: "/clock", msg_type: "gz.msgs.Clock" },
+    ];
+  });
+
+  afterEach(() => {
+    transport.disconnect();
+    delete (global as any).WebSocket;
+  });
+
+  test("shares one subscription between observers", () => {
+    const first: any[] = [];
+    const second: any[] = [];
+    const sub1 = transport.topic$("/clock").subscribe((m) => first.push(m));
+    const sub2 = transport.topic$("/clock").subscribe((m) => second.push(m));
+    expect(socket.sent).toEqual(["sub,/clock,,"]);
+
+    (transport as any).topicSubjects.get("/clock").next({
+      msg: { sec: 1 },
+      type: "gz.msgs.Clock",
+      size: 2,
+      receivedAt: 0,
+    });
+    expect(first).toEqual([{ sec: 1 }]);
+    expect(second).toEqual([{ sec: 1 }]);
+
+    sub1.unsubscribe();
+    expect(socket.sent).toHaveLength(1);
+    sub2.unsubscribe();
+    expect(socket.sent).toEqual(["sub,/clock,,", "unsub,/clock,,"]);
+  });
+
+  test("subscribes to a topic once it is advertised", () => {
+    const topics: object[][] = [];
+    transport.availableTopics$.subscribe((t) => topics.push(t));
+    const subscription = transport.topic$("/robot/scan").subscribe();
+    expect(socket.sent).toEqual([]);
+
+    (transport as any).setAvailableTopics([
+      { topic: "/robot/scan", msg_type: "gz.msgs.LaserScan" },
+    ]);
+    expect(socket.sent).toEqual(["sub,/robot/scan,,"]);
+    expect(topics[topics.length - 1]).toHaveLength(1);
+
+    subscription.unsubscribe();
+    expect(socket.sent).toEqual(["sub,/robot/scan,,", "unsub,/robot/scan,,"]);
+  });
+
+  test("subscribes to image topics as raw images", () => {
+    (transport as any).setAvailableTopics([
+      { topic: "/camera", msg_type: "gz.msgs.Image" },
+    ]);
+    transport.topic$("/camera").subscribe();
+
+    expect(socket.sent).toEqual(["image,/camera,,"]);
+  });
+
+  test("only emits the available topics when they change", () => {
+    const topics: object[][] = [];
+    transport.availableTopics$.subscribe((t) => topics.push(t));
+
+    (transport as any).setAvailableTopics([
+      { topic: "/clock", msg_type: "gz.msgs.Clock" },
+    ]);
+    expect(topics).toHaveLength(1);
+
+    (transport as any).setAvailableTopics([
+      { topic: "/clock", msg_type: "gz.msgs.Clock" },
+      { topic: "/stats", msg_type: "gz.msgs.WorldStatistics" },
+    ]);
+    expect(topics).toHaveLength(2);
+  });
+
+  test("requests the available topics periodically", () => {
+    jest.useFakeTimers({ doNotFake: ["performance"] });
+    transport.startTopicDiscovery(1000);
+    jest.advanceTimersByTime(2000);
+    transport.stopTopicDiscovery();
+    jest.advanceTimersByTime(2000);
+    jest.useRealTimers();
+
+    expect(socket.sent).toEqual(["topics-types,,,", "topics-types,,,"]);
+  });
+});
+
+describe("transport topic discovery", () => {
+  let server: MockGazeboServer;
+  let transport: Transport;
+
+  const ready = () =>
+    firstValueFrom(
+      transport.getConnectionStatus().pipe(filter((s) => s === "ready")),
+    );
+
+  beforeEach(async () => {
+    server = new MockGazeboServer({
+      protos: `
+        syntax = "proto3";
+        package gz.msgs;
+        message StringMsg { string data = 1; }
+        message StringMsg_V { repeated string data = 1; }
+        message Publisher { string topic = 1; string msg_type = 2; }
+        message Publishers { repeated Publisher publisher = 1; }
+        message Scene { string name = 1; }
+      `,
+      world: "shapes",
+      scene: { name: "shapes" },
+      topics: [{ topic: "/chatter", msg_type: "gz.msgs.StringMsg" }],
+    });
+    transport = new Transport({ webSocket: server.WebSocket });
+    transport.connect("ws://mock", undefined, { initialDelayMs: 1 });
+    await ready();
+  });
+
+  afterEach(() => {
+    transport.disconnect();
+  });
+
+  test("keeps the types of the topic names", async () => {
+    const frame = (server as any).encodeFrame(
+      "pub",
+      "topics",
+      "gz.msgs.StringMsg_V",
+      { data: ["/chatter", "/new"] },
+    );
+    server.sockets[0].onmessage!({ data: new Blob([frame]) });
+    await until(() => transport.getAvailableTopics().length === 2);
+
+    expect(transport.getAvailableTopics()).toEqual([
+      { topic: "/chatter", msg_type: "gz.msgs.StringMsg" },
+      { topic: "/new" },
+    ]);
+  });
+
+  test("subscribes once when the connection is restored", async () => {
+    const subs: string[] = [];
+    const handleFrame = server.handleFrame.bind(server);
+    jest.spyOn(server, "handleFrame").mockImplementation((socket, data) => {
+      if (typeof data === "string" && data.startsWith("sub,")) {
+        subs.push(data.split(",")[1]);
+      }
+      handleFrame(socket, data);
+    });
+
+    transport.topic$("/chatter").subscribe();
+    transport.topic$("/late").subscribe();
+    await server.waitForSubscription("/chatter");
+    expect(subs).toEqual(["/chatter"]);
+
+    server.advertise("/late", "gz.msgs.StringMsg");
+    server.closeAll();
+    await firstValueFrom(
+      transport.getConnectionStatus().pipe(filter((s) => s === "reconnecting")),
+    );
+    await ready();
+
+    expect(subs.sort()).toEqual(["/chatter", "/chatter", "/late"]);
+  });
+});
+
+describe("transport worlds", () => {
+  let transport: Transport;
+
+  beforeEach(async () => {
+    const server = new MockGazeboServer({
+      protos: `
+        syntax = "proto3";
+        package gz.msgs;
+        message StringMsg { string data = 1; }
+        message StringMsg_V { repeated string data = 1; }
+        message Publishers { }
+        message Scene { string name = 1; }
+      `,
+      world: "shapes",
+      scene: { name: "shapes" },
+      otherWorlds: { empty: { name: "empty" } },
+    });
+    transport = new Transport({ webSocket: server.WebSocket });
+    transport.connect("ws://mock");
+    await firstValueFrom(
+      transport.getConnectionStatus().pipe(filter((s) => s === "ready")),
+    );
+  });
+
+  afterEach(() => {
+    transport.disconnect();
+  });
+
+  test("lists the worlds and loads the first one", () => {
+    expect(transport.getWorlds()).toEqual(["shapes", "empty"]);
+    expect(transport.worlds$.getValue()).toEqual(["shapes", "empty"]);
+    expect(transport.getWorld()).toBe("shapes");
+    expect(transport.sceneInfo$.getValue()).toEqual({ name: "shapes" });
+  });
+
+  test("switches to another world", async () => {
+    transport.setWorld("empty");
+    const scene = await firstValueFrom(
+      transport.sceneInfo$.pipe(filter((info) => info?.name === "empty")),
+    );
+
+    expect(scene).toEqual({ name: "empty" });
+    expect(transport.getWorld()).toBe("empty");
+    expect(() => transport.setWorld("unknown")).toThrow("Unknown world");
+  });
+});
@@ -0,0 +1,28 @@
+import { util } from "protobufjs";
+import { timeToSeconds, worldStatsFromMsg } from "../../src/WorldStats";
+
+describe("world statistics", () => {
+  test("time is converted to seconds", () => {
+    expect(timeToSeconds({ sec: 2, nsec: 500000000 })).toBeCloseTo(2.5);
+    expect(timeToSeconds({ sec: new util.Long(3, 0) })).toBe(3);
+    expect(timeToSeconds(undefined)).toBe(0);
+  });
+
+  test("statistics are created from a message", () => {
+    const stats = worldStatsFromMsg({
+      sim_time: { sec: 10, nsec: 0 },
+      real_time: { sec: 20, nsec: 0 },
+      real_time_factor: 0.5,
+      iterations: new util.Long(10000, 0),
+      paused: true,
+    });
+
+    expect(stats).toEqual({
+      simTime: 10,
+      realTime: 20,
+      realTimeFactor: 0.5,
+      iterations: 10000,
+      paused: true,
+    });
+  });
+});
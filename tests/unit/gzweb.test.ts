@@ -0,0 +1,6 @@
+describe("package entry", () => {
+  test("loads without a browser", async () => {
+    const gzweb = await import("../../src/gzweb");
+    expect(gzweb.SceneManager).toBeDefined();
+  });
+});
@@ -0,0 +1,205 @@
+import * as THREE from "three";
+import { EventEmitter2 } from "eventemitter2";
+import { Subject } from "rxjs";
+import { Transport } from "../../src/Transport";
+
+// Helpers shared by the tests that need a scene, a server or a topic.
+
+/**
+ * Message definitions used with the MockGazeboServer, in the package used by
+ * SceneManager.
+ */
+export const PROTOS = `
+  syntax = "proto3";
+  package ignition.msgs;
+  message Time { int64 sec = 1; int32 nsec = 2; }
+  message Vector3d { double x = 2; double y = 3; double z = 4; }
+  message Quaternion { double x = 2; double y = 3; double z = 4; double w = 5; }
+  message Pose {
+    string name = 2;
+    uint32 id = 3;
+    Vector3d position = 4;
+    Quaternion orientation = 5;
+  }
+  message Pose_V { repeated Pose pose = 2; }
+  message StringMsg { string data = 2; }
+  message StringMsg_V { repeated string data = 2; }
+  message Boolean { bool data = 2; }
+  message Double { double data = 2; }
+  message UInt32_V { repeated uint32 data = 2; }
+  message Publisher { string topic = 2; string msg_type = 3; }
+  message Publishers { repeated Publisher publisher = 2; }
+  message Link { uint32 id = 2; string name = 3; }
+  message Model { string name = 2; uint32 id = 3; repeated Link link = 6; }
+  message Light { string name = 2; uint32 id = 3; double intensity = 4; }
+  message Sky { double mean_cloud_size = 7; }
+  message Scene {
+    string name = 2;
+    repeated Model model = 7;
+    repeated Light light = 8;
+    Sky sky = 9;
+  }
+  message Entity { uint32 id = 2; string name = 3; uint32 type = 4; }
+  message EntityFactory {
+    string sdf = 2;
+    string sdf_filename = 3;
+    Pose pose = 7;
+    string name = 8;
+    bool allow_renaming = 9;
+  }
+  message WorldControl { bool pause = 2; }
+  message ServerControl { bool stop = 2; }
+  message Clock { Time real = 2; Time sim = 3; }
+  message WorldStatistics {
+    Time sim_time = 2;
+    Time real_time = 5;
+    bool paused = 6;
+    uint64 iterations = 7;
+    double real_time_factor = 10;
+  }
+`;
+
+/**
+ * Scene that stands in for the rendering Scene, which needs WebGL.
+ */
+export class MockScene {
+  public scene = new THREE.Scene();
+  public emitter = new EventEmitter2();
+  public renderer = { domElement: {} };
+  public ambient = { color: new THREE.Color() };
+  public skies: (string | undefined)[] = [];
+
+  public add(obj: THREE.Object3D): void {
+    this.scene.add(obj);
+  }
+
+  public getByName(name: string): THREE.Object3D | undefined {
+    return this.scene.getObjectByName(name);
+  }
+
+  public removeAndDispose(obj: THREE.Object3D): void {
+    obj.removeFromParent();
+  }
+
+  public updatePose(
+    obj: THREE.Object3D,
+    position: THREE.Vector3,
+    orientation: THREE.Quaternion,
+  ): void {
+    this.setPose(obj, position, orientation);
+  }
+
+  public setPose(
+    obj: THREE.Object3D,
+    position: THREE.Vector3,
+    orientation: THREE.Quaternion,
+  ): void {
+    obj.position.set(position.x, position.y, position.z);
+    obj.quaternion.set(
+      orientation.x,
+      orientation.y,
+      orientation.z,
+      orientation.w,
+    );
+  }
+
+  public addSky(cubemap?: string): void {
+    this.skies.push(cubemap);
+    this.scene.background = new THREE.Color();
+  }
+
+  public removeSky(): void {
+    this.scene.background = null;
+  }
+
+  public setSize(): void {}
+  public render(): void {}
+  public cleanup(): void {}
+  public getParticleSystem(): null {
+    return null;
+  }
+}
+
+/**
+ * SDF parser that creates an empty object per model, with its links, and
+ * per light.
+ */
+export class MockSDFParser {
+  public usingFilesUrls = false;
+
+  public spawnFromObj(obj: any): THREE.Object3D {
+    const model = new THREE.Object3D();
+    model.name = obj.model.name;
+    (obj.model.link ?? []).forEach((link: any) => {
+      const linkObj = new THREE.Object3D();
+      linkObj.name = link.name;
+      model.add(linkObj);
+    });
+    return model;
+  }
+
+  public spawnLight(light: any): THREE.Object3D {
+    const obj = new THREE.Object3D();
+    obj.name = light.name;
+    return obj;
+  }
+}
+
+/**
+ * Provide the browser globals used by SceneManager to set up the
+ * visualization. Rendering frames are never requested.
+ */
+export function installDom(): void {
+  const element = {
+    childElementCount: 0,
+    clientWidth: 100,
+    clientHeight: 100,
+    appendChild() {
+      element.childElementCount++;
+    },
+    removeChild() {
+      element.childElementCount--;
+    },
+  };
+  (global as any).window = {
+    document: { getElementById: () => element },
+  };
+  (global as any).requestAnimationFrame = () => 1;
+  (global as any).cancelAnimationFrame = () => {};
+}
+
+/**
+ * Wait until a condition is met, checking it on every turn of the event
+ * loop.
+ *
+ * @param condition The condition.
+ * @param timeoutMs Optional. Time to wait before failing. Defaults to 2000.
+ */
+export async function until(
+  condition: () => boolean,
+  timeoutMs: number = 2000,
+): Promise<void> {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error("Condition not met in time");
+    }
+    await new Promise((resolve) => setTimeout(resolve));
+  }
+}
+
+/**
+ * Create a Transport whose topics are fed by the returned Subject, instead
+ * of a server.
+ *
+ * @returns The Transport, and the Subject that emits the topic messages.
+ */
+export function createTopicTransport<T = any>(): {
+  transport: Transport;
+  messages: Subject<T>;
+} {
+  const transport = new Transport();
+  const messages = new Subject<T>();
+  jest.spyOn(transport, "topic$").mockReturnValue(messages as any);
+  return { transport, messages };
+}